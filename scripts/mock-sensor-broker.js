@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+// Local stand-in for the garden's sensor gateway. Serves the same simulated
+// probe readings three ways so every dashboard driver can be exercised:
+//   ws://localhost:8081/ws     plain WebSocket, one JSON frame per tick
+//   ws://localhost:8081/mqtt   MQTT 3.1.1 over WebSocket (QoS 0, subscribe only)
+//   http://localhost:8081/readings   latest readings for the REST driver
+//
+// Usage: node scripts/mock-sensor-broker.js [--port 8081] [--interval 5000] [--topic aquasprout/sensors]
+const http = require('http');
+const WebSocket = require('ws');
+
+const arg = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index > -1 ? process.argv[index + 1] : fallback;
+};
+
+const port = Number(arg('port', 8081));
+const interval = Number(arg('interval', 5000));
+const topicPrefix = arg('topic', 'aquasprout/sensors');
+
+const probes = [
+  { plantId: 1, moisture: 72, drift: 0.4 },
+  { plantId: 2, moisture: 38, drift: 0.1 },
+  { plantId: 3, moisture: 28, drift: 0.08 },
+  { plantId: 4, moisture: 75, drift: 0.5 },
+  { plantId: 5, moisture: 82, drift: 0.6 },
+  { plantId: 6, moisture: 42, drift: 0.2 },
+];
+
+const latestReadings = () => {
+  const timestamp = Date.now();
+  return probes.map(({ plantId, moisture }) => ({ plantId, moisture: Math.round(moisture * 10) / 10, timestamp }));
+};
+
+const tick = () => {
+  probes.forEach(probe => {
+    probe.moisture -= probe.drift * (0.5 + Math.random());
+    // Pretend an irrigation cycle ran once a probe gets dry
+    if (probe.moisture < 15) probe.moisture += 40;
+  });
+};
+
+// --- Minimal MQTT framing -------------------------------------------------
+const encodeLength = (length) => {
+  const bytes = [];
+  do {
+    let byte = length % 128;
+    length = Math.floor(length / 128);
+    if (length > 0) byte |= 0x80;
+    bytes.push(byte);
+  } while (length > 0);
+  return Buffer.from(bytes);
+};
+const encodeString = (value) => {
+  const bytes = Buffer.from(value, 'utf8');
+  return Buffer.concat([Buffer.from([bytes.length >> 8, bytes.length & 0xff]), bytes]);
+};
+const packet = (firstByte, body) => Buffer.concat([Buffer.from([firstByte]), encodeLength(body.length), body]);
+
+const readPackets = (buffer) => {
+  const packets = [];
+  let offset = 0;
+  while (offset < buffer.length) {
+    let multiplier = 1;
+    let length = 0;
+    let cursor = offset + 1;
+    let byte;
+    do {
+      if (cursor >= buffer.length) return { packets, rest: buffer.slice(offset) };
+      byte = buffer[cursor++];
+      length += (byte & 0x7f) * multiplier;
+      multiplier *= 128;
+    } while (byte & 0x80);
+    if (cursor + length > buffer.length) return { packets, rest: buffer.slice(offset) };
+    packets.push({ type: buffer[offset] >> 4, body: buffer.slice(cursor, cursor + length) });
+    offset = cursor + length;
+  }
+  return { packets, rest: Buffer.alloc(0) };
+};
+
+const topicMatches = (filter, topic) => {
+  const filterLevels = filter.split('/');
+  const topicLevels = topic.split('/');
+  for (let i = 0; i < filterLevels.length; i++) {
+    if (filterLevels[i] === '#') return true;
+    if (filterLevels[i] !== '+' && filterLevels[i] !== topicLevels[i]) return false;
+  }
+  return filterLevels.length === topicLevels.length;
+};
+
+const handleMqttClient = (socket) => {
+  const subscriptions = [];
+  let pending = Buffer.alloc(0);
+
+  socket.on('message', (data) => {
+    const { packets, rest } = readPackets(Buffer.concat([pending, Buffer.from(data)]));
+    pending = rest;
+    packets.forEach(({ type, body }) => {
+      if (type === 1) {
+        socket.send(packet(0x20, Buffer.from([0, 0])));
+      } else if (type === 8) {
+        const packetId = body.slice(0, 2);
+        let cursor = 2;
+        const grants = [];
+        while (cursor < body.length) {
+          const length = (body[cursor] << 8) | body[cursor + 1];
+          subscriptions.push(body.slice(cursor + 2, cursor + 2 + length).toString('utf8'));
+          cursor += 3 + length;
+          grants.push(0);
+        }
+        socket.send(packet(0x90, Buffer.concat([packetId, Buffer.from(grants)])));
+      } else if (type === 12) {
+        socket.send(packet(0xd0, Buffer.alloc(0)));
+      } else if (type === 14) {
+        socket.close();
+      }
+    });
+  });
+
+  return (readings) => {
+    readings.forEach(reading => {
+      const topic = `${topicPrefix}/${reading.plantId}`;
+      if (!subscriptions.some(filter => topicMatches(filter, topic))) return;
+      const { moisture, timestamp } = reading;
+      socket.send(packet(0x30, Buffer.concat([encodeString(topic), Buffer.from(JSON.stringify({ moisture, timestamp }))])));
+    });
+  };
+};
+
+// --- Servers --------------------------------------------------------------
+const server = http.createServer((req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  if (req.method === 'GET' && req.url.split('?')[0] === '/readings') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ readings: latestReadings() }));
+    return;
+  }
+  res.writeHead(404, { 'Content-Type': 'text/plain' });
+  res.end('Not found');
+});
+
+const wss = new WebSocket.Server({
+  server,
+  handleProtocols: (protocols) => (protocols.includes('mqtt') ? 'mqtt' : false),
+});
+const publishers = new Set();
+
+wss.on('connection', (socket, req) => {
+  const publish = req.url.startsWith('/mqtt')
+    ? handleMqttClient(socket)
+    : (readings) => socket.send(JSON.stringify(readings));
+  publishers.add(publish);
+  socket.on('close', () => publishers.delete(publish));
+  if (!req.url.startsWith('/mqtt')) publish(latestReadings());
+});
+
+setInterval(() => {
+  tick();
+  const readings = latestReadings();
+  publishers.forEach(publish => publish(readings));
+}, interval);
+
+server.listen(port, () => {
+  console.log(`Mock sensor broker on port ${port}`);
+  console.log(`  websocket  ws://localhost:${port}/ws`);
+  console.log(`  mqtt       ws://localhost:${port}/mqtt  (topic ${topicPrefix}/<plantId>)`);
+  console.log(`  rest       http://localhost:${port}/readings`);
+});
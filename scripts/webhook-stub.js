@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+// Local HTTP stub for alert webhooks. Logs every POST body and answers 204,
+// with CORS headers so the dashboard can call it from the dev server.
+//
+// Usage: node scripts/webhook-stub.js [--port 8082] [--status 204]
+// Then set the webhook URL in the dashboard to http://localhost:8082/alerts
+const http = require('http');
+
+const arg = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index > -1 ? process.argv[index + 1] : fallback;
+};
+
+const port = Number(arg('port', 8082));
+// Answer with another status (e.g. 500) to try out delivery failures
+const status = Number(arg('status', 204));
+
+const server = http.createServer((req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+  if (req.method !== 'POST') {
+    res.writeHead(405);
+    res.end();
+    return;
+  }
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    let printed = body;
+    try {
+      printed = JSON.stringify(JSON.parse(body), null, 2);
+    } catch (error) {
+      // Not JSON, print as received
+    }
+    console.log(`[${new Date().toISOString()}] ${req.method} ${req.url}\n${printed}\n`);
+    res.writeHead(status);
+    res.end();
+  });
+});
+
+server.listen(port, () => console.log(`Webhook stub listening on http://localhost:${port} (answering ${status})`));
@@ -0,0 +1,57 @@
+import { useState, useEffect } from 'react';
+import { createVersionedStore } from '../storage/versionedStore';
+import { defaultRules, validateRule } from './rules';
+
+const MAX_NOTIFICATIONS = 100;
+
+// Schema history:
+//   1 - { rules, webhookUrl, browserEnabled, notifications }
+export const alertStore = createVersionedStore('aquasprout.alerts', {
+  version: 1,
+  migrations: [
+    () => ({ rules: defaultRules, webhookUrl: '', browserEnabled: false, notifications: [] }),
+  ],
+});
+
+export const saveRule = (alerts, rule) => {
+  const error = validateRule(rule);
+  if (error) throw new Error(error);
+  const exists = alerts.rules.some(r => r.id === rule.id);
+  return { ...alerts, rules: exists ? alerts.rules.map(r => (r.id === rule.id ? rule : r)) : [...alerts.rules, rule] };
+};
+
+export const newRule = (rules) => ({
+  id: rules.reduce((max, rule) => Math.max(max, rule.id), 0) + 1,
+  name: 'New rule',
+  enabled: true,
+  metric: 'plantMoisture',
+  operator: 'below',
+  threshold: 20,
+  plantId: null,
+  durationMinutes: 5,
+  cooldownMinutes: 60,
+  severity: 'warning',
+  channels: { browser: false, webhook: false },
+});
+
+export const removeRule = (alerts, id) => ({ ...alerts, rules: alerts.rules.filter(rule => rule.id !== id) });
+
+// Newest first, capped
+export const addNotifications = (alerts, notifications) =>
+  notifications.length ? { ...alerts, notifications: [...[...notifications].reverse(), ...alerts.notifications].slice(0, MAX_NOTIFICATIONS) } : alerts;
+
+export const updateNotification = (alerts, id, changes) => ({
+  ...alerts,
+  notifications: alerts.notifications.map(notification => (notification.id === id ? { ...notification, ...changes } : notification)),
+});
+
+export const markAllRead = (alerts) => ({ ...alerts, notifications: alerts.notifications.map(notification => ({ ...notification, read: true })) });
+
+export const clearNotifications = (alerts) => ({ ...alerts, notifications: [] });
+
+export const useAlerts = (scope = null) => {
+  const store = alertStore.scoped(scope);
+  const [alerts, setAlerts] = useState(() => store.load());
+  useEffect(() => store.save(alerts), [store, alerts]);
+  return [alerts, setAlerts];
+};
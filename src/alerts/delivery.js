@@ -0,0 +1,62 @@
+// Delivery targets beyond the in-app notification center.
+
+export const browserNotificationsSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+export const requestBrowserPermission = async () => {
+  if (!browserNotificationsSupported()) return 'unsupported';
+  return Notification.requestPermission();
+};
+
+// Resolves to 'sent', 'blocked' or 'failed: <reason>'. Installed as a PWA (and
+// on Android Chrome) only the service worker may show notifications, so it is
+// used whenever one controls the page.
+export const showBrowserNotification = async (notification) => {
+  if (!browserNotificationsSupported() || Notification.permission !== 'granted') return 'blocked';
+  const title = `${notification.garden || 'AquaSprout'}: ${notification.title}`;
+  const options = {
+    body: notification.message,
+    // Same tag replaces an earlier notification for the same rule and subject
+    tag: `${notification.gardenId ?? ''}:${notification.ruleId}:${notification.subjectId}`,
+  };
+  try {
+    if (navigator.serviceWorker?.controller) {
+      const registration = await navigator.serviceWorker.ready;
+      await registration.showNotification(title, options);
+    } else {
+      new Notification(title, options);
+    }
+    return 'sent';
+  } catch (error) {
+    console.error('Browser notification failed:', error);
+    return `failed: ${error.message}`;
+  }
+};
+
+export const sendWebhook = async (url, notification) => {
+  const { channels, read, ...payload } = notification;
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ source: 'aquasprout', ...payload, timestamp: new Date(notification.timestamp).toISOString() }),
+  });
+  if (!response.ok) throw new Error(`Webhook responded ${response.status}`);
+};
+
+// Sends a notification to every channel its rule enables. Resolves to a
+// per-channel result so failures can be shown next to the notification.
+export const deliver = async (notification, { webhookUrl, browserEnabled }) => {
+  const results = {};
+  if (notification.channels.browser && browserEnabled) {
+    results.browser = await showBrowserNotification(notification);
+  }
+  if (notification.channels.webhook && webhookUrl) {
+    try {
+      await sendWebhook(webhookUrl, notification);
+      results.webhook = 'sent';
+    } catch (error) {
+      console.error('Webhook delivery failed:', error);
+      results.webhook = `failed: ${error.message}`;
+    }
+  }
+  return results;
+};
@@ -0,0 +1,73 @@
+import { deliver } from './delivery';
+
+const notification = {
+  id: 'n1',
+  ruleId: 2,
+  subjectId: null,
+  gardenId: 1,
+  garden: 'My garden',
+  severity: 'warning',
+  title: 'Rain tank low',
+  message: 'Tank at 8%',
+  timestamp: Date.UTC(2026, 0, 14, 12),
+  read: false,
+  channels: { browser: true, webhook: true },
+};
+const webhookUrl = 'http://localhost:8082/alerts';
+
+// Stand-in for window.Notification with the given permission
+const installNotification = (permission, construct = () => {}) => {
+  const Notification = jest.fn(function Notification(...args) { construct(...args); });
+  Notification.permission = permission;
+  window.Notification = Notification;
+  return Notification;
+};
+
+beforeEach(() => {
+  global.fetch = jest.fn(() => Promise.resolve({ ok: true }));
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  delete global.fetch;
+  delete window.Notification;
+  console.error.mockRestore();
+});
+
+test('reports a webhook that answers with an error status', async () => {
+  global.fetch = jest.fn(() => Promise.resolve({ ok: false, status: 502 }));
+  expect(await deliver({ ...notification, channels: { webhook: true } }, { webhookUrl, browserEnabled: false }))
+    .toEqual({ webhook: 'failed: Webhook responded 502' });
+});
+
+test('only shows browser notifications once permission is granted', async () => {
+  const Notification = installNotification('default');
+  expect(await deliver(notification, { webhookUrl: '', browserEnabled: true })).toEqual({ browser: 'blocked' });
+  expect(Notification).not.toHaveBeenCalled();
+
+  Notification.permission = 'granted';
+  expect(await deliver(notification, { webhookUrl: '', browserEnabled: true })).toEqual({ browser: 'sent' });
+  expect(Notification).toHaveBeenCalledWith('My garden: Rain tank low', { body: 'Tank at 8%', tag: '1:2:null' });
+  expect(await deliver(notification, { webhookUrl: '', browserEnabled: false })).toEqual({});
+});
+
+test('a browser notification that throws still lets the webhook go out', async () => {
+  installNotification('granted', () => {
+    throw new TypeError('Illegal constructor. Use ServiceWorkerRegistration.showNotification() instead.');
+  });
+  expect(await deliver(notification, { webhookUrl, browserEnabled: true })).toEqual({
+    browser: 'failed: Illegal constructor. Use ServiceWorkerRegistration.showNotification() instead.',
+    webhook: 'sent',
+  });
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+});
+
+test('shows notifications through the service worker when one controls the page', async () => {
+  const Notification = installNotification('granted');
+  const showNotification = jest.fn(() => Promise.resolve());
+  Object.defineProperty(navigator, 'serviceWorker', { configurable: true, value: { controller: {}, ready: Promise.resolve({ showNotification }) } });
+  expect(await deliver(notification, { webhookUrl: '', browserEnabled: true })).toEqual({ browser: 'sent' });
+  expect(showNotification).toHaveBeenCalledWith('My garden: Rain tank low', { body: 'Tank at 8%', tag: '1:2:null' });
+  expect(Notification).not.toHaveBeenCalled();
+  delete navigator.serviceWorker;
+});
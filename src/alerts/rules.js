@@ -0,0 +1,87 @@
+const MINUTE = 60000;
+
+export const METRICS = {
+  plantStatus: { label: 'Plant status', perPlant: true, read: plant => plant.status, values: ['Needs Water', 'Water Soon', 'Too Wet', 'Healthy'] },
+  plantMoisture: { label: 'Plant moisture', perPlant: true, unit: '%', read: plant => plant.moisture },
+  tankLevel: { label: 'Rain tank level', unit: '%', read: snapshot => snapshot.tankLevel },
+  batteryLevel: { label: 'Battery charge', unit: '%', read: snapshot => snapshot.batteryLevel },
+};
+
+export const OPERATORS = {
+  equals: { label: 'is', test: (value, threshold) => value === threshold },
+  below: { label: 'below', test: (value, threshold) => value < threshold },
+  atMost: { label: 'at or below', test: (value, threshold) => value <= threshold },
+  above: { label: 'above', test: (value, threshold) => value > threshold },
+};
+
+export const SEVERITIES = ['info', 'warning', 'critical'];
+
+export const defaultRules = [
+  { id: 1, name: 'Plant needs water', enabled: true, metric: 'plantStatus', operator: 'equals', threshold: 'Needs Water', plantId: null, durationMinutes: 10, cooldownMinutes: 60, severity: 'warning', channels: { browser: true, webhook: false } },
+  { id: 2, name: 'Plant too wet', enabled: true, metric: 'plantStatus', operator: 'equals', threshold: 'Too Wet', plantId: null, durationMinutes: 30, cooldownMinutes: 360, severity: 'info', channels: { browser: false, webhook: false } },
+  { id: 3, name: 'Rain tank low', enabled: true, metric: 'tankLevel', operator: 'below', threshold: 15, plantId: null, durationMinutes: 0, cooldownMinutes: 720, severity: 'warning', channels: { browser: true, webhook: false } },
+  { id: 4, name: 'Rain tank empty', enabled: true, metric: 'tankLevel', operator: 'atMost', threshold: 0, plantId: null, durationMinutes: 0, cooldownMinutes: 720, severity: 'critical', channels: { browser: true, webhook: true } },
+  { id: 5, name: 'Battery at reserve', enabled: true, metric: 'batteryLevel', operator: 'atMost', threshold: 20, plantId: null, durationMinutes: 5, cooldownMinutes: 240, severity: 'critical', channels: { browser: true, webhook: true } },
+];
+
+// Returns an error message, or null when the rule is usable.
+export const validateRule = (rule) => {
+  if (!rule.name.trim()) return 'Rule name is required';
+  if (!METRICS[rule.metric]) return `Unknown metric "${rule.metric}"`;
+  if (!OPERATORS[rule.operator]) return `Unknown condition "${rule.operator}"`;
+  if (METRICS[rule.metric].values ? !METRICS[rule.metric].values.includes(rule.threshold) : !Number.isFinite(rule.threshold)) return 'Threshold is not valid for this metric';
+  if (!(rule.durationMinutes >= 0) || !(rule.cooldownMinutes >= 0)) return 'Duration and cooldown cannot be negative';
+  return null;
+};
+
+// What a rule is checked against: each matching plant, or the system as a whole
+const subjectsFor = (rule, snapshot) => {
+  const metric = METRICS[rule.metric];
+  if (!metric.perPlant) return [{ id: 'system', name: metric.label, value: metric.read(snapshot) }];
+  return snapshot.plants
+    .filter(plant => rule.plantId === null || plant.id === rule.plantId)
+    .map(plant => ({ id: plant.id, name: plant.name, value: metric.read(plant) }));
+};
+
+const formatValue = (value, metric) => (typeof value === 'number' ? `${Math.round(value)}${metric.unit || ''}` : value);
+
+// Checks every enabled rule against a snapshot of the garden. A rule fires once
+// its condition has held for `durationMinutes`, then stays quiet for
+// `cooldownMinutes`. `tracking` is the previous call's tracking, keyed by
+// rule and subject.
+export const evaluateRules = (rules, snapshot, tracking, now) => {
+  const nextTracking = {};
+  const notifications = [];
+  rules.filter(rule => rule.enabled).forEach(rule => {
+    const metric = METRICS[rule.metric];
+    subjectsFor(rule, snapshot).forEach(subject => {
+      const key = `${rule.id}:${subject.id}`;
+      const previous = tracking[key] || {};
+      if (subject.value === undefined || subject.value === null || !OPERATORS[rule.operator].test(subject.value, rule.threshold)) {
+        if (previous.lastFiredAt) nextTracking[key] = { lastFiredAt: previous.lastFiredAt };
+        return;
+      }
+      const since = previous.since ?? now;
+      const held = now - since >= rule.durationMinutes * MINUTE;
+      const cooledDown = !previous.lastFiredAt || now - previous.lastFiredAt >= rule.cooldownMinutes * MINUTE;
+      if (!held || !cooledDown) {
+        nextTracking[key] = { since, lastFiredAt: previous.lastFiredAt };
+        return;
+      }
+      nextTracking[key] = { since, lastFiredAt: now };
+      notifications.push({
+        id: `${key}:${now}`,
+        ruleId: rule.id,
+        subjectId: subject.id,
+        severity: rule.severity,
+        title: rule.name,
+        message: `${subject.name}: ${metric.label.toLowerCase()} is ${formatValue(subject.value, metric)}`,
+        value: subject.value,
+        timestamp: now,
+        read: false,
+        channels: rule.channels,
+      });
+    });
+  });
+  return { tracking: nextTracking, notifications };
+};
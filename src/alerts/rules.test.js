@@ -0,0 +1,55 @@
+import { evaluateRules, defaultRules, validateRule } from './rules';
+import { deliver } from './delivery';
+
+const MINUTE = 60000;
+const start = Date.UTC(2026, 0, 14, 12);
+const tankRule = defaultRules.find(rule => rule.name === 'Rain tank low');
+const needsWater = { ...defaultRules.find(rule => rule.name === 'Plant needs water'), durationMinutes: 10, cooldownMinutes: 60 };
+
+const snapshot = (overrides) => ({ plants: [], tankLevel: 50, batteryLevel: 80, ...overrides });
+
+test('fires only after the condition has held for the duration', () => {
+  const plants = [{ id: 1, name: 'Mint', status: 'Needs Water', moisture: 50 }, { id: 2, name: 'Aloe', status: 'Healthy', moisture: 30 }];
+  let result = evaluateRules([needsWater], snapshot({ plants }), {}, start);
+  expect(result.notifications).toEqual([]);
+  result = evaluateRules([needsWater], snapshot({ plants }), result.tracking, start + 9 * MINUTE);
+  expect(result.notifications).toEqual([]);
+  result = evaluateRules([needsWater], snapshot({ plants }), result.tracking, start + 10 * MINUTE);
+  expect(result.notifications).toHaveLength(1);
+  expect(result.notifications[0]).toMatchObject({ subjectId: 1, title: 'Plant needs water', message: 'Mint: plant status is Needs Water' });
+});
+
+test('resets the duration when the condition clears', () => {
+  const dry = snapshot({ plants: [{ id: 1, name: 'Mint', status: 'Needs Water' }] });
+  const wet = snapshot({ plants: [{ id: 1, name: 'Mint', status: 'Healthy' }] });
+  let { tracking } = evaluateRules([needsWater], dry, {}, start);
+  ({ tracking } = evaluateRules([needsWater], wet, tracking, start + 5 * MINUTE));
+  ({ tracking } = evaluateRules([needsWater], dry, tracking, start + 6 * MINUTE));
+  expect(evaluateRules([needsWater], dry, tracking, start + 12 * MINUTE).notifications).toEqual([]);
+});
+
+test('respects the cooldown, even across the condition clearing', () => {
+  let result = evaluateRules([tankRule], snapshot({ tankLevel: 10 }), {}, start);
+  expect(result.notifications[0].message).toBe('Rain tank level: rain tank level is 10%');
+  result = evaluateRules([tankRule], snapshot({ tankLevel: 40 }), result.tracking, start + MINUTE);
+  result = evaluateRules([tankRule], snapshot({ tankLevel: 5 }), result.tracking, start + 2 * MINUTE);
+  expect(result.notifications).toEqual([]);
+  result = evaluateRules([tankRule], snapshot({ tankLevel: 5 }), result.tracking, start + tankRule.cooldownMinutes * MINUTE);
+  expect(result.notifications).toHaveLength(1);
+});
+
+test('validates thresholds against the metric', () => {
+  expect(validateRule({ ...tankRule, threshold: 'Too Wet' })).toMatch('Threshold');
+  expect(validateRule({ ...needsWater, threshold: 'Dry' })).toMatch('Threshold');
+  expect(validateRule(tankRule)).toBeNull();
+});
+
+test('posts to the webhook when the rule enables it', async () => {
+  global.fetch = jest.fn(() => Promise.resolve({ ok: true }));
+  const [notification] = evaluateRules([{ ...tankRule, channels: { browser: false, webhook: true } }], snapshot({ tankLevel: 0 }), {}, start).notifications;
+  expect(await deliver(notification, { webhookUrl: 'http://localhost:8082/alerts', browserEnabled: false })).toEqual({ webhook: 'sent' });
+  const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+  expect(body).toMatchObject({ source: 'aquasprout', title: 'Rain tank low', severity: 'warning', timestamp: new Date(start).toISOString() });
+  expect(body.channels).toBeUndefined();
+  delete global.fetch;
+});
@@ -0,0 +1,100 @@
+import { useState, useEffect } from 'react';
+import { createVersionedStore } from '../storage/versionedStore';
+
+const DAY = 24 * 3600000;
+
+export const RETENTION_OPTIONS = [7, 30, 90, 365];
+// Keeps the log inside localStorage's quota whatever the retention
+export const MAX_ENTRIES = 5000;
+
+// Who or what caused an entry. Zone run triggers map onto these.
+export const SOURCES = { user: 'User', schedule: 'Schedule', auto: 'Auto rule', vacation: 'Vacation emergency', trip: 'Trip dates' };
+
+export const ACTIONS = {
+  watering: { label: 'Watering', kind: 'watering' },
+  'auto-watering': { label: 'Auto-watering', kind: 'control' },
+  'vacation-mode': { label: 'Vacation mode', kind: 'control' },
+  'water-all': { label: 'Water all', kind: 'control' },
+  'zone-run': { label: 'Zone run', kind: 'control' },
+  'zone-stop': { label: 'Zone stop', kind: 'control' },
+  'command-queued': { label: 'Queued offline', kind: 'control' },
+  'command-dropped': { label: 'Offline command dropped', kind: 'control' },
+};
+
+export const sourceForTrigger = (trigger) => (trigger === 'manual' ? 'user' : trigger);
+
+// Append-only record of control changes and waterings. Entries are never
+// edited; the only way out is ageing past the retention. Plant and zone names
+// are copied in so entries still read right after a rename or removal.
+//
+// Schema history:
+//   1 - { nextId, retentionDays, entries: [{ id, timestamp, action, source, ...details }] }
+//       watering: plantId, plant, zoneId, zone, liters, moistureBefore, moistureAfter, reason
+//       auto-watering, vacation-mode: before, after
+//       water-all: zones
+//       zone-run, zone-stop, command-queued, command-dropped: zoneId, zone, minutes, queuedAt
+export const auditStore = createVersionedStore('aquasprout.audit', {
+  version: 1,
+  migrations: [
+    () => ({ nextId: 1, retentionDays: 90, entries: [] }),
+  ],
+});
+
+const prune = (entries, retentionDays, now) =>
+  entries.filter(entry => entry.timestamp >= now - retentionDays * DAY).slice(-MAX_ENTRIES);
+
+export const appendAudit = (log, entries, now = Date.now()) => {
+  if (!entries.length) return log;
+  const added = entries.map((entry, idx) => {
+    if (!ACTIONS[entry.action]) throw new Error(`Unknown audit action "${entry.action}"`);
+    if (!SOURCES[entry.source]) throw new Error(`Unknown audit source "${entry.source}"`);
+    return { timestamp: now, ...entry, id: log.nextId + idx };
+  });
+  return { ...log, nextId: log.nextId + entries.length, entries: prune([...log.entries, ...added], log.retentionDays, now) };
+};
+
+export const setRetention = (log, retentionDays, now = Date.now()) => {
+  if (!RETENTION_OPTIONS.includes(retentionDays)) throw new Error(`Retention must be one of ${RETENTION_OPTIONS.join(', ')} days`);
+  return { ...log, retentionDays, entries: prune(log.entries, retentionDays, now) };
+};
+
+// Newest first. `filters` may hold kind ('control' | 'watering'), source and plantId.
+export const filterAudit = (entries, { kind = null, source = null, plantId = null } = {}) =>
+  entries
+    .filter(entry => (!kind || ACTIONS[entry.action].kind === kind)
+      && (!source || entry.source === source)
+      && (plantId === null || entry.plantId === plantId))
+    .reverse();
+
+const percent = (value) => (value === null ? '?' : `${Math.round(value)}%`);
+const command = (entry) => `${entry.zone}: ${entry.minutes ? `${entry.minutes} min run` : 'stop'}`;
+
+// One line of plain text for the timeline and the CSV export
+export const describeEntry = (entry) => {
+  switch (entry.action) {
+    case 'watering':
+      return `${entry.plant} (${entry.zone}): ${entry.liters.toFixed(2)} L, moisture ${percent(entry.moistureBefore)} → ${percent(entry.moistureAfter)}${entry.reason === 'completed' ? '' : `, ${entry.reason}`}`;
+    case 'auto-watering':
+    case 'vacation-mode':
+      return `${entry.before ? 'On' : 'Off'} → ${entry.after ? 'on' : 'off'}`;
+    case 'water-all':
+      return entry.zones.length ? `Started ${entry.zones.join(', ')}` : 'No zones with plants';
+    case 'zone-run':
+      return `${entry.zone} for ${entry.minutes} min${entry.queuedAt ? ', replayed from the offline queue' : ''}`;
+    case 'zone-stop':
+      return `${entry.zone}${entry.queuedAt ? ', replayed from the offline queue' : ''}`;
+    case 'command-queued':
+      return `${command(entry)}, waiting for the controller`;
+    case 'command-dropped':
+      return `${command(entry)}, too old to replay`;
+    default:
+      return '';
+  }
+};
+
+export const useAuditLog = (scope = null) => {
+  const store = auditStore.scoped(scope);
+  const [log, setLog] = useState(() => store.load());
+  useEffect(() => store.save(log), [store, log]);
+  return [log, setLog];
+};
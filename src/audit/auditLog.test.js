@@ -0,0 +1,55 @@
+import { appendAudit, setRetention, filterAudit, describeEntry, sourceForTrigger, MAX_ENTRIES } from './auditLog';
+
+const DAY = 24 * 3600000;
+const empty = { nextId: 1, retentionDays: 30, entries: [] };
+const watering = { action: 'watering', source: 'schedule', plantId: 2, plant: 'Basil', zoneId: 1, zone: 'Beds', liters: 0.5, moistureBefore: 31.6, moistureAfter: 48.2, reason: 'completed' };
+
+test('appends entries with ids and drops ones past the retention', () => {
+  const now = 100 * DAY;
+  let log = appendAudit(empty, [{ action: 'auto-watering', source: 'user', before: true, after: false, timestamp: now - 40 * DAY }], now - 40 * DAY);
+  log = appendAudit(log, [watering, { action: 'water-all', source: 'user', zones: ['Beds'] }], now);
+  expect(log.nextId).toBe(4);
+  expect(log.entries.map(entry => entry.id)).toEqual([2, 3]);
+  expect(log.entries[0].timestamp).toBe(now);
+  expect(appendAudit(log, [], now)).toBe(log);
+});
+
+test('rejects unknown actions and sources', () => {
+  expect(() => appendAudit(empty, [{ action: 'reboot', source: 'user' }])).toThrow('Unknown audit action "reboot"');
+  expect(() => appendAudit(empty, [{ action: 'water-all', source: 'cron', zones: [] }])).toThrow('Unknown audit source "cron"');
+});
+
+test('caps the number of entries', () => {
+  const many = Array.from({ length: MAX_ENTRIES + 10 }, () => ({ action: 'zone-stop', source: 'user', zoneId: 1, zone: 'Beds' }));
+  const log = appendAudit(empty, many, 0);
+  expect(log.entries).toHaveLength(MAX_ENTRIES);
+  expect(log.entries[0].id).toBe(11);
+});
+
+test('shortening the retention prunes at once', () => {
+  const now = 100 * DAY;
+  const log = appendAudit(empty, [{ ...watering, timestamp: now - 10 * DAY }, watering], now);
+  expect(setRetention(log, 7, now).entries).toHaveLength(1);
+  expect(() => setRetention(log, 3, now)).toThrow('Retention must be one of 7, 30, 90, 365 days');
+});
+
+test('filters by kind, source and plant, newest first', () => {
+  const log = appendAudit(empty, [
+    watering,
+    { action: 'vacation-mode', source: 'trip', before: false, after: true },
+    { ...watering, plantId: 3, plant: 'Fern', source: 'auto' },
+  ], 0);
+  expect(filterAudit(log.entries).map(entry => entry.id)).toEqual([3, 2, 1]);
+  expect(filterAudit(log.entries, { kind: 'control' }).map(entry => entry.id)).toEqual([2]);
+  expect(filterAudit(log.entries, { kind: 'watering', source: 'auto' }).map(entry => entry.id)).toEqual([3]);
+  expect(filterAudit(log.entries, { plantId: 2 }).map(entry => entry.id)).toEqual([1]);
+});
+
+test('describes entries and maps manual runs to the user', () => {
+  expect(describeEntry(watering)).toBe('Basil (Beds): 0.50 L, moisture 32% → 48%');
+  expect(describeEntry({ ...watering, reason: 'no power' })).toMatch(/, no power$/);
+  expect(describeEntry({ action: 'zone-run', zone: 'Beds', minutes: 5, queuedAt: 1 })).toBe('Beds for 5 min, replayed from the offline queue');
+  expect(describeEntry({ action: 'command-dropped', zone: 'Beds', minutes: null })).toBe('Beds: stop, too old to replay');
+  expect(sourceForTrigger('manual')).toBe('user');
+  expect(sourceForTrigger('vacation')).toBe('vacation');
+});
@@ -0,0 +1,182 @@
+import { registryStore } from '../plants/registry';
+import { irrigationStore, validateSchedule } from '../irrigation/schedules';
+import { validateZone } from '../irrigation/zones';
+import { validateSolar } from '../energy/solar';
+import { settingsStore } from '../settings';
+import { validateProfile } from '../plants/species';
+
+export const BACKUP_FORMAT = 'aquasprout-backup';
+
+export const createBackup = ({ registry, irrigation, settings }, now = Date.now()) => ({
+  format: BACKUP_FORMAT,
+  exportedAt: new Date(now).toISOString(),
+  schemas: { registry: registryStore.version, irrigation: irrigationStore.version, settings: settingsStore.version },
+  registry,
+  irrigation,
+  settings,
+});
+
+// How to treat imported plants whose id already exists:
+//   replace   - discard the current garden and use the backup as-is
+//   skip      - keep the current plant, drop the imported one
+//   overwrite - the imported plant replaces the current one
+//   duplicate - keep both, giving the imported plant a new id
+export const CONFLICT_STRATEGIES = {
+  replace: 'Replace everything',
+  skip: 'Keep existing plants',
+  overwrite: 'Overwrite existing plants',
+  duplicate: 'Import as new plants',
+};
+
+const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// Whether `value` is an object whose listed fields have the given types
+// ('array' or a typeof name), so the validators can read them safely
+const hasShape = (value, fields) => isObject(value) && Object.entries(fields)
+  .every(([field, type]) => (type === 'array' ? Array.isArray(value[field]) : typeof value[field] === type));
+
+// Parses and validates backup JSON, upgrading older schemas through the
+// stores' own migrations. Throws with every problem found.
+export const parseBackup = (text) => {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Not a JSON file');
+  }
+  if (backup?.format !== BACKUP_FORMAT) throw new Error('Not an AquaSprout backup');
+
+  const schemas = backup.schemas || {};
+  let registry;
+  let irrigation;
+  let settings;
+  try {
+    registry = registryStore.migrate(backup.registry, schemas.registry ?? registryStore.version);
+    irrigation = irrigationStore.migrate(backup.irrigation, schemas.irrigation ?? irrigationStore.version);
+    settings = settingsStore.migrate(backup.settings, schemas.settings ?? settingsStore.version);
+  } catch (error) {
+    throw new Error(`Backup is from a newer version of AquaSprout: ${error.message}`);
+  }
+
+  const errors = [];
+  if (!hasShape(registry, { plants: 'array' }) || !isObject(registry.species)) {
+    errors.push('Missing plants or species');
+  } else {
+    Object.entries(registry.species).forEach(([name, profile]) => {
+      const error = isObject(profile) ? validateProfile(profile) : 'Not a species profile';
+      if (error) errors.push(`Species "${name}": ${error}`);
+    });
+    const ids = new Set();
+    registry.plants.forEach((plant, idx) => {
+      const label = `Plant ${idx + 1}`;
+      if (!isObject(plant)) {
+        errors.push(`${label}: not a plant`);
+        return;
+      }
+      if (!Number.isInteger(plant.id) || plant.id < 1) errors.push(`${label}: id must be a positive integer`);
+      else if (ids.has(plant.id)) errors.push(`${label}: duplicate id ${plant.id}`);
+      ids.add(plant.id);
+      if (typeof plant.name !== 'string' || !plant.name.trim()) errors.push(`${label}: name is required`);
+      if (!registry.species[plant.species]) errors.push(`${label}: unknown species "${plant.species}"`);
+    });
+  }
+  if (!hasShape(irrigation, { schedules: 'array' }) || !Array.isArray(irrigation.zones ?? [])) {
+    errors.push('Missing schedules');
+  } else {
+    irrigation.schedules.forEach((schedule, idx) => {
+      if (!hasShape(schedule, { name: 'string', days: 'array', plantIds: 'array' })) {
+        errors.push(`Schedule ${idx + 1}: not a schedule`);
+        return;
+      }
+      const error = validateSchedule(schedule);
+      if (error) errors.push(`Schedule "${schedule.name}": ${error}`);
+    });
+    (irrigation.zones || []).forEach((zone, idx) => {
+      if (!hasShape(zone, { name: 'string', valve: 'string', plantIds: 'array' })) {
+        errors.push(`Zone ${idx + 1}: not a zone`);
+        return;
+      }
+      const error = validateZone(zone);
+      if (error) errors.push(`Zone "${zone.name}": ${error}`);
+    });
+  }
+  if (!isObject(settings)) {
+    errors.push('Missing settings');
+  } else {
+    if (!isObject(settings.location) || !Number.isFinite(settings.location.latitude) || !Number.isFinite(settings.location.longitude)) {
+      errors.push('Settings: location is missing coordinates');
+    }
+    if (!isObject(settings.units)) errors.push('Settings: units are missing');
+    if (!hasShape(settings.tank, { capacityLiters: 'number' })) errors.push('Settings: tank capacity is missing');
+    const solarError = isObject(settings.solar) ? validateSolar(settings.solar) : 'Solar settings are missing';
+    if (solarError) errors.push(`Settings: ${solarError}`);
+  }
+  if (errors.length) throw new Error(errors.join('\n'));
+
+  return { ...backup, registry, irrigation, settings };
+};
+
+// Plant ids in the backup that already exist in the current registry
+export const findConflicts = (current, backup) =>
+  backup.registry.plants.filter(plant => current.registry.plants.some(existing => existing.id === plant.id));
+
+// Merges a parsed backup into the current state. Returns the new state and a
+// short report of what happened.
+export const importBackup = (current, backup, { strategy, includeSettings }) => {
+  const settings = includeSettings ? backup.settings : current.settings;
+  if (strategy === 'replace') {
+    return {
+      registry: backup.registry,
+      irrigation: backup.irrigation,
+      settings,
+      report: { added: backup.registry.plants.length, skipped: 0, overwritten: 0, renumbered: 0 },
+    };
+  }
+
+  const report = { added: 0, skipped: 0, overwritten: 0, renumbered: 0 };
+  // Imported plant id -> id it ends up with (null when dropped)
+  const idMap = {};
+  let nextId = Math.max(0, ...current.registry.plants.map(plant => plant.id), ...backup.registry.plants.map(plant => plant.id)) + 1;
+  let plants = [...current.registry.plants];
+
+  backup.registry.plants.forEach(plant => {
+    const clash = plants.some(existing => existing.id === plant.id);
+    if (!clash) {
+      plants.push(plant);
+      idMap[plant.id] = plant.id;
+      report.added += 1;
+    } else if (strategy === 'skip') {
+      idMap[plant.id] = null;
+      report.skipped += 1;
+    } else if (strategy === 'overwrite') {
+      plants = plants.map(existing => (existing.id === plant.id ? plant : existing));
+      idMap[plant.id] = plant.id;
+      report.overwritten += 1;
+    } else {
+      plants.push({ ...plant, id: nextId });
+      idMap[plant.id] = nextId;
+      nextId += 1;
+      report.renumbered += 1;
+    }
+  });
+
+  // Imported profiles win unless we are keeping existing data; built-ins stay built-in
+  const species = { ...current.registry.species };
+  Object.entries(backup.registry.species).forEach(([name, profile]) => {
+    if (species[name] && strategy === 'skip') return;
+    species[name] = { ...profile, custom: species[name] ? species[name].custom : profile.custom !== false };
+  });
+
+  // Zones and the pump stay as they are: imported plants start unassigned
+  let nextScheduleId = Math.max(0, ...current.irrigation.schedules.map(schedule => schedule.id)) + 1;
+  const importedSchedules = backup.irrigation.schedules
+    .map(schedule => ({ ...schedule, id: nextScheduleId++, plantIds: schedule.plantIds.map(id => idMap[id]).filter(Boolean) }))
+    .filter(schedule => schedule.plantIds.length);
+
+  return {
+    registry: { plants, species },
+    irrigation: { ...current.irrigation, schedules: [...current.irrigation.schedules, ...importedSchedules] },
+    settings,
+    report,
+  };
+};
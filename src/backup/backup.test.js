@@ -0,0 +1,92 @@
+import { createBackup, parseBackup, importBackup, findConflicts } from './backup';
+import { toCsv } from './csv';
+import { activityRows } from './exports';
+import { registryStore, addPlant, saveSpecies } from '../plants/registry';
+import { irrigationStore, newSchedule, saveSchedule } from '../irrigation/schedules';
+import { settingsStore } from '../settings';
+
+beforeEach(() => window.localStorage.clear());
+
+const currentState = () => ({ registry: registryStore.load(), irrigation: irrigationStore.load(), settings: settingsStore.load() });
+
+// A backup from another garden: one new species, a plant whose id clashes, one that doesn't
+const otherGarden = () => {
+  const base = currentState();
+  let registry = saveSpecies(base.registry, 'Basil', { optimalMin: 50, optimalMax: 70, decayRate: 0.2, waterAbsorption: 20 });
+  registry = { ...registry, plants: [{ id: 1, name: 'Basil pot', species: 'Basil' }, { id: 42, name: 'Chilli', species: 'Tomato' }] };
+  const irrigation = saveSchedule(base.irrigation, { ...newSchedule([], [1, 42]), name: 'Evening' });
+  return JSON.stringify(createBackup({ ...base, registry, irrigation }));
+};
+
+test('escapes CSV cells', () => {
+  expect(toCsv([{ a: 'plain', b: 'with, comma' }, { a: 'say "hi"', b: null }], ['a', 'b'])).toBe('a,b\r\nplain,"with, comma"\r\n"say ""hi""",');
+});
+
+test('leaves unknown moisture blank in the activity export', () => {
+  const base = { id: 1, timestamp: 0, action: 'watering', source: 'user', plantId: 1, plant: 'Basil', zoneId: 1, zone: 'Zone 1', liters: 0.5, reason: 'completed' };
+  const [unknown, known] = activityRows([{ ...base, moistureBefore: null, moistureAfter: null }, { ...base, moistureBefore: 31.27, moistureAfter: 58.04 }]);
+  expect([unknown.moistureBefore, unknown.moistureAfter]).toEqual(['', '']);
+  expect([known.moistureBefore, known.moistureAfter]).toEqual([31.3, 58]);
+});
+
+test('rejects files that are not valid backups', () => {
+  expect(() => parseBackup('nope')).toThrow('Not a JSON file');
+  expect(() => parseBackup('{"format":"something-else"}')).toThrow('Not an AquaSprout backup');
+  const broken = JSON.parse(otherGarden());
+  broken.registry.plants.push({ id: 42, name: '', species: 'Cactus' });
+  broken.irrigation.zones[0].flowRateLpm = 0;
+  expect(() => parseBackup(JSON.stringify(broken))).toThrow(/duplicate id 42[\s\S]*name is required[\s\S]*unknown species "Cactus"[\s\S]*Flow rate must be positive/);
+  const future = { ...JSON.parse(otherGarden()), schemas: { registry: 99 } };
+  expect(() => parseBackup(JSON.stringify(future))).toThrow('newer version');
+});
+
+test('reports wrongly typed sections instead of failing on them', () => {
+  const garbled = JSON.parse(otherGarden());
+  garbled.registry.plants = 'Basil';
+  garbled.irrigation.schedules = [null, { ...garbled.irrigation.schedules[0], days: 'daily' }];
+  garbled.irrigation.zones = [7];
+  garbled.settings = [];
+  expect(() => parseBackup(JSON.stringify(garbled))).toThrow(/Missing plants or species\nSchedule 1: not a schedule\nSchedule 2: not a schedule\nZone 1: not a zone\nMissing settings/);
+  const noSolar = JSON.parse(otherGarden());
+  noSolar.settings.solar = 'sunny';
+  noSolar.registry.species = { Basil: null };
+  expect(() => parseBackup(JSON.stringify(noSolar))).toThrow(/Species "Basil": Not a species profile[\s\S]*Solar settings are missing/);
+});
+
+test('upgrades backups written at older schema versions', () => {
+  const old = JSON.parse(otherGarden());
+  delete old.settings.tank;
+  old.schemas.settings = 1;
+  expect(parseBackup(JSON.stringify(old)).settings.tank).toEqual({ capacityLiters: 200 });
+
+  delete old.irrigation.zones;
+  delete old.irrigation.pump;
+  old.schemas.irrigation = 1;
+  const { irrigation } = parseBackup(JSON.stringify(old));
+  expect(irrigation.zones.length).toBeGreaterThan(0);
+  expect(irrigation.pump.maxConcurrentZones).toBe(1);
+});
+
+test('handles plant id conflicts according to the chosen strategy', () => {
+  const current = currentState();
+  current.registry = addPlant(current.registry, { name: 'Spare', species: 'Mint' });
+  const backup = parseBackup(otherGarden());
+  expect(findConflicts(current, backup).map(plant => plant.id)).toEqual([1]);
+
+  const skipped = importBackup(current, backup, { strategy: 'skip', includeSettings: false });
+  expect(skipped.report).toEqual({ added: 1, skipped: 1, overwritten: 0, renumbered: 0 });
+  expect(skipped.registry.plants.find(plant => plant.id === 1).name).toBe('Cabbage');
+  expect(skipped.irrigation.schedules[0].plantIds).toEqual([42]);
+
+  const overwritten = importBackup(current, backup, { strategy: 'overwrite', includeSettings: false });
+  expect(overwritten.registry.plants.find(plant => plant.id === 1).name).toBe('Basil pot');
+  expect(overwritten.registry.species.Basil.custom).toBe(true);
+
+  const duplicated = importBackup(current, backup, { strategy: 'duplicate', includeSettings: false });
+  const copy = duplicated.registry.plants.find(plant => plant.name === 'Basil pot');
+  expect(copy.id).toBe(43);
+  expect(duplicated.irrigation.schedules[0].plantIds).toEqual([43, 42]);
+
+  const replaced = importBackup(current, backup, { strategy: 'replace', includeSettings: true });
+  expect(replaced.registry.plants).toHaveLength(2);
+});
@@ -0,0 +1,63 @@
+import { ACTIONS, SOURCES, describeEntry } from '../audit/auditLog';
+
+// Flat row shapes for each exportable dataset. The same rows back both the
+// CSV and the JSON exports.
+const iso = (timestamp) => (timestamp ? new Date(timestamp).toISOString() : '');
+
+export const plantRows = (plants, registry) =>
+  plants.map(plant => ({
+    id: plant.id,
+    name: plant.name,
+    species: plant.species,
+    moisture: Math.round(plant.moisture * 10) / 10,
+    status: plant.status,
+    lastWatered: iso(plant.lastWatered),
+    optimalMin: registry.species[plant.species]?.optimalMin,
+    optimalMax: registry.species[plant.species]?.optimalMax,
+  }));
+
+export const speciesRows = (registry) =>
+  Object.entries(registry.species).map(([name, profile]) => ({ name, ...profile }));
+
+// `pointsByPlant` maps plant id to history points from the history store
+export const historyRows = (plants, pointsByPlant) =>
+  plants.flatMap(plant => (pointsByPlant[plant.id] || []).map(point => ({
+    plantId: plant.id,
+    plant: plant.name,
+    timestamp: iso(point.timestamp),
+    moisture: Math.round(point.moisture * 10) / 10,
+    min: Math.round(point.min * 10) / 10,
+    max: Math.round(point.max * 10) / 10,
+  })));
+
+export const wateringRows = (events, plants) =>
+  events.map(event => ({
+    timestamp: iso(event.timestamp),
+    plantId: event.plantId,
+    plant: plants.find(plant => plant.id === event.plantId)?.name || '',
+    trigger: event.trigger,
+    liters: Math.round(event.liters * 100) / 100,
+    tankLiters: Math.round(event.tankLiters * 100) / 100,
+    mainsLiters: Math.round(event.mainsLiters * 100) / 100,
+    energyWh: Math.round(event.energyWh * 100) / 100,
+  }));
+
+export const activityRows = (entries) =>
+  entries.map(entry => ({
+    timestamp: iso(entry.timestamp),
+    action: ACTIONS[entry.action].label,
+    source: SOURCES[entry.source],
+    plantId: entry.plantId ?? '',
+    zoneId: entry.zoneId ?? '',
+    moistureBefore: entry.moistureBefore == null ? '' : Math.round(entry.moistureBefore * 10) / 10,
+    moistureAfter: entry.moistureAfter == null ? '' : Math.round(entry.moistureAfter * 10) / 10,
+    details: describeEntry(entry),
+  }));
+
+export const columns = {
+  plants: ['id', 'name', 'species', 'moisture', 'status', 'lastWatered', 'optimalMin', 'optimalMax'],
+  species: ['name', 'optimalMin', 'optimalMax', 'decayRate', 'waterAbsorption', 'custom'],
+  history: ['plantId', 'plant', 'timestamp', 'moisture', 'min', 'max'],
+  waterings: ['timestamp', 'plantId', 'plant', 'trigger', 'liters', 'tankLiters', 'mainsLiters', 'energyWh'],
+  activity: ['timestamp', 'action', 'source', 'plantId', 'zoneId', 'moistureBefore', 'moistureAfter', 'details'],
+};
@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+import { ACTIONS, SOURCES, RETENTION_OPTIONS, filterAudit, describeEntry } from '../audit/auditLog';
+import { formatTimeAgo } from '../format';
+
+const PAGE = 15;
+
+const sourceColors = { user: 'var(--info)', schedule: 'var(--series-4)', auto: 'var(--ok)', vacation: 'var(--alert)', trip: 'var(--warn)' };
+
+// Filterable timeline of the garden's audit log, newest first.
+const ActivityLog = ({ log, timeZone, now, onRetentionChange }) => {
+  const [kind, setKind] = useState('');
+  const [source, setSource] = useState('');
+  const [plantId, setPlantId] = useState('');
+  const [limit, setLimit] = useState(PAGE);
+
+  // Plants as named in the log, so removed ones can still be picked
+  const plants = [...new Map(log.entries.filter(entry => entry.plantId !== undefined).map(entry => [entry.plantId, entry.plant])).entries()];
+  const entries = filterAudit(log.entries, { kind: kind || null, source: source || null, plantId: plantId === '' ? null : Number(plantId) });
+  const shown = entries.slice(0, limit);
+  const clock = (timestamp) => new Date(timestamp).toLocaleString('en-US', { weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23', timeZone });
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.filters}>
+        <select style={styles.select} aria-label="Activity type" value={kind} onChange={(e) => { setKind(e.target.value); setLimit(PAGE); }}>
+          <option value="">Everything</option>
+          <option value="control">Controls</option>
+          <option value="watering">Waterings</option>
+        </select>
+        <select style={styles.select} aria-label="Triggered by" value={source} onChange={(e) => { setSource(e.target.value); setLimit(PAGE); }}>
+          <option value="">Any source</option>
+          {Object.entries(SOURCES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+        </select>
+        <select style={styles.select} aria-label="Plant" value={plantId} onChange={(e) => { setPlantId(e.target.value); setLimit(PAGE); }}>
+          <option value="">All plants</option>
+          {plants.map(([id, name]) => <option key={id} value={id}>{name}</option>)}
+        </select>
+      </div>
+      {!entries.length ? (
+        <div style={styles.empty}>{log.entries.length ? 'Nothing matches these filters.' : 'No activity yet.'}</div>
+      ) : (
+        <ol style={styles.list}>
+          {shown.map(entry => (
+            <li key={entry.id} style={styles.item}>
+              <span style={{ ...styles.dot, background: sourceColors[entry.source] }} aria-hidden="true" />
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <div style={styles.heading}>
+                  <strong>{ACTIONS[entry.action].label}</strong>
+                  <span style={{ ...styles.source, color: sourceColors[entry.source] }}>{SOURCES[entry.source]}</span>
+                </div>
+                <div style={styles.text}>{describeEntry(entry)}</div>
+                <div style={styles.time} title={new Date(entry.timestamp).toISOString()}>{clock(entry.timestamp)} · {formatTimeAgo(entry.timestamp, now)}</div>
+              </div>
+            </li>
+          ))}
+        </ol>
+      )}
+      {entries.length > limit && (
+        <button style={styles.link} onClick={() => setLimit(limit + PAGE)}>Show {Math.min(PAGE, entries.length - limit)} more</button>
+      )}
+      <label style={styles.retention}>
+        Keep activity for
+        <select style={styles.select} value={log.retentionDays} onChange={(e) => onRetentionChange(Number(e.target.value))}>
+          {RETENTION_OPTIONS.map(days => <option key={days} value={days}>{days} days</option>)}
+        </select>
+      </label>
+    </div>
+  );
+};
+
+const styles = {
+  container: { display: 'flex', flexDirection: 'column', gap: '10px' },
+  filters: { display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '6px' },
+  select: { minWidth: 0, padding: '4px 6px', background: 'var(--bg)', border: '1px solid var(--border)', borderRadius: '6px', color: 'var(--text)', fontSize: '12px' },
+  empty: { fontSize: '13px', color: 'var(--text-faint)' },
+  list: { listStyle: 'none', margin: 0, padding: 0, display: 'flex', flexDirection: 'column', gap: '8px', maxHeight: '360px', overflowY: 'auto' },
+  item: { display: 'flex', gap: '8px', alignItems: 'flex-start', padding: '8px', background: 'var(--bg)', borderRadius: '8px' },
+  dot: { width: '8px', height: '8px', borderRadius: '50%', marginTop: '5px', flexShrink: 0 },
+  heading: { display: 'flex', justifyContent: 'space-between', gap: '6px', fontSize: '13px', color: 'var(--text)' },
+  source: { fontSize: '11px' },
+  text: { fontSize: '12px', color: 'var(--text-muted)', overflowWrap: 'anywhere' },
+  time: { fontSize: '11px', color: 'var(--text-faint)' },
+  link: { alignSelf: 'flex-start', background: 'none', border: 'none', color: 'var(--info)', cursor: 'pointer', fontSize: '12px', padding: 0 },
+  retention: { display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '8px', fontSize: '12px', color: 'var(--text-faint)' },
+};
+
+export default ActivityLog;
@@ -0,0 +1,147 @@
+import React, { useState } from 'react';
+import { Plus, Trash2, Send } from 'lucide-react';
+import { METRICS, OPERATORS, SEVERITIES } from '../alerts/rules';
+import { saveRule, newRule, removeRule } from '../alerts/alerts';
+import { browserNotificationsSupported, requestBrowserPermission, sendWebhook } from '../alerts/delivery';
+
+const AlertRules = ({ alerts, plants, now, onChange }) => {
+  const [editing, setEditing] = useState(null);
+  const [error, setError] = useState(null);
+  const [webhookStatus, setWebhookStatus] = useState(null);
+
+  const update = (rule, changes) => {
+    try {
+      onChange(saveRule(alerts, { ...rule, ...changes }));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const changeMetric = (rule, metric) => {
+    const { values } = METRICS[metric];
+    update(rule, values
+      ? { metric, operator: 'equals', threshold: values[0] }
+      : { metric, operator: rule.operator === 'equals' ? 'below' : rule.operator, threshold: typeof rule.threshold === 'number' ? rule.threshold : 20 });
+  };
+
+  const enableBrowser = async (enabled) => {
+    if (enabled) {
+      const permission = await requestBrowserPermission();
+      if (permission !== 'granted') {
+        setError(permission === 'unsupported' ? 'This browser does not support notifications' : 'Notification permission was not granted');
+        return;
+      }
+    }
+    onChange({ ...alerts, browserEnabled: enabled });
+  };
+
+  const testWebhook = async () => {
+    setWebhookStatus('Sending…');
+    try {
+      await sendWebhook(alerts.webhookUrl, { id: 'test', ruleId: 0, subjectId: 'test', severity: 'info', title: 'Test alert', message: 'Webhook delivery from AquaSprout works', timestamp: now });
+      setWebhookStatus('Test alert delivered');
+    } catch (err) {
+      setWebhookStatus(`Failed: ${err.message}`);
+    }
+  };
+
+  return (
+    <div style={styles.container}>
+      {error && <div style={styles.error} role="alert">{error}</div>}
+      {alerts.rules.map(rule => {
+        const metric = METRICS[rule.metric];
+        const isOpen = editing === rule.id;
+        return (
+          <div key={rule.id} style={styles.rule}>
+            <div style={styles.row}>
+              <label className="switch" title={rule.enabled ? 'Disable rule' : 'Enable rule'}>
+                <input type="checkbox" checked={rule.enabled} onChange={(e) => update(rule, { enabled: e.target.checked })} />
+                <span className="slider"></span>
+              </label>
+              <button style={styles.ruleSummary} onClick={() => setEditing(isOpen ? null : rule.id)} aria-expanded={isOpen}>
+                <div style={styles.ruleName}>{rule.name}</div>
+                <div style={styles.ruleDetail}>
+                  {metric.label} {OPERATORS[rule.operator].label} {rule.threshold}{metric.unit || ''} · {rule.durationMinutes} min · cooldown {rule.cooldownMinutes} min
+                </div>
+              </button>
+              <button style={styles.iconButton} title={`Remove ${rule.name}`} onClick={() => onChange(removeRule(alerts, rule.id))}><Trash2 size={14} /></button>
+            </div>
+            {isOpen && (
+              <div style={styles.form}>
+                <input style={styles.input} aria-label="Rule name" defaultValue={rule.name} onBlur={(e) => e.target.value !== rule.name && update(rule, { name: e.target.value })} />
+                <div style={styles.row}>
+                  <select style={styles.select} aria-label="Metric" value={rule.metric} onChange={(e) => changeMetric(rule, e.target.value)}>
+                    {Object.entries(METRICS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+                  </select>
+                  <select style={styles.select} aria-label="Condition" value={rule.operator} onChange={(e) => update(rule, { operator: e.target.value })}>
+                    {Object.entries(OPERATORS)
+                      .filter(([key]) => (metric.values ? key === 'equals' : key !== 'equals'))
+                      .map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+                  </select>
+                  {metric.values ? (
+                    <select style={styles.select} aria-label="Threshold" value={rule.threshold} onChange={(e) => update(rule, { threshold: e.target.value })}>
+                      {metric.values.map(value => <option key={value} value={value}>{value}</option>)}
+                    </select>
+                  ) : (
+                    <input style={styles.input} type="number" aria-label="Threshold" value={rule.threshold} onChange={(e) => update(rule, { threshold: Number(e.target.value) })} />
+                  )}
+                </div>
+                {metric.perPlant && (
+                  <select style={styles.select} aria-label="Plant" value={rule.plantId ?? ''} onChange={(e) => update(rule, { plantId: e.target.value ? Number(e.target.value) : null })}>
+                    <option value="">Any plant</option>
+                    {plants.map(plant => <option key={plant.id} value={plant.id}>{plant.name}</option>)}
+                  </select>
+                )}
+                <div style={styles.row}>
+                  <label style={styles.field}>For (min)<input style={styles.input} type="number" min="0" value={rule.durationMinutes} onChange={(e) => update(rule, { durationMinutes: Number(e.target.value) })} /></label>
+                  <label style={styles.field}>Cooldown (min)<input style={styles.input} type="number" min="0" value={rule.cooldownMinutes} onChange={(e) => update(rule, { cooldownMinutes: Number(e.target.value) })} /></label>
+                </div>
+                <div style={styles.row}>
+                  <select style={styles.select} aria-label="Severity" value={rule.severity} onChange={(e) => update(rule, { severity: e.target.value })}>
+                    {SEVERITIES.map(severity => <option key={severity} value={severity}>{severity}</option>)}
+                  </select>
+                  <label style={styles.checkbox}><input type="checkbox" checked={rule.channels.browser} onChange={(e) => update(rule, { channels: { ...rule.channels, browser: e.target.checked } })} />Browser</label>
+                  <label style={styles.checkbox}><input type="checkbox" checked={rule.channels.webhook} onChange={(e) => update(rule, { channels: { ...rule.channels, webhook: e.target.checked } })} />Webhook</label>
+                </div>
+              </div>
+            )}
+          </div>
+        );
+      })}
+      <button style={styles.button} onClick={() => { const rule = newRule(alerts.rules); onChange(saveRule(alerts, rule)); setEditing(rule.id); }}><Plus size={14} />Add rule</button>
+
+      <div style={styles.sectionTitle}>Delivery</div>
+      <label style={styles.checkbox}>
+        <input type="checkbox" checked={alerts.browserEnabled} disabled={!browserNotificationsSupported()} onChange={(e) => enableBrowser(e.target.checked)} />
+        Browser notifications
+      </label>
+      <div style={styles.row}>
+        <input style={styles.input} type="url" placeholder="Webhook URL" aria-label="Webhook URL" value={alerts.webhookUrl} onChange={(e) => onChange({ ...alerts, webhookUrl: e.target.value.trim() })} />
+        <button style={styles.iconButton} title="Send test alert" disabled={!alerts.webhookUrl} onClick={testWebhook}><Send size={14} /></button>
+      </div>
+      {webhookStatus && <div style={styles.hint}>{webhookStatus}</div>}
+    </div>
+  );
+};
+
+const styles = {
+  container: { display: 'flex', flexDirection: 'column', gap: '8px', fontSize: '13px' },
+  sectionTitle: { fontSize: '12px', color: 'var(--text-faint)', textTransform: 'uppercase', letterSpacing: '0.05em', marginTop: '8px' },
+  rule: { padding: '8px', background: 'var(--bg)', borderRadius: '8px', display: 'flex', flexDirection: 'column', gap: '8px' },
+  row: { display: 'flex', gap: '6px', alignItems: 'center' },
+  ruleSummary: { flex: 1, minWidth: 0, background: 'none', border: 'none', padding: 0, textAlign: 'left', cursor: 'pointer', color: 'var(--text)' },
+  ruleName: { fontWeight: '600', fontSize: '13px' },
+  ruleDetail: { fontSize: '11px', color: 'var(--text-faint)' },
+  form: { display: 'flex', flexDirection: 'column', gap: '6px', color: 'var(--text-muted)' },
+  field: { flex: 1, display: 'flex', flexDirection: 'column', gap: '4px', fontSize: '11px' },
+  input: { flex: 1, minWidth: 0, padding: '6px 8px', background: 'var(--surface)', border: '1px solid var(--border)', borderRadius: '6px', color: 'var(--text)', fontSize: '13px' },
+  select: { flex: 1, minWidth: 0, padding: '6px', background: 'var(--surface)', border: '1px solid var(--border)', borderRadius: '6px', color: 'var(--text)', fontSize: '13px' },
+  checkbox: { display: 'flex', alignItems: 'center', gap: '4px', color: 'var(--text-muted)' },
+  iconButton: { padding: '6px', background: 'var(--border)', border: 'none', borderRadius: '6px', color: 'var(--text)', cursor: 'pointer', display: 'flex' },
+  button: { padding: '8px', background: 'var(--border)', border: 'none', borderRadius: '6px', color: 'var(--text)', cursor: 'pointer', display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '6px', fontSize: '13px' },
+  hint: { fontSize: '12px', color: 'var(--text-faint)' },
+  error: { padding: '8px', background: 'var(--alert-soft)', border: '1px solid var(--alert)', borderRadius: '6px', color: 'var(--alert)' },
+};
+
+export default AlertRules;
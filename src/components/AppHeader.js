@@ -0,0 +1,40 @@
+import React from 'react';
+import { Droplets } from 'lucide-react';
+
+// Page header shared by the overview and the garden dashboards. `menu` is the
+// display settings button, kept last.
+const AppHeader = ({ switcher, menu, children }) => (
+  <header style={styles.header}>
+    <div style={styles.brand}>
+      <h1 style={styles.title}><Droplets size={32} style={{ marginRight: '12px' }} aria-hidden="true" />AquaSprout Dashboard</h1>
+      {switcher}
+    </div>
+    <div style={styles.headerActions}>{children}{menu}</div>
+  </header>
+);
+
+const styles = {
+  header: {
+    background: 'linear-gradient(135deg, var(--surface) 0%, var(--border) 100%)',
+    padding: '20px clamp(16px, 4vw, 40px)',
+    borderBottom: '2px solid var(--border)',
+    boxShadow: '0 4px 20px var(--shadow)',
+    display: 'flex',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    gap: '12px 20px',
+  },
+  brand: { display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '12px 20px' },
+  title: {
+    margin: 0,
+    fontSize: 'clamp(20px, 5vw, 28px)',
+    fontWeight: '600',
+    display: 'flex',
+    alignItems: 'center',
+    color: 'var(--text-strong)',
+  },
+  headerActions: { display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '16px' },
+};
+
+export default AppHeader;
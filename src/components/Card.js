@@ -0,0 +1,37 @@
+import React, { useId } from 'react';
+
+// Shell shared by the dashboard cards: a titled section, optional header
+// buttons (`actions`) and, while the layout is being edited, its move and
+// hide buttons (`controls`). Cards whose content brings its own heading pass
+// `label` instead of `title`.
+const Card = ({ title, label, icon: Icon, actions, controls, style, children }) => {
+  const headingId = useId();
+  return (
+    <section style={{ ...styles.card, ...style }} aria-labelledby={title ? headingId : undefined} aria-label={title ? undefined : label}>
+      {title && (
+        <div style={styles.header}>
+          <h2 id={headingId} style={styles.title}>{Icon && <Icon size={18} style={styles.icon} aria-hidden="true" />}{title}</h2>
+          {actions}
+        </div>
+      )}
+      {controls}
+      {children}
+    </section>
+  );
+};
+
+const styles = {
+  card: {
+    background: 'linear-gradient(135deg, var(--surface) 0%, var(--surface-2) 100%)',
+    borderRadius: '16px',
+    padding: '20px',
+    border: '1px solid var(--border)',
+    boxShadow: '0 8px 32px var(--shadow)',
+    minWidth: 0,
+  },
+  header: { display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '16px' },
+  title: { flex: 1, margin: 0, fontSize: '16px', fontWeight: '600', color: 'var(--text)', display: 'flex', alignItems: 'center' },
+  icon: { marginRight: '8px', flexShrink: 0 },
+};
+
+export default Card;
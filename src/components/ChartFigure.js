@@ -0,0 +1,16 @@
+import React from 'react';
+
+// Names a chart for assistive technology and gives the data it plots as a
+// sentence, since the SVG itself says little.
+const ChartFigure = ({ label, summary, children }) => (
+  <figure style={styles.figure} aria-label={label}>
+    {children}
+    <figcaption className="sr-only">{summary}</figcaption>
+  </figure>
+);
+
+const styles = {
+  figure: { margin: 0 },
+};
+
+export default ChartFigure;
@@ -0,0 +1,130 @@
+import React, { useState } from 'react';
+import { Download, Upload } from 'lucide-react';
+import { toCsv, downloadFile } from '../backup/csv';
+import { plantRows, speciesRows, historyRows, wateringRows, activityRows, columns } from '../backup/exports';
+import { createBackup, parseBackup, findConflicts, importBackup, CONFLICT_STRATEGIES } from '../backup/backup';
+
+const DATASETS = { plants: 'Plants', species: 'Species profiles', history: 'Moisture history (30 days)', waterings: 'Watering events', activity: 'Activity log' };
+const HISTORY_SPAN = 30 * 24 * 3600000;
+
+const stamp = (now) => new Date(now).toISOString().slice(0, 10);
+
+const DataTransfer = ({ plants, registry, irrigation, settings, ledger, auditLog, history, now, onImport }) => {
+  const [dataset, setDataset] = useState('plants');
+  const [pending, setPending] = useState(null);
+  const [strategy, setStrategy] = useState('duplicate');
+  const [includeSettings, setIncludeSettings] = useState(true);
+  const [message, setMessage] = useState(null);
+
+  const buildRows = async () => {
+    if (dataset === 'plants') return plantRows(plants, registry);
+    if (dataset === 'species') return speciesRows(registry);
+    if (dataset === 'waterings') return wateringRows(ledger.events, plants);
+    if (dataset === 'activity') return activityRows(auditLog.entries);
+    const to = now;
+    const pointsByPlant = {};
+    await Promise.all(plants.map(async plant => {
+      pointsByPlant[plant.id] = await history.query(plant.id, to - HISTORY_SPAN, to, 720);
+    }));
+    return historyRows(plants, pointsByPlant);
+  };
+
+  const exportDataset = async (format) => {
+    try {
+      const rows = await buildRows();
+      if (format === 'csv') downloadFile(`aquasprout-${dataset}-${stamp(now)}.csv`, toCsv(rows, columns[dataset]), 'text/csv');
+      else downloadFile(`aquasprout-${dataset}-${stamp(now)}.json`, JSON.stringify(rows, null, 2), 'application/json');
+      setMessage({ type: 'info', text: `Exported ${rows.length} rows` });
+    } catch (error) {
+      setMessage({ type: 'error', text: `Export failed: ${error.message}` });
+    }
+  };
+
+  const exportBackup = () => {
+    downloadFile(`aquasprout-backup-${stamp(now)}.json`, JSON.stringify(createBackup({ registry, irrigation, settings }, now), null, 2), 'application/json');
+  };
+
+  const readBackup = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const backup = parseBackup(await file.text());
+      setPending({ backup, conflicts: findConflicts({ registry }, backup) });
+      setMessage(null);
+    } catch (error) {
+      setPending(null);
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  const applyBackup = () => {
+    const { report, ...state } = importBackup({ registry, irrigation, settings }, pending.backup, { strategy, includeSettings });
+    onImport(state);
+    setPending(null);
+    setMessage({ type: 'info', text: `Imported: ${report.added} added, ${report.overwritten} overwritten, ${report.renumbered} renumbered, ${report.skipped} skipped` });
+  };
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.sectionTitle}>Export</div>
+      <select style={styles.select} aria-label="Dataset to export" value={dataset} onChange={(e) => setDataset(e.target.value)}>
+        {Object.entries(DATASETS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+      </select>
+      <div style={styles.row}>
+        <button style={styles.button} onClick={() => exportDataset('csv')}><Download size={14} />CSV</button>
+        <button style={styles.button} onClick={() => exportDataset('json')}><Download size={14} />JSON</button>
+      </div>
+
+      <div style={styles.sectionTitle}>Backup</div>
+      <div style={styles.row}>
+        <button style={styles.button} onClick={exportBackup}><Download size={14} />Download backup</button>
+        <label style={styles.button}>
+          <Upload size={14} />Restore
+          <input type="file" accept="application/json,.json" style={styles.fileInput} onChange={readBackup} />
+        </label>
+      </div>
+
+      {pending && (
+        <div style={styles.pending}>
+          <div>
+            Backup from {new Date(pending.backup.exportedAt).toLocaleString()}: {pending.backup.registry.plants.length} plants, {pending.backup.irrigation.schedules.length} schedules.
+          </div>
+          {pending.conflicts.length > 0 && (
+            <div style={styles.warning}>Plant ids already in use: {pending.conflicts.map(plant => `${plant.id} (${plant.name})`).join(', ')}</div>
+          )}
+          <select style={styles.select} aria-label="Conflict handling" value={strategy} onChange={(e) => setStrategy(e.target.value)}>
+            {Object.entries(CONFLICT_STRATEGIES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+          <label style={styles.checkbox}>
+            <input type="checkbox" checked={includeSettings} onChange={(e) => setIncludeSettings(e.target.checked)} />
+            Restore location, units, tank and solar settings
+          </label>
+          <div style={styles.row}>
+            <button style={styles.button} onClick={applyBackup}>Import</button>
+            <button style={{ ...styles.button, ...styles.secondaryButton }} onClick={() => setPending(null)}>Cancel</button>
+          </div>
+        </div>
+      )}
+
+      {message && <div style={message.type === 'error' ? styles.error : styles.info} role={message.type === 'error' ? 'alert' : 'status'}>{message.text}</div>}
+    </div>
+  );
+};
+
+const styles = {
+  container: { display: 'flex', flexDirection: 'column', gap: '8px', fontSize: '13px' },
+  sectionTitle: { fontSize: '12px', color: 'var(--text-faint)', textTransform: 'uppercase', letterSpacing: '0.05em', marginTop: '4px' },
+  row: { display: 'flex', gap: '6px' },
+  select: { padding: '6px', background: 'var(--bg)', border: '1px solid var(--border)', borderRadius: '6px', color: 'var(--text)', fontSize: '13px' },
+  button: { flex: 1, padding: '8px', background: 'var(--border)', border: 'none', borderRadius: '6px', color: 'var(--text)', cursor: 'pointer', display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '6px', fontSize: '13px', position: 'relative' },
+  secondaryButton: { background: 'var(--surface)', border: '1px solid var(--border)' },
+  fileInput: { position: 'absolute', inset: 0, opacity: 0, cursor: 'pointer' },
+  pending: { display: 'flex', flexDirection: 'column', gap: '8px', padding: '10px', background: 'var(--bg)', borderRadius: '8px', color: 'var(--text-muted)' },
+  warning: { color: 'var(--warn)' },
+  checkbox: { display: 'flex', alignItems: 'center', gap: '6px' },
+  info: { padding: '8px', background: 'var(--ok-soft)', border: '1px solid var(--ok)', borderRadius: '6px', color: 'var(--ok)' },
+  error: { padding: '8px', background: 'var(--alert-soft)', border: '1px solid var(--alert)', borderRadius: '6px', color: 'var(--alert)', whiteSpace: 'pre-line' },
+};
+
+export default DataTransfer;
@@ -0,0 +1,46 @@
+import React, { useState } from 'react';
+import { Palette, LayoutGrid } from 'lucide-react';
+import { THEMES, PALETTES } from '../display/theme';
+
+// Header menu for the theme, the palette and, on a garden's dashboard,
+// arranging its cards
+const DisplaySettings = ({ display, onChange, canArrange, onArrange }) => {
+  const [open, setOpen] = useState(false);
+  return (
+    <div style={styles.container} onKeyDown={(e) => e.key === 'Escape' && setOpen(false)}>
+      <button style={styles.toggle} onClick={() => setOpen(!open)} aria-expanded={open} aria-label="Display settings" title="Display settings">
+        <Palette size={20} aria-hidden="true" />
+      </button>
+      {open && (
+        <div style={styles.panel} role="dialog" aria-label="Display settings">
+          <label style={styles.field}>
+            Theme
+            <select style={styles.select} value={display.theme} onChange={(e) => onChange({ ...display, theme: e.target.value })}>
+              {Object.entries(THEMES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+            </select>
+          </label>
+          <label style={styles.field}>
+            Status colours
+            <select style={styles.select} value={display.palette} onChange={(e) => onChange({ ...display, palette: e.target.value })}>
+              {Object.entries(PALETTES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+            </select>
+          </label>
+          {canArrange && (
+            <button style={styles.button} onClick={() => { setOpen(false); onArrange(); }}><LayoutGrid size={14} aria-hidden="true" />Arrange cards</button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const styles = {
+  container: { position: 'relative' },
+  toggle: { padding: '8px', background: 'var(--border)', border: 'none', borderRadius: '8px', color: 'var(--text)', cursor: 'pointer', display: 'flex' },
+  panel: { position: 'absolute', right: 0, top: '44px', width: '240px', padding: '12px', display: 'flex', flexDirection: 'column', gap: '10px', background: 'var(--surface)', border: '1px solid var(--border)', borderRadius: '12px', boxShadow: '0 8px 32px var(--shadow)', zIndex: 10 },
+  field: { display: 'flex', flexDirection: 'column', gap: '4px', fontSize: '12px', color: 'var(--text-faint)' },
+  select: { padding: '6px 8px', background: 'var(--bg)', border: '1px solid var(--border)', borderRadius: '6px', color: 'var(--text)', fontSize: '13px' },
+  button: { padding: '8px', background: 'var(--border)', border: 'none', borderRadius: '6px', color: 'var(--text)', cursor: 'pointer', display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '6px', fontSize: '13px' },
+};
+
+export default DisplaySettings;
@@ -0,0 +1,33 @@
+import React from 'react';
+import Card from './Card';
+import WeatherIcon from './WeatherIcon';
+import { formatTemp } from '../weather/units';
+
+const ForecastCard = ({ forecast, failed, units, controls }) => (
+  <Card title="5-Day Forecast" controls={controls}>
+    {forecast.length === 0 && failed && <div style={styles.empty}>No forecast available offline.</div>}
+    <ol style={styles.grid}>
+      {forecast.map((day, idx) => (
+        <li key={idx} style={styles.day} aria-label={`${day.day}: high ${formatTemp(day.tempMax, units.temperature)}, low ${formatTemp(day.tempMin, units.temperature)}, ${day.precipProbability}% chance of rain`}>
+          <div style={styles.dayName}>{day.day}</div>
+          <WeatherIcon code={day.code} />
+          <div style={styles.temp}>{formatTemp(day.tempMax, units.temperature)}</div>
+          <div style={styles.tempMin}>{formatTemp(day.tempMin, units.temperature)}</div>
+          <div style={styles.rain} title={`${day.precipitation} mm`}>💧{day.precipProbability}%</div>
+        </li>
+      ))}
+    </ol>
+  </Card>
+);
+
+const styles = {
+  empty: { fontSize: '14px', color: 'var(--text-muted)' },
+  grid: { listStyle: 'none', margin: 0, padding: 0, display: 'grid', gridTemplateColumns: 'repeat(5, minmax(0, 1fr))', gap: '8px' },
+  day: { display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '4px', padding: '8px 4px', background: 'var(--bg)', borderRadius: '8px' },
+  dayName: { fontSize: '12px', color: 'var(--text-faint)', fontWeight: '500' },
+  temp: { fontSize: '14px', fontWeight: '600', color: 'var(--text-strong)' },
+  tempMin: { fontSize: '12px', color: 'var(--text-faint)' },
+  rain: { fontSize: '11px', color: 'var(--info)' },
+};
+
+export default ForecastCard;
@@ -0,0 +1,837 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Battery, Sprout, CalendarClock, Database, BellRing, Waves, Plane, FlaskConical, History } from 'lucide-react';
+import { sensorConfig } from '../config';
+import { usePlantRegistry } from '../plants/registry';
+import { moistureStatus } from '../plants/species';
+import PlantManager from './PlantManager';
+import ScheduleEditor from './ScheduleEditor';
+import { useIrrigationSettings, logMaintenance } from '../irrigation/schedules';
+import { nextRun, HOUR } from '../irrigation/scheduler';
+import { formatTimeAgo, formatTimeUntil } from '../format';
+import { fetchForecastWithCache } from '../weather/weatherCache';
+import { useSettings } from '../settings';
+import { createHistoryStore } from '../storage/historyStore';
+import MoistureTrendChart from './MoistureTrendChart';
+import DataTransfer from './DataTransfer';
+import NotificationCenter from './NotificationCenter';
+import AlertRules from './AlertRules';
+import { useAlerts, addNotifications, updateNotification, markAllRead, clearNotifications } from '../alerts/alerts';
+import { evaluateRules } from '../alerts/rules';
+import { deliver } from '../alerts/delivery';
+import { useLedger, appendEvents, litersForDose, summarize, BASELINE_WATERINGS_PER_DAY, PUMP_WATTS } from '../irrigation/ledger';
+import { createZoneState, requestRun, stopZone, stepZones, minutesForLiters, ZONE_TICK_MS } from '../irrigation/zones';
+import ZoneControls from './ZoneControls';
+import SolarSystem from './SolarSystem';
+import VacationPlanner from './VacationPlanner';
+import WhatIfPanel from './WhatIfPanel';
+import { useVacationPlan, isVacationActive, tripRange, emergencyThreshold, projectVacation } from '../irrigation/vacation';
+import { panelOutputW, chargePercent, projectBattery, appendSample, BASE_LOAD_W } from '../energy/solar';
+import { wateringRequest, applyDeliveries, finishRuns, rainInflowPerHour, stepEnergy, decayPerHour } from '../simulation/engine';
+import { decideWatering, rainOutlook, DEFER_WINDOW_HOURS } from '../irrigation/weatherDecision';
+import { plantRecommendations, rankRecommendations, rainedSince, LOOKBACK_HOURS } from '../insights/forecast';
+import { useCommandQueue, enqueueCommand, cancelCommand, takeCommands } from '../irrigation/commandQueue';
+import { gardenScope } from '../gardens/gardens';
+import { systemClock } from '../simulation/clock';
+import AppHeader from './AppHeader';
+import ActivityLog from './ActivityLog';
+import Card from './Card';
+import LayoutControls from './LayoutControls';
+import LayoutToolbar from './LayoutToolbar';
+import WeatherCard from './WeatherCard';
+import ForecastCard from './ForecastCard';
+import TankCard from './TankCard';
+import WaterSavedCard from './WaterSavedCard';
+import PlantsCard from './PlantsCard';
+import WaterNeedsCard from './WaterNeedsCard';
+import QuickControlsCard from './QuickControlsCard';
+import InsightsCard from './InsightsCard';
+import SystemStatusCard from './SystemStatusCard';
+import MoistureOverviewCard from './MoistureOverviewCard';
+import { CARDS, COLUMNS, defaultLayout, resolveLayout, moveCard, setCardHidden } from '../display/display';
+import { useAuditLog, appendAudit, setRetention, sourceForTrigger } from '../audit/auditLog';
+
+// Runtime state for a registered plant, starting mid-way through its optimal band
+const createPlantState = (plant, profile) => {
+  const moisture = (profile.optimalMin + profile.optimalMax) / 2;
+  return { ...plant, moisture, lastWatered: null, status: moistureStatus(moisture, profile) };
+};
+
+// Keeps runtime plant state in step with registry edits
+const syncPlants = (current, registry) =>
+  registry.plants
+    .filter(plant => registry.species[plant.species])
+    .map(plant => {
+      const profile = registry.species[plant.species];
+      const existing = current.find(p => p.id === plant.id);
+      if (!existing) return createPlantState(plant, profile);
+      return { ...existing, name: plant.name, species: plant.species, status: moistureStatus(existing.moisture, profile) };
+    });
+
+// Simulated probes only report what the app tells them, so delivered water has
+// to be added to their moisture here. Real probes measure it themselves.
+const applyDeliveredWater = sensorConfig.driver === 'simulated';
+
+const sensorStatusColors = { simulated: 'var(--text-faint)', connecting: 'var(--warn)', live: 'var(--ok)', disconnected: 'var(--alert)' };
+
+// One garden's controller and dashboard. Every garden stays mounted so its
+// sensors, valves and alerts keep running; only the one being viewed renders,
+// and each reports a summary for the overview through `onSummary`. Readings
+// come from the `sensors` hub every garden shares. The card layout is shared by
+// all gardens too and changed through `onLayoutChange`. Every timestamp comes
+// from `clock`, so tests can run the garden on virtual time.
+const GardenDashboard = ({ garden, visible, sensors, clock = systemClock, switcher, menu, onSummary, layout, editingLayout, onLayoutChange, onEditingLayoutChange }) => {
+  const scope = gardenScope(garden.id);
+  const [registry, setRegistry] = usePlantRegistry(scope);
+  const [alerts, setAlerts] = useAlerts(scope);
+  const [history] = useState(() => createHistoryStore(scope, clock));
+  const [lastReadingAt, setLastReadingAt] = useState(null);
+  const [irrigation, setIrrigation] = useIrrigationSettings(scope);
+  const [plants, setPlants] = useState(() => syncPlants([], registry));
+  const [weather, setWeather] = useState(null);
+  // When the shown forecast was fetched, and whether it is a cached copy
+  const [weatherStatus, setWeatherStatus] = useState({ fetchedAt: null, stale: false, failed: false });
+  const [online, setOnline] = useState(() => navigator.onLine);
+  const [forecast, setForecast] = useState([]);
+  const [hourlyForecast, setHourlyForecast] = useState([]);
+  const [ledger, setLedger] = useLedger(scope);
+  const [usagePeriod, setUsagePeriod] = useState('month');
+  const [autoWatering, setAutoWatering] = useState(true);
+  const [vacationPlan, setVacationPlan] = useVacationPlan(scope);
+  const [selectedPlantId, setSelectedPlantId] = useState(null);
+  const [sensorStatus, setSensorStatus] = useState('connecting');
+  const [settings, setSettings] = useSettings(scope);
+  const tankCapacity = settings.tank.capacityLiters;
+  const [tankLiters, setTankLiters] = useState(() => tankCapacity * 0.68);
+  // Watering and refills both change the tank within a single tick
+  const tankRef = useRef(tankLiters);
+  const rainwaterLevel = tankCapacity > 0 ? (tankLiters / tankCapacity) * 100 : 0;
+  const { solar } = settings;
+  const [batteryChargeWh, setBatteryChargeWh] = useState(() => solar.batteryWh * 0.87);
+  // Read by the valve steps, which run between renders
+  const batteryRef = useRef(batteryChargeWh);
+  const [power, setPower] = useState({ inputW: 0, loadW: BASE_LOAD_W });
+  const [energySamples, setEnergySamples] = useState([]);
+  const [pumpOn, setPumpOn] = useState(true);
+  const pumpOnRef = useRef(pumpOn);
+  const batteryLevel = chargePercent(batteryChargeWh, solar.batteryWh);
+  const [zoneState, setZoneState] = useState(createZoneState);
+  const [zoneLog, setZoneLog] = useState([]);
+  // Requests from sensor callbacks and valve steps land between renders
+  const zoneStateRef = useRef(zoneState);
+  // Tank and mains litres each plant has received so far, per zone run
+  const runSupplyRef = useRef({});
+  // Tank litres pumped since the last energy step, which bills them to the battery
+  const pumpedLitersRef = useRef(0);
+  // Moisture of each plant in a zone when its run started, for the audit log
+  const runMoistureRef = useRef({});
+  const [auditLog, setAuditLog] = useAuditLog(scope);
+  const audit = (entries) => {
+    const currentTime = clock.now();
+    setAuditLog(prev => appendAudit(prev, entries, currentTime));
+  };
+
+  const { location, units } = settings;
+  // Undefined until Open-Meteo has resolved an 'auto' zone; the browser zone is used meanwhile
+  const timeZone = location.timezone === 'auto' ? undefined : location.timezone;
+  // Turns itself on and off with the trip dates; re-checked on every render
+  const vacationRange = tripRange(vacationPlan, timeZone);
+  const vacationMode = isVacationActive(vacationPlan, clock.now(), timeZone);
+
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  // Fetch weather data for the configured location, again whenever the
+  // connection comes back. Offline, the last good forecast is shown as stale.
+  useEffect(() => {
+    let cancelled = false;
+    const fetchWeather = async () => {
+      try {
+        const { forecast: data, fetchedAt, stale } = await fetchForecastWithCache(location, { scope, now: clock.now() });
+        if (cancelled) return;
+        if (location.timezone === 'auto') {
+          setSettings(prev => ({ ...prev, location: { ...prev.location, timezone: data.timezone } }));
+        }
+        setWeather(data.current);
+        setForecast(data.daily);
+        setHourlyForecast(data.hourly);
+        setWeatherStatus({ fetchedAt, stale, failed: false });
+      } catch (error) {
+        if (cancelled) return;
+        console.error('Weather fetch failed:', error);
+        setWeather(null);
+        setForecast([]);
+        setHourlyForecast([]);
+        setWeatherStatus({ fetchedAt: null, stale: false, failed: true });
+      }
+    };
+    fetchWeather();
+    return () => {
+      cancelled = true;
+    };
+  }, [location, online, scope, setSettings, clock]);
+
+  const selectedPlant = plants.find(plant => plant.id === selectedPlantId);
+
+  useEffect(() => {
+    plantsRef.current
+      .filter(plant => !registry.plants.some(registered => registered.id === plant.id))
+      .forEach(plant => history.removePlant(plant.id));
+    setPlants(prev => syncPlants(prev, registry));
+  }, [registry, history]);
+
+  // Drop raw readings and rollups past their retention
+  useEffect(() => {
+    history.prune();
+    const interval = setInterval(() => history.prune(), 3600000);
+    return () => clearInterval(interval);
+  }, [history]);
+
+  // Recent moisture per plant for the insight forecasts, refreshed once a minute
+  const [recentHistory, setRecentHistory] = useState({});
+  const historyFetchedRef = useRef(0);
+  useEffect(() => {
+    if (!lastReadingAt || lastReadingAt - historyFetchedRef.current < 60000) return;
+    historyFetchedRef.current = lastReadingAt;
+    const from = lastReadingAt - LOOKBACK_HOURS * HOUR;
+    Promise.all(plantsRef.current.map(plant => history.query(plant.id, from, lastReadingAt).then(points => [plant.id, points])))
+      .then(entries => setRecentHistory(Object.fromEntries(entries)))
+      .catch(error => console.error('History query failed:', error));
+  }, [lastReadingAt, history]);
+
+  // Latest state for the sensor callbacks, which outlive individual renders
+  const plantsRef = useRef(plants);
+  plantsRef.current = plants;
+  const registryRef = useRef(registry);
+  registryRef.current = registry;
+  // When each plant was last watered by auto-watering, to run once per schedule window
+  const lastRunsRef = useRef({});
+  const weatherRef = useRef(weather);
+  weatherRef.current = weather;
+
+  // Zones as the valves see them, ignoring plants that have since been removed
+  const activeZones = irrigation.zones.map(zone => ({ ...zone, plantIds: zone.plantIds.filter(id => registry.plants.some(plant => plant.id === id)) }));
+
+  const updateZones = (zones) => {
+    zoneStateRef.current = zones;
+    setZoneState(zones);
+  };
+
+  const zoneName = zoneId => irrigation.zones.find(zone => zone.id === zoneId)?.name || `Zone ${zoneId}`;
+
+  // False when the zone is already running or waiting
+  const runZone = (zoneId, minutes, trigger) => {
+    const next = requestRun(zoneStateRef.current, zoneId, minutes, trigger, clock.now());
+    if (next === zoneStateRef.current) return false;
+    updateZones(next);
+    return true;
+  };
+  // False when the zone was neither running nor waiting
+  const haltZone = (zoneId) => {
+    const { running, queue } = zoneStateRef.current;
+    if (![...running, ...queue].some(entry => entry.zoneId === zoneId)) return false;
+    updateZones(stopZone(zoneStateRef.current, zoneId, clock.now()));
+    return true;
+  };
+
+  // Manual commands made while the controller is unreachable wait here and are
+  // replayed, oldest first, once it is back. Expired ones only leave a notice.
+  const [commandQueue, setCommandQueue] = useCommandQueue(scope);
+  const controllerOnline = online && sensorStatus !== 'disconnected';
+  const manualRun = (zoneId, minutes) => {
+    if (!controllerOnline) {
+      setCommandQueue(prev => enqueueCommand(prev, { type: 'run', zoneId, minutes }, clock.now()));
+      audit([{ action: 'command-queued', source: 'user', zoneId, zone: zoneName(zoneId), minutes }]);
+    } else if (runZone(zoneId, minutes, 'manual')) {
+      audit([{ action: 'zone-run', source: 'user', zoneId, zone: zoneName(zoneId), minutes }]);
+    }
+  };
+  const manualStop = (zoneId) => {
+    if (!controllerOnline) {
+      setCommandQueue(prev => enqueueCommand(prev, { type: 'stop', zoneId }, clock.now()));
+      audit([{ action: 'command-queued', source: 'user', zoneId, zone: zoneName(zoneId), minutes: null }]);
+    } else if (haltZone(zoneId)) {
+      audit([{ action: 'zone-stop', source: 'user', zoneId, zone: zoneName(zoneId), minutes: null }]);
+    }
+  };
+  const replayCommands = () => {
+    const currentTime = clock.now();
+    const { ready, expired, queue } = takeCommands(commandQueue, currentTime);
+    setCommandQueue(queue);
+    const replayed = ready.filter((command) => {
+      if (command.type === 'run') return runZone(command.zoneId, command.minutes, 'manual');
+      return haltZone(command.zoneId);
+    });
+    audit([...replayed, ...expired].map(command => ({
+      action: expired.includes(command) ? 'command-dropped' : command.type === 'run' ? 'zone-run' : 'zone-stop',
+      source: 'user',
+      zoneId: command.zoneId,
+      zone: zoneName(command.zoneId),
+      minutes: command.minutes,
+      queuedAt: command.queuedAt,
+    })));
+    if (!expired.length) return;
+    setAlerts(prev => addNotifications(prev, expired.map(command => ({
+      id: `offline:${command.id}:${currentTime}`,
+      ruleId: null,
+      subjectId: command.zoneId,
+      severity: 'info',
+      title: 'Offline command dropped',
+      message: `${zoneName(command.zoneId)}: ${command.type === 'run' ? `${command.minutes} min run` : 'stop'} queued ${formatTimeAgo(command.queuedAt, currentTime)} was too old to replay`,
+      timestamp: currentTime,
+      read: false,
+      channels: {},
+      gardenId: garden.id,
+      garden: garden.name,
+    }))));
+  };
+  const replayCommandsRef = useRef(replayCommands);
+  replayCommandsRef.current = replayCommands;
+
+  useEffect(() => {
+    if (controllerOnline && commandQueue.commands.length) replayCommandsRef.current();
+  }, [controllerOnline, commandQueue]);
+
+  // Advances open valves: draws their water from the tank (then mains), wets
+  // the plants and writes one ledger entry per plant when a run stops
+  const stepIrrigation = () => {
+    const currentTime = clock.now();
+    const { state, deliveries, events } = stepZones(zoneStateRef.current, activeZones, irrigation.pump, currentTime, pumpOnRef.current);
+    if (!deliveries.length && !events.length && !state.running.length) return;
+    updateZones(state);
+
+    events.filter(event => event.type === 'start').forEach(event => {
+      const plantIds = activeZones.find(zone => zone.id === event.zoneId)?.plantIds || [];
+      runMoistureRef.current[event.runId] = Object.fromEntries(plantsRef.current.filter(plant => plantIds.includes(plant.id)).map(plant => [plant.id, plant.moisture]));
+    });
+
+    const { tankLiters: tankAfter, runSupply, gained } = applyDeliveries(deliveries, tankRef.current, runSupplyRef.current);
+    if (deliveries.length) {
+      pumpedLitersRef.current += tankRef.current - tankAfter;
+      tankRef.current = tankAfter;
+      setTankLiters(tankRef.current);
+      const nextPlants = plantsRef.current.map(plant => {
+        if (!(plant.id in gained)) return plant;
+        const config = registry.species[plant.species];
+        const moisture = applyDeliveredWater ? Math.min(100, plant.moisture + gained[plant.id]) : plant.moisture;
+        return { ...plant, moisture, lastWatered: currentTime, status: config ? moistureStatus(moisture, config) : plant.status };
+      });
+      plantsRef.current = nextPlants;
+      setPlants(nextPlants);
+    }
+
+    const finished = finishRuns(events, runSupply);
+    runSupplyRef.current = finished.runSupply;
+    const { ledgerEvents } = finished;
+    if (ledgerEvents.length) setLedger(prev => appendEvents(prev, ledgerEvents, currentTime));
+    const waterings = events.filter(event => event.type === 'stop').flatMap(event => {
+      const before = runMoistureRef.current[event.runId] || {};
+      delete runMoistureRef.current[event.runId];
+      return ledgerEvents
+        .filter(watering => watering.zoneId === event.zoneId && watering.timestamp === event.timestamp)
+        .map(watering => {
+          const plant = plantsRef.current.find(p => p.id === watering.plantId);
+          return {
+            action: 'watering',
+            source: sourceForTrigger(event.trigger),
+            timestamp: event.timestamp,
+            plantId: watering.plantId,
+            plant: plant?.name || `Plant ${watering.plantId}`,
+            zoneId: event.zoneId,
+            zone: zoneName(event.zoneId),
+            liters: watering.liters,
+            moistureBefore: before[watering.plantId] ?? null,
+            moistureAfter: plant ? plant.moisture : null,
+            reason: event.reason,
+          };
+        });
+    });
+    if (waterings.length) audit(waterings);
+    if (events.length) setZoneLog(prev => [...events.slice().reverse(), ...prev].slice(0, 20));
+  };
+  const stepIrrigationRef = useRef(stepIrrigation);
+  stepIrrigationRef.current = stepIrrigation;
+
+  useEffect(() => {
+    const interval = setInterval(() => stepIrrigationRef.current(), ZONE_TICK_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  const handleReadings = (readings) => {
+    const currentTime = clock.now();
+    const byPlant = new Map(readings.map(reading => [reading.plantId, reading]));
+    const stored = [];
+    const nextPlants = plantsRef.current.map(plant => {
+      const reading = byPlant.get(plant.id);
+      const config = registry.species[plant.species];
+      if (!reading || !config) return plant;
+      const newMoisture = Math.max(5, Math.min(100, reading.moisture));
+
+      // Watering opens the plant's zone; moisture rises as the water arrives
+      const request = wateringRequest({
+        plant,
+        moisture: newMoisture,
+        profile: config,
+        zones: activeZones,
+        schedules: irrigation.schedules,
+        lastRunAt: lastRunsRef.current[plant.id],
+        autoWatering,
+        vacationMode,
+        vacationPlan,
+        weather,
+        hourly: hourlyForecast,
+        now: currentTime,
+        timeZone,
+      });
+      if (request) {
+        runZone(request.zoneId, request.minutes, request.trigger);
+        if (request.trigger !== 'vacation') lastRunsRef.current[plant.id] = currentTime;
+      }
+
+      stored.push({ plantId: plant.id, moisture: newMoisture, timestamp: reading.timestamp });
+      return { ...plant, moisture: newMoisture, status: moistureStatus(newMoisture, config) };
+    });
+    plantsRef.current = nextPlants;
+    setPlants(nextPlants);
+    history.addReadings(stored)
+      .then(() => setLastReadingAt(currentTime))
+      .catch(error => console.error('Could not store readings:', error));
+  };
+  const handleReadingsRef = useRef(handleReadings);
+  handleReadingsRef.current = handleReadings;
+
+  // This garden's soil moisture readings from the shared sensor driver
+  useEffect(() => sensors.subscribe(garden.id, {
+    getPlants: () => plantsRef.current,
+    getWeather: () => weatherRef.current,
+    getProfile: plant => registryRef.current.species[plant.species],
+    onReadings: readings => handleReadingsRef.current(readings),
+    onStatus: setSensorStatus,
+  }), [sensors, garden.id]);
+
+  // Rain tank refill and the battery's energy balance
+  const lastEnergyStepRef = useRef(clock.now());
+  useEffect(() => {
+    const interval = setInterval(() => {
+      const currentTime = clock.now();
+      const hours = (currentTime - lastEnergyStepRef.current) / HOUR;
+      lastEnergyStepRef.current = currentTime;
+
+      const inflow = rainInflowPerHour(hourlyForecast, weather, currentTime) * hours;
+      if (inflow > 0) {
+        tankRef.current = Math.min(tankCapacity, tankRef.current + inflow);
+        setTankLiters(tankRef.current);
+      }
+
+      const inputW = panelOutputW(solar.panelWatts, currentTime, { daily: forecast, hourly: hourlyForecast, code: weather?.code, timeZone });
+      const energy = stepEnergy({ chargeWh: batteryRef.current, pumpOn: pumpOnRef.current, solar, inputW, tankLiters: pumpedLitersRef.current, hours });
+      pumpedLitersRef.current = 0;
+      batteryRef.current = energy.chargeWh;
+      pumpOnRef.current = energy.pumpOn;
+      setBatteryChargeWh(energy.chargeWh);
+      setPumpOn(energy.pumpOn);
+      setPower({ inputW, loadW: energy.loadW });
+      setEnergySamples(prev => appendSample(prev, { timestamp: currentTime, percent: energy.percent, netW: inputW - energy.loadW }));
+    }, 5000);
+    return () => clearInterval(interval);
+  }, [weather, forecast, hourlyForecast, solar, timeZone, tankCapacity, clock]);
+
+  const setSolar = (next) => {
+    // Keep the same charge level when the battery is resized
+    batteryRef.current = (batteryRef.current / solar.batteryWh) * next.batteryWh;
+    setBatteryChargeWh(batteryRef.current);
+    setSettings(prev => ({ ...prev, solar: next }));
+  };
+
+  // Turning vacation mode off by hand also cancels a trip that is under way.
+  // The ref marks the next change of mode as the user's, so it is only set
+  // when this toggle actually changes it.
+  const vacationByUserRef = useRef(false);
+  const setVacationMode = (on) => {
+    const currentTime = clock.now();
+    const next = on
+      ? { ...vacationPlan, manual: true }
+      : { ...vacationPlan, manual: false, ...(isVacationActive({ ...vacationPlan, manual: false }, currentTime, timeZone) ? { start: null, end: null } : {}) };
+    if (isVacationActive(next, currentTime, timeZone) !== vacationMode) vacationByUserRef.current = true;
+    setVacationPlan(next);
+  };
+
+  // Vacation mode also flips on its own at the trip dates; log either way
+  const vacationModeRef = useRef(vacationMode);
+  useEffect(() => {
+    if (vacationModeRef.current === vacationMode) return;
+    const entry = { action: 'vacation-mode', source: vacationByUserRef.current ? 'user' : 'trip', before: vacationModeRef.current, after: vacationMode };
+    vacationByUserRef.current = false;
+    vacationModeRef.current = vacationMode;
+    const currentTime = clock.now();
+    setAuditLog(prev => appendAudit(prev, [entry], currentTime));
+  }, [vacationMode, setAuditLog, clock]);
+
+  const changeAutoWatering = (on) => {
+    audit([{ action: 'auto-watering', source: 'user', before: autoWatering, after: on }]);
+    setAutoWatering(on);
+  };
+
+  const setTankCapacity = (capacityLiters) => {
+    if (!(capacityLiters > 0)) return;
+    // Keep the same fill level when the tank is resized
+    tankRef.current = (tankRef.current / tankCapacity) * capacityLiters;
+    setTankLiters(tankRef.current);
+    setSettings(prev => ({ ...prev, tank: { ...prev.tank, capacityLiters } }));
+  };
+
+  // Alert rules, checked whenever readings, the tank or the battery change
+  const alertTrackingRef = useRef({});
+  useEffect(() => {
+    const { tracking, notifications: fired } = evaluateRules(
+      alerts.rules,
+      { plants, tankLevel: rainwaterLevel, batteryLevel },
+      alertTrackingRef.current,
+      clock.now()
+    );
+    alertTrackingRef.current = tracking;
+    if (!fired.length) return;
+    // Browser notifications and webhooks need to say which garden it is
+    const notifications = fired.map(notification => ({ ...notification, gardenId: garden.id, garden: garden.name }));
+    setAlerts(prev => addNotifications(prev, notifications));
+    notifications.forEach(notification => {
+      deliver(notification, alerts)
+        .then(delivery => {
+          if (Object.keys(delivery).length) setAlerts(prev => updateNotification(prev, notification.id, { delivery }));
+        })
+        .catch(error => console.error('Alert delivery failed:', error));
+    });
+  }, [plants, rainwaterLevel, batteryLevel, alerts, setAlerts, garden, clock]);
+
+  const applyImport = (state) => {
+    setRegistry(state.registry);
+    setIrrigation(state.irrigation);
+    if (state.settings.tank.capacityLiters !== tankCapacity) setTankCapacity(state.settings.tank.capacityLiters);
+    if (state.settings.solar.batteryWh !== solar.batteryWh) setSolar(state.settings.solar);
+    setSettings(state.settings);
+  };
+
+  // Runs every zone long enough for a full dose to its thirstiest plant
+  const waterAllPlants = () => {
+    const started = activeZones.filter(zone => {
+      const doses = plants
+        .filter(plant => zone.plantIds.includes(plant.id) && registry.species[plant.species])
+        .map(plant => litersForDose(registry.species[plant.species]));
+      return doses.length > 0 && runZone(zone.id, minutesForLiters(zone, Math.max(...doses)), 'manual');
+    });
+    audit([{ action: 'water-all', source: 'user', zones: started.map(zone => zone.name) }]);
+  };
+
+  const now = clock.now();
+  const getProfile = plant => registry.species[plant.species];
+  const getDecayPerHour = (profile, conditions = weather) => decayPerHour(profile, conditions, sensorConfig.pollInterval);
+  const baselineLitersPerDay = plants.reduce((sum, plant) => {
+    const config = registry.species[plant.species];
+    return config ? sum + litersForDose(config) * BASELINE_WATERINGS_PER_DAY : sum;
+  }, 0);
+
+  // What the overview compares across gardens. Rounded so it only changes
+  // when something visible does.
+  const weekUsage = summarize(ledger, 'week', now, { timeZone, baselineLitersPerDay });
+  const unread = alerts.notifications.filter(notification => !notification.read);
+  const summary = {
+    plants: plants.length,
+    statuses: plants.reduce((counts, plant) => ({ ...counts, [plant.status]: (counts[plant.status] || 0) + 1 }), {}),
+    averageMoisture: plants.length ? Math.round(plants.reduce((sum, plant) => sum + plant.moisture, 0) / plants.length) : null,
+    weekLiters: Math.round(weekUsage.liters * 10) / 10,
+    weekMainsLiters: Math.round(weekUsage.mainsLiters * 10) / 10,
+    weekWaterings: weekUsage.waterings,
+    tankPercent: Math.round(rainwaterLevel),
+    batteryPercent: Math.round(batteryLevel),
+    unreadAlerts: unread.length,
+    criticalAlerts: unread.filter(notification => notification.severity === 'critical').length,
+    latestAlert: alerts.notifications[0] ? { title: alerts.notifications[0].title, message: alerts.notifications[0].message, severity: alerts.notifications[0].severity, timestamp: alerts.notifications[0].timestamp } : null,
+    sensorStatus,
+  };
+  const summaryKey = JSON.stringify(summary);
+  const summaryRef = useRef(summary);
+  summaryRef.current = summary;
+  useEffect(() => {
+    onSummary(garden.id, summaryRef.current);
+  }, [garden.id, summaryKey, onSummary]);
+
+  // Hidden gardens keep running but skip the dashboard's projections
+  if (!visible) return null;
+
+  const runningZones = irrigation.zones.filter(zone => zoneState.running.some(run => run.zoneId === zone.id));
+
+  // What auto-watering would do right now for every plant below its optimal
+  // minimum, and drying forecasts and anomalies per plant, most urgent first
+  const insights = () => {
+    const wateringDecisions = plants
+      .filter(plant => registry.species[plant.species] && plant.moisture < registry.species[plant.species].optimalMin)
+      .map(plant => ({ plant, decision: decideWatering({ moisture: plant.moisture, profile: registry.species[plant.species], weather, hourly: hourlyForecast, now }) }))
+      .sort((a, b) => a.plant.moisture - b.plant.moisture);
+    const insightsFrom = now - LOOKBACK_HOURS * HOUR;
+    const rainedRecently = rainedSince(hourlyForecast, weather, insightsFrom, now);
+    const wateringNow = new Set(runningZones.flatMap(zone => zone.plantIds));
+    const recommendations = rankRecommendations(plants.filter(getProfile).flatMap(plant => plantRecommendations({
+      plant,
+      threshold: vacationMode ? emergencyThreshold(vacationPlan, plant.id, getProfile(plant)) : getProfile(plant).optimalMin,
+      points: recentHistory[plant.id] || [],
+      wateredAt: [
+        ...ledger.events.filter(event => event.plantId === plant.id && event.timestamp >= insightsFrom).map(event => event.timestamp),
+        ...(wateringNow.has(plant.id) ? [now] : []),
+      ],
+      expectedPerHour: getDecayPerHour(getProfile(plant)),
+      raining: rainedRecently,
+      decision: !vacationMode && autoWatering ? wateringDecisions.find(entry => entry.plant.id === plant.id)?.decision : null,
+      now,
+    })));
+    return { wateringDecisions, recommendations };
+  };
+
+  // Hour by hour through the rest of the trip
+  const projectTrip = () => projectVacation({
+    plants: plants.filter(getProfile),
+    getProfile,
+    getDecayPerHour,
+    thresholds: Object.fromEntries(plants.filter(getProfile).map(plant => [plant.id, emergencyThreshold(vacationPlan, plant.id, getProfile(plant))])),
+    zones: activeZones,
+    tankLiters,
+    tankCapacity,
+    chargeWh: batteryChargeWh,
+    solar,
+    daily: forecast,
+    hourly: hourlyForecast,
+    humidity: weather?.humidity,
+    timeZone,
+    from: Math.max(now, vacationRange.from),
+    to: vacationRange.to,
+  });
+
+  const cardLayout = resolveLayout(layout);
+  const changeLayout = change => onLayoutChange(current => change(resolveLayout(current)));
+  const layoutControls = (id) => {
+    if (!editingLayout) return null;
+    const canMove = Object.fromEntries(['up', 'down', 'left', 'right'].map(direction => [direction, moveCard(cardLayout, id, direction) !== cardLayout]));
+    return (
+      <LayoutControls
+        title={CARDS[id].title}
+        canMove={canMove}
+        onMove={direction => changeLayout(current => moveCard(current, id, direction))}
+        onHide={() => changeLayout(current => setCardHidden(current, id, true))}
+      />
+    );
+  };
+
+  // Built on demand: each card works out its own projections, so hidden cards
+  // cost nothing
+  const cards = {
+    weather: () => <WeatherCard settings={settings} onSettingsChange={setSettings} weather={weather} status={weatherStatus} now={now} controls={layoutControls('weather')} />,
+    forecast: () => <ForecastCard forecast={forecast} failed={weatherStatus.failed} units={units} controls={layoutControls('forecast')} />,
+    tank: () => <TankCard level={rainwaterLevel} liters={tankLiters} capacity={tankCapacity} onCapacityChange={setTankCapacity} controls={layoutControls('tank')} />,
+    solar: () => (
+      <Card title="Solar System" icon={Battery} controls={layoutControls('solar')}>
+        <SolarSystem
+          solar={solar}
+          chargeWh={batteryChargeWh}
+          inputW={power.inputW}
+          loadW={power.loadW}
+          pumpW={PUMP_WATTS}
+          pumpOn={pumpOn}
+          samples={energySamples}
+          outlook={projectBattery({ chargeWh: batteryChargeWh, solar, daily: forecast, hourly: hourlyForecast, timeZone, from: now, hours: 24 })}
+          timeZone={timeZone}
+          onChange={setSolar}
+        />
+      </Card>
+    ),
+    waterSaved: () => <WaterSavedCard usage={summarize(ledger, usagePeriod, now, { timeZone, baselineLitersPerDay })} period={usagePeriod} onPeriodChange={setUsagePeriod} controls={layoutControls('waterSaved')} />,
+    plants: () => <PlantsCard plants={plants} species={registry.species} selectedId={selectedPlant?.id} onSelect={setSelectedPlantId} controls={layoutControls('plants')} />,
+    // Follows the selected plant; while arranging it stands in for the chart
+    trend: () => (selectedPlant || editingLayout) && (
+      <Card label="Moisture trend" controls={layoutControls('trend')}>
+        {selectedPlant ? (
+          <MoistureTrendChart
+            history={history}
+            plant={selectedPlant}
+            profile={registry.species[selectedPlant.species]}
+            wateringEvents={ledger.events}
+            timeZone={timeZone}
+            refreshKey={lastReadingAt}
+            clock={clock}
+          />
+        ) : <div style={styles.placeholder}>Moisture trend of the selected plant</div>}
+      </Card>
+    ),
+    waterNeeds: () => <WaterNeedsCard plants={plants} controls={layoutControls('waterNeeds')} />,
+    whatIf: () => (
+      <Card title="What-If Simulator" icon={FlaskConical} controls={layoutControls('whatIf')}>
+        <WhatIfPanel
+          registry={registry}
+          irrigation={irrigation}
+          settings={settings}
+          tankLiters={tankLiters}
+          chargeWh={batteryChargeWh}
+          timeZone={timeZone}
+          tickMs={sensorConfig.pollInterval}
+          now={now}
+        />
+      </Card>
+    ),
+    controls: () => (
+      <QuickControlsCard
+        autoWatering={autoWatering}
+        vacationMode={vacationMode}
+        onAutoWateringChange={changeAutoWatering}
+        onVacationModeChange={setVacationMode}
+        onWaterAll={waterAllPlants}
+        controls={layoutControls('controls')}
+      />
+    ),
+    vacation: () => (
+      <Card title="Vacation Planner" icon={Plane} controls={layoutControls('vacation')}>
+        <VacationPlanner
+          plan={vacationPlan}
+          active={vacationMode}
+          range={vacationRange}
+          projection={vacationRange && vacationRange.to > now ? projectTrip() : null}
+          plants={plants}
+          getProfile={getProfile}
+          timeZone={timeZone}
+          now={now}
+          onChange={setVacationPlan}
+        />
+      </Card>
+    ),
+    zones: () => (
+      <Card title="Irrigation Zones" icon={Waves} controls={layoutControls('zones')}>
+        <ZoneControls
+          irrigation={irrigation}
+          plants={registry.plants}
+          zoneState={zoneState}
+          zoneLog={zoneLog}
+          powered={pumpOn}
+          offlineCommands={commandQueue.commands}
+          onRun={manualRun}
+          onStop={manualStop}
+          onCancelQueued={id => setCommandQueue(prev => cancelCommand(prev, id))}
+          onChange={setIrrigation}
+          now={now}
+        />
+      </Card>
+    ),
+    activity: () => (
+      <Card title="Activity Log" icon={History} controls={layoutControls('activity')}>
+        <ActivityLog
+          log={auditLog}
+          timeZone={timeZone}
+          now={now}
+          onRetentionChange={days => setAuditLog(prev => setRetention(prev, days, clock.now()))}
+        />
+      </Card>
+    ),
+    insights: () => {
+      const { wateringDecisions, recommendations } = insights();
+      return (
+        <InsightsCard
+          vacationMode={vacationMode}
+          autoWatering={autoWatering}
+          belowOptimal={wateringDecisions.length}
+          recommendations={recommendations}
+          plants={plants}
+          rain={hourlyForecast.length > 0 ? rainOutlook(hourlyForecast, now, DEFER_WINDOW_HOURS) : null}
+          weather={weather}
+          timeZone={timeZone}
+          now={now}
+          controls={layoutControls('insights')}
+        />
+      );
+    },
+    status: () => {
+      const upcomingRun = autoWatering && !vacationMode
+        ? nextRun(plants, getProfile, irrigation.schedules, profile => getDecayPerHour(profile), now, timeZone)
+        : null;
+      const nextWateringLabel = runningZones.length ? `Watering ${runningZones.map(zone => zone.name).join(', ')}`
+        : !pumpOn && zoneState.queue.length ? 'Waiting for battery'
+        : vacationMode ? 'Vacation mode' : !autoWatering ? 'Auto-watering off' : upcomingRun ? formatTimeUntil(upcomingRun.time, now) : 'Not needed';
+      return (
+        <SystemStatusCard
+          nextWatering={nextWateringLabel}
+          upcomingRun={upcomingRun}
+          lastMaintenance={irrigation.lastMaintenance}
+          onLogMaintenance={() => setIrrigation(prev => logMaintenance(prev, clock.now()))}
+          now={now}
+          controls={layoutControls('status')}
+        />
+      );
+    },
+    schedules: () => (
+      <Card title="Watering Schedules" icon={CalendarClock} controls={layoutControls('schedules')}>
+        <ScheduleEditor irrigation={irrigation} plants={registry.plants} onChange={setIrrigation} />
+      </Card>
+    ),
+    managePlants: () => (
+      <Card title="Manage Plants" icon={Sprout} controls={layoutControls('managePlants')}>
+        <PlantManager registry={registry} onChange={setRegistry} />
+      </Card>
+    ),
+    alertRules: () => (
+      <Card title="Alert Rules" icon={BellRing} controls={layoutControls('alertRules')}>
+        <AlertRules alerts={alerts} plants={registry.plants} now={now} onChange={setAlerts} />
+      </Card>
+    ),
+    data: () => (
+      <Card title="Data &amp; Backup" icon={Database} controls={layoutControls('data')}>
+        <DataTransfer plants={plants} registry={registry} irrigation={irrigation} settings={settings} ledger={ledger} auditLog={auditLog} history={history} now={now} onImport={applyImport} />
+      </Card>
+    ),
+    moistureOverview: () => <MoistureOverviewCard plants={plants} controls={layoutControls('moistureOverview')} />,
+  };
+
+  return (
+    <>
+      <AppHeader switcher={switcher} menu={menu}>
+        <div style={styles.sensorBadge}>
+          <span style={{ ...styles.sensorDot, backgroundColor: sensorStatusColors[sensorStatus] }} aria-hidden="true" />
+          Sensors: {sensorConfig.driver} ({sensorStatus})
+        </div>
+        {!online && <div style={styles.offlineBadge} role="status">Offline{commandQueue.commands.length > 0 && ` · ${commandQueue.commands.length} queued`}</div>}
+        <NotificationCenter
+          notifications={alerts.notifications}
+          now={now}
+          onMarkAllRead={() => setAlerts(prev => markAllRead(prev))}
+          onClear={() => setAlerts(prev => clearNotifications(prev))}
+        />
+      </AppHeader>
+      {editingLayout && (
+        <LayoutToolbar
+          hidden={cardLayout.hidden}
+          onShow={id => changeLayout(current => setCardHidden(current, id, false))}
+          onReset={() => onLayoutChange(() => defaultLayout())}
+          onDone={() => onEditingLayoutChange(false)}
+        />
+      )}
+      <main id="main" className="dashboard-grid">
+        {Object.keys(COLUMNS).map(column => (
+          <div key={column} className={`dashboard-column dashboard-${column}`}>
+            {cardLayout.columns[column]
+              .filter(id => !cardLayout.hidden.includes(id))
+              .map(id => <React.Fragment key={id}>{cards[id]()}</React.Fragment>)}
+          </div>
+        ))}
+      </main>
+    </>
+  );
+};
+
+const styles = {
+  sensorBadge: { display: 'flex', alignItems: 'center', gap: '8px', fontSize: '13px', color: 'var(--text-muted)' },
+  sensorDot: { width: '10px', height: '10px', borderRadius: '50%' },
+  offlineBadge: { padding: '4px 10px', borderRadius: '12px', background: 'var(--warn-soft)', color: 'var(--warn)', fontSize: '13px' },
+  placeholder: { padding: '40px 0', textAlign: 'center', fontSize: '13px', color: 'var(--text-faint)' },
+};
+
+export default React.memo(GardenDashboard);
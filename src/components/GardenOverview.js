@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+import { ResponsiveContainer, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend } from 'recharts';
+import { Plus, Pencil, Trash2, ArrowRight, BellRing } from 'lucide-react';
+import { formatTimeAgo } from '../format';
+import ChartFigure from './ChartFigure';
+
+const statusColors = { Healthy: 'var(--ok)', 'Water Soon': 'var(--warn)', 'Needs Water': 'var(--alert)', 'Too Wet': 'var(--info)' };
+const severityColors = { info: 'var(--info)', warning: 'var(--warn)', critical: 'var(--alert)' };
+
+// Side-by-side health, water use and alerts for every garden, plus adding,
+// renaming and removing gardens.
+const GardenOverview = ({ gardens, summaries, onOpen, onAdd, onRename, onRemove, now }) => {
+  const [newName, setNewName] = useState('');
+  const [renaming, setRenaming] = useState(null);
+  const [removing, setRemoving] = useState(null);
+  const [error, setError] = useState(null);
+
+  const attempt = (action) => {
+    try {
+      action();
+      setError(null);
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  };
+
+  const usageData = gardens.map(garden => {
+    const summary = summaries[garden.id];
+    return {
+      name: garden.name,
+      tank: summary ? Math.round((summary.weekLiters - summary.weekMainsLiters) * 10) / 10 : 0,
+      mains: summary ? summary.weekMainsLiters : 0,
+    };
+  });
+
+  return (
+    <main id="main" style={styles.page}>
+      {error && <div style={styles.error} role="alert">{error}</div>}
+      <div style={styles.grid}>
+        {gardens.map(garden => {
+          const summary = summaries[garden.id];
+          const healthy = summary?.statuses.Healthy || 0;
+          return (
+            <section key={garden.id} style={styles.card} aria-label={garden.name}>
+              <div style={styles.cardHeader}>
+                {renaming === garden.id ? (
+                  <input
+                    style={styles.input}
+                    aria-label="Garden name"
+                    defaultValue={garden.name}
+                    autoFocus
+                    onBlur={(e) => attempt(() => e.target.value !== garden.name && onRename(garden.id, e.target.value)) && setRenaming(null)}
+                    onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+                  />
+                ) : (
+                  <h2 style={styles.gardenName}>{garden.name}</h2>
+                )}
+                <button style={styles.iconButton} title={`Rename ${garden.name}`} onClick={() => setRenaming(garden.id)}><Pencil size={14} /></button>
+                <button style={styles.iconButton} title={`Remove ${garden.name}`} disabled={gardens.length <= 1} onClick={() => setRemoving(garden.id)}><Trash2 size={14} /></button>
+              </div>
+              {removing === garden.id && (
+                <div style={styles.confirm} role="alertdialog" aria-label={`Remove ${garden.name}`}>
+                  Remove {garden.name} with its plants, schedules, history and alerts?
+                  <div style={styles.row}>
+                    <button style={styles.dangerButton} onClick={() => attempt(() => onRemove(garden.id)) && setRemoving(null)}>Remove</button>
+                    <button style={styles.button} onClick={() => setRemoving(null)}>Cancel</button>
+                  </div>
+                </div>
+              )}
+              {!summary ? (
+                <div style={styles.muted}>Starting…</div>
+              ) : (
+                <>
+                  <div style={styles.healthBar} role="img" aria-label={Object.entries(summary.statuses).map(([status, count]) => `${count} ${status}`).join(', ') || 'No plants'}>
+                    {Object.entries(summary.statuses).map(([status, count]) => (
+                      <div key={status} style={{ flex: count, background: statusColors[status] }} title={`${status}: ${count}`} />
+                    ))}
+                  </div>
+                  <div style={styles.stats}>
+                    <div><div style={styles.statLabel}>Healthy</div><div style={styles.statValue}>{healthy}/{summary.plants}</div></div>
+                    <div><div style={styles.statLabel}>Avg moisture</div><div style={styles.statValue}>{summary.averageMoisture === null ? '–' : `${summary.averageMoisture}%`}</div></div>
+                    <div><div style={styles.statLabel}>Water this week</div><div style={styles.statValue}>{summary.weekLiters} L</div></div>
+                    <div><div style={styles.statLabel}>From mains</div><div style={styles.statValue}>{summary.weekMainsLiters} L</div></div>
+                    <div><div style={styles.statLabel}>Rain tank</div><div style={styles.statValue}>{summary.tankPercent}%</div></div>
+                    <div><div style={styles.statLabel}>Battery</div><div style={styles.statValue}>{summary.batteryPercent}%</div></div>
+                  </div>
+                  <div style={styles.alerts}>
+                    <BellRing size={14} />
+                    {summary.unreadAlerts ? `${summary.unreadAlerts} unread${summary.criticalAlerts ? `, ${summary.criticalAlerts} critical` : ''}` : 'No unread alerts'}
+                  </div>
+                  {summary.latestAlert && (
+                    <div style={{ ...styles.latestAlert, borderLeftColor: severityColors[summary.latestAlert.severity] }}>
+                      <strong>{summary.latestAlert.title}</strong> · {summary.latestAlert.message}
+                      <div style={styles.muted}>{formatTimeAgo(summary.latestAlert.timestamp, now)}</div>
+                    </div>
+                  )}
+                </>
+              )}
+              <button style={styles.openButton} onClick={() => onOpen(garden.id)}>Open dashboard<ArrowRight size={14} /></button>
+            </section>
+          );
+        })}
+        <section style={{ ...styles.card, ...styles.addCard }}>
+          <h2 style={styles.gardenName}>Add a garden</h2>
+          <div style={styles.muted}>It starts without plants, in the same place as the first garden.</div>
+          <form style={styles.row} onSubmit={(e) => { e.preventDefault(); if (attempt(() => onAdd(newName))) setNewName(''); }}>
+            <input style={styles.input} aria-label="New garden name" placeholder="Rooftop, greenhouse…" value={newName} onChange={(e) => setNewName(e.target.value)} />
+            <button style={styles.button} type="submit"><Plus size={14} />Add</button>
+          </form>
+        </section>
+      </div>
+      <section style={styles.card}>
+        <h2 style={styles.gardenName}>Water use this week</h2>
+        <ChartFigure label="Water use this week by garden" summary={usageData.map(entry => `${entry.name}: ${entry.tank} L from the rain tank, ${entry.mains} L from mains`).join('. ')}>
+          <ResponsiveContainer width="100%" height={220}>
+            <BarChart data={usageData}>
+              <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" />
+              <XAxis dataKey="name" stroke="var(--text-faint)" />
+              <YAxis stroke="var(--text-faint)" unit=" L" />
+              <Tooltip contentStyle={{ backgroundColor: 'var(--surface)', border: '1px solid var(--border)' }} labelStyle={{ color: 'var(--text-strong)' }} />
+              <Legend />
+              <Bar dataKey="tank" name="Rain tank" stackId="water" fill="var(--info)" />
+              <Bar dataKey="mains" name="Mains" stackId="water" fill="var(--warn)" />
+            </BarChart>
+          </ResponsiveContainer>
+        </ChartFigure>
+      </section>
+    </main>
+  );
+};
+
+const styles = {
+  page: { display: 'flex', flexDirection: 'column', gap: '20px', padding: 'clamp(12px, 3vw, 20px)', maxWidth: '1800px', margin: '0 auto' },
+  grid: { display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(min(300px, 100%), 1fr))', gap: '20px' },
+  card: {
+    background: 'linear-gradient(135deg, var(--surface) 0%, var(--surface-2) 100%)',
+    borderRadius: '16px',
+    padding: '20px',
+    border: '1px solid var(--border)',
+    boxShadow: '0 8px 32px var(--shadow)',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '12px',
+  },
+  addCard: { justifyContent: 'center' },
+  cardHeader: { display: 'flex', alignItems: 'center', gap: '6px' },
+  gardenName: { flex: 1, margin: 0, fontSize: '18px', fontWeight: '600', color: 'var(--text)' },
+  healthBar: { display: 'flex', height: '8px', borderRadius: '4px', overflow: 'hidden', background: 'var(--border)' },
+  stats: { display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '10px' },
+  statLabel: { fontSize: '11px', color: 'var(--text-faint)' },
+  statValue: { fontSize: '16px', fontWeight: '600', color: 'var(--text)' },
+  alerts: { display: 'flex', alignItems: 'center', gap: '6px', fontSize: '13px', color: 'var(--text-muted)' },
+  latestAlert: { padding: '8px 10px', background: 'var(--bg)', borderRadius: '6px', borderLeft: '3px solid', fontSize: '12px', color: 'var(--text-muted)' },
+  muted: { fontSize: '12px', color: 'var(--text-faint)' },
+  row: { display: 'flex', gap: '6px', alignItems: 'center' },
+  confirm: { display: 'flex', flexDirection: 'column', gap: '8px', padding: '10px', background: 'var(--bg)', borderRadius: '8px', fontSize: '13px', color: 'var(--text-muted)' },
+  input: { flex: 1, minWidth: 0, padding: '6px 8px', background: 'var(--surface)', border: '1px solid var(--border)', borderRadius: '6px', color: 'var(--text)', fontSize: '14px' },
+  iconButton: { padding: '6px', background: 'var(--border)', border: 'none', borderRadius: '6px', color: 'var(--text)', cursor: 'pointer', display: 'flex' },
+  button: { padding: '8px 12px', background: 'var(--border)', border: 'none', borderRadius: '6px', color: 'var(--text)', cursor: 'pointer', display: 'flex', alignItems: 'center', gap: '6px', fontSize: '13px' },
+  dangerButton: { padding: '8px 12px', background: 'var(--alert)', border: 'none', borderRadius: '6px', color: 'var(--on-accent)', cursor: 'pointer', fontSize: '13px' },
+  openButton: { marginTop: 'auto', padding: '8px', background: 'linear-gradient(135deg, var(--info), var(--ok))', border: 'none', borderRadius: '8px', color: 'var(--on-accent)', cursor: 'pointer', display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '6px', fontSize: '13px', fontWeight: '600' },
+  error: { padding: '8px', background: 'var(--alert-soft)', border: '1px solid var(--alert)', borderRadius: '6px', color: 'var(--alert)' },
+};
+
+export default GardenOverview;
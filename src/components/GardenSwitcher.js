@@ -0,0 +1,20 @@
+import React from 'react';
+
+// Header dropdown between the overview and each garden
+const GardenSwitcher = ({ gardens, route, onNavigate }) => (
+  <select
+    style={styles.select}
+    aria-label="Garden"
+    value={route.page === 'garden' ? String(route.gardenId) : 'overview'}
+    onChange={(e) => onNavigate(e.target.value === 'overview' ? { page: 'overview' } : { page: 'garden', gardenId: Number(e.target.value) })}
+  >
+    <option value="overview">All gardens</option>
+    {gardens.map(garden => <option key={garden.id} value={garden.id}>{garden.name}</option>)}
+  </select>
+);
+
+const styles = {
+  select: { padding: '8px 12px', background: 'var(--bg)', border: '1px solid var(--border-strong)', borderRadius: '8px', color: 'var(--text)', fontSize: '14px', cursor: 'pointer' },
+};
+
+export default GardenSwitcher;
@@ -0,0 +1,31 @@
+import React from 'react';
+import { Zap } from 'lucide-react';
+import Card from './Card';
+import PlantInsights from './PlantInsights';
+import { DEFER_WINDOW_HOURS } from '../irrigation/weatherDecision';
+
+// Forecast-driven recommendations, with a note when vacation mode or a
+// switched-off auto-watering changes what they mean
+const InsightsCard = ({ vacationMode, autoWatering, belowOptimal, recommendations, plants, rain, weather, timeZone, now, controls }) => (
+  <Card title="AI Insights" icon={Zap} controls={controls}>
+    <div style={styles.body}>
+      {vacationMode && <p style={styles.note}>🏖️ Vacation mode: forecasts run to each plant's emergency threshold.</p>}
+      {!vacationMode && !autoWatering && <p style={styles.note}>⏸️ Auto-watering is off. Plants below their optimal range: {belowOptimal}.</p>}
+      <PlantInsights recommendations={recommendations} plants={plants} timeZone={timeZone} now={now} />
+      {rain && (
+        <div style={styles.rain}>
+          Rain in the next {DEFER_WINDOW_HOURS}h: {rain.probability}% chance, {rain.amount} mm
+          {weather && ` · Humidity ${weather.humidity}%`}
+        </div>
+      )}
+    </div>
+  </Card>
+);
+
+const styles = {
+  body: { background: 'var(--bg)', borderRadius: '8px', padding: '16px', fontSize: '14px', lineHeight: '1.6', color: 'var(--text-muted)' },
+  note: { margin: '0 0 10px', fontSize: '13px' },
+  rain: { marginTop: '12px', paddingTop: '10px', borderTop: '1px solid var(--border)', fontSize: '12px', color: 'var(--text-faint)' },
+};
+
+export default InsightsCard;
@@ -0,0 +1,29 @@
+import React from 'react';
+import { ArrowUp, ArrowDown, ArrowLeft, ArrowRight, EyeOff } from 'lucide-react';
+
+const moves = [
+  { direction: 'up', icon: ArrowUp, label: 'up' },
+  { direction: 'down', icon: ArrowDown, label: 'down' },
+  { direction: 'left', icon: ArrowLeft, label: 'to the left column' },
+  { direction: 'right', icon: ArrowRight, label: 'to the right column' },
+];
+
+// Move and hide buttons shown on each card while the layout is being edited.
+// `canMove` says which directions are open.
+const LayoutControls = ({ title, canMove, onMove, onHide }) => (
+  <div style={styles.bar} role="group" aria-label={`Arrange ${title}`}>
+    {moves.map(({ direction, icon: Icon, label }) => (
+      <button key={direction} style={styles.button} aria-label={`Move ${title} ${label}`} title={`Move ${label}`} disabled={!canMove[direction]} onClick={() => onMove(direction)}>
+        <Icon size={14} aria-hidden="true" />
+      </button>
+    ))}
+    <button style={{ ...styles.button, marginLeft: 'auto' }} aria-label={`Hide ${title}`} title="Hide" onClick={onHide}><EyeOff size={14} aria-hidden="true" /></button>
+  </div>
+);
+
+const styles = {
+  bar: { display: 'flex', gap: '4px', marginBottom: '12px', padding: '6px', background: 'var(--bg)', border: '1px dashed var(--border-strong)', borderRadius: '8px' },
+  button: { padding: '6px', background: 'var(--border)', border: 'none', borderRadius: '6px', color: 'var(--text)', cursor: 'pointer', display: 'flex' },
+};
+
+export default LayoutControls;
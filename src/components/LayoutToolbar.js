@@ -0,0 +1,35 @@
+import React from 'react';
+import { Eye, RotateCcw, Check } from 'lucide-react';
+import { CARDS } from '../display/display';
+
+// Shown above the dashboard while cards are being arranged: brings hidden
+// cards back and resets or finishes the arrangement
+const LayoutToolbar = ({ hidden, onShow, onReset, onDone }) => (
+  <div style={styles.bar} role="region" aria-label="Arrange cards">
+    <span style={styles.text}>Move cards with their arrows or hide them. The layout is shared by every garden.</span>
+    {hidden.length > 0 && (
+      <div style={styles.hidden}>
+        Hidden:
+        {hidden.map(id => (
+          <button key={id} style={styles.chip} aria-label={`Show ${CARDS[id].title}`} onClick={() => onShow(id)}><Eye size={12} aria-hidden="true" />{CARDS[id].title}</button>
+        ))}
+      </div>
+    )}
+    <div style={styles.actions}>
+      <button style={styles.button} onClick={onReset}><RotateCcw size={14} aria-hidden="true" />Reset layout</button>
+      <button style={styles.doneButton} onClick={onDone}><Check size={14} aria-hidden="true" />Done</button>
+    </div>
+  </div>
+);
+
+const styles = {
+  bar: { display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '10px', maxWidth: '1800px', margin: '20px auto 0', padding: '12px 16px', boxSizing: 'border-box', background: 'var(--surface)', border: '1px dashed var(--border-strong)', borderRadius: '12px', fontSize: '13px', color: 'var(--text-muted)' },
+  text: { flex: '1 1 240px' },
+  hidden: { display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '6px' },
+  chip: { padding: '4px 8px', background: 'var(--bg)', border: '1px solid var(--border)', borderRadius: '12px', color: 'var(--text)', cursor: 'pointer', display: 'flex', alignItems: 'center', gap: '4px', fontSize: '12px' },
+  actions: { display: 'flex', gap: '6px', marginLeft: 'auto' },
+  button: { padding: '6px 10px', background: 'var(--border)', border: 'none', borderRadius: '6px', color: 'var(--text)', cursor: 'pointer', display: 'flex', alignItems: 'center', gap: '6px', fontSize: '13px' },
+  doneButton: { padding: '6px 10px', background: 'var(--info)', border: 'none', borderRadius: '6px', color: 'var(--on-accent)', cursor: 'pointer', display: 'flex', alignItems: 'center', gap: '6px', fontSize: '13px' },
+};
+
+export default LayoutToolbar;
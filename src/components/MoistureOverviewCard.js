@@ -0,0 +1,20 @@
+import React from 'react';
+import { ResponsiveContainer, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip } from 'recharts';
+import Card from './Card';
+import ChartFigure from './ChartFigure';
+
+const MoistureOverviewCard = ({ plants, controls }) => (
+  <Card title="Moisture Overview" controls={controls}>
+    <ChartFigure label="Moisture by plant" summary={plants.map(plant => `${plant.name}: ${Math.round(plant.moisture)}%`).join(', ') || 'No plants'}>
+      <ResponsiveContainer width="100%" height={180}>
+        <LineChart data={plants.map(p => ({ name: p.name.substring(0, 3), moisture: p.moisture }))}>
+          <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" /><XAxis dataKey="name" stroke="var(--text-faint)" /><YAxis stroke="var(--text-faint)" domain={[0, 100]} />
+          <Tooltip contentStyle={{ backgroundColor: 'var(--surface)', border: '1px solid var(--border)' }} labelStyle={{ color: 'var(--text-strong)' }} />
+          <Line type="monotone" dataKey="moisture" stroke="var(--ok)" strokeWidth={2} dot={{ r: 4 }} />
+        </LineChart>
+      </ResponsiveContainer>
+    </ChartFigure>
+  </Card>
+);
+
+export default MoistureOverviewCard;
@@ -0,0 +1,16 @@
+import React from 'react';
+
+const RADIUS = 35;
+const CIRCUMFERENCE = 2 * Math.PI * RADIUS;
+
+// Moisture as a filled ring, labelled for screen readers with the reading
+// and the plant's optimal band
+const MoistureRing = ({ moisture, color, optimalMin, optimalMax }) => (
+  <svg width="90" height="90" role="img" aria-label={`${Math.round(moisture)}% moisture, optimal ${optimalMin}–${optimalMax}%`}>
+    <circle cx="45" cy="45" r={RADIUS} fill="none" stroke="var(--border)" strokeWidth="8" />
+    <circle cx="45" cy="45" r={RADIUS} fill="none" stroke={color} strokeWidth="8" strokeDasharray={CIRCUMFERENCE} strokeDashoffset={CIRCUMFERENCE - (moisture / 100) * CIRCUMFERENCE} strokeLinecap="round" transform="rotate(-90 45 45)" />
+    <text x="45" y="50" textAnchor="middle" fill="var(--text-strong)" fontSize="18" fontWeight="bold">{Math.round(moisture)}%</text>
+  </svg>
+);
+
+export default MoistureRing;
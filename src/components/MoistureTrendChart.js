@@ -0,0 +1,100 @@
+import React, { useState, useEffect } from 'react';
+import { ResponsiveContainer, AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, ReferenceArea, ReferenceLine } from 'recharts';
+import ChartFigure from './ChartFigure';
+import { systemClock } from '../simulation/clock';
+
+const HOUR = 3600000;
+
+export const RANGES = {
+  '1h': { label: '1h', span: HOUR },
+  '24h': { label: '24h', span: 24 * HOUR },
+  '7d': { label: '7d', span: 7 * 24 * HOUR },
+  '30d': { label: '30d', span: 30 * 24 * HOUR },
+};
+
+const MAX_POINTS = 240;
+
+const tickFormatter = (span, timeZone) => (timestamp) =>
+  new Date(timestamp).toLocaleString('en-US', span <= 24 * HOUR
+    ? { hour: '2-digit', minute: '2-digit', hourCycle: 'h23', timeZone }
+    : { month: 'short', day: 'numeric', timeZone });
+
+// `refreshKey` changes whenever new readings have been stored. Until the first
+// one is, the window ends where it was when the chart opened or the range changed.
+const MoistureTrendChart = ({ history, plant, profile, wateringEvents, timeZone, refreshKey, clock = systemClock }) => {
+  const [range, setRange] = useState('24h');
+  const [openedAt, setOpenedAt] = useState(() => clock.now());
+  const [points, setPoints] = useState([]);
+  const { span } = RANGES[range];
+  const to = refreshKey || openedAt;
+  const from = to - span;
+
+  useEffect(() => {
+    let cancelled = false;
+    history.query(plant.id, from, to, MAX_POINTS)
+      .then(result => !cancelled && setPoints(result))
+      .catch(error => console.error('History query failed:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [history, plant.id, from, to]);
+
+  const markers = wateringEvents.filter(event => event.plantId === plant.id && event.timestamp >= from && event.timestamp <= to);
+  const formatTick = tickFormatter(span, timeZone);
+  const values = points.map(point => point.moisture);
+  const summary = values.length
+    ? `${values.length} readings from ${Math.round(Math.min(...values))}% to ${Math.round(Math.max(...values))}%, latest ${Math.round(values[values.length - 1])}%. ${markers.length} waterings.`
+    : 'No readings.';
+
+  return (
+    <>
+      <div style={styles.header}>
+        <h2 style={styles.title}>{plant.name} - {RANGES[range].label} Moisture Trend</h2>
+        <div style={styles.rangeTabs} role="group" aria-label="Time range">
+          {Object.entries(RANGES).map(([key, { label }]) => (
+            <button key={key} aria-pressed={range === key} style={{ ...styles.rangeTab, ...(range === key ? styles.rangeTabActive : {}) }} onClick={() => { setRange(key); setOpenedAt(clock.now()); }}>{label}</button>
+          ))}
+        </div>
+      </div>
+      {points.length === 0 && <div style={styles.empty}>No readings stored for this period yet.</div>}
+      <ChartFigure label={`${plant.name} moisture over the last ${RANGES[range].label}`} summary={summary}>
+        <ResponsiveContainer width="100%" height={250}>
+          <AreaChart data={points}>
+            <defs><linearGradient id="moistureGradient" x1="0" y1="0" x2="0" y2="1"><stop offset="5%" stopColor="var(--info)" stopOpacity={0.8}/><stop offset="95%" stopColor="var(--info)" stopOpacity={0.1}/></linearGradient></defs>
+            <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" />
+            <XAxis dataKey="timestamp" type="number" scale="time" domain={[from, to]} tickFormatter={formatTick} stroke="var(--text-faint)" />
+            <YAxis stroke="var(--text-faint)" domain={[0, 100]} />
+            <ReferenceArea y1={profile.optimalMin} y2={profile.optimalMax} fill="var(--ok)" fillOpacity={0.08} stroke="var(--ok)" strokeOpacity={0.3} strokeDasharray="4 4" />
+            {markers.map(event => (
+              <ReferenceLine key={event.id} x={event.timestamp} stroke="var(--info)" strokeDasharray="2 4" label={{ value: '💧', position: 'top' }} />
+            ))}
+            <Tooltip
+              contentStyle={{ backgroundColor: 'var(--surface)', border: '1px solid var(--border)' }}
+              labelStyle={{ color: 'var(--text-strong)' }}
+              labelFormatter={(timestamp) => new Date(timestamp).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short', timeZone })}
+              formatter={(value) => [`${value.toFixed(1)}%`, 'Moisture']}
+            />
+            <Area type="monotone" dataKey="moisture" stroke="var(--info)" fillOpacity={1} fill="url(#moistureGradient)" isAnimationActive={false} />
+          </AreaChart>
+        </ResponsiveContainer>
+      </ChartFigure>
+      <div style={styles.legend}>
+        <span><span style={{ ...styles.swatch, background: 'var(--ok-soft)' }} />Optimal {profile.optimalMin}–{profile.optimalMax}%</span>
+        <span>💧 Watering ({markers.length})</span>
+      </div>
+    </>
+  );
+};
+
+const styles = {
+  header: { display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px', marginBottom: '16px', flexWrap: 'wrap' },
+  title: { margin: 0, fontSize: '16px', fontWeight: '600', color: 'var(--text)' },
+  rangeTabs: { display: 'flex', gap: '4px' },
+  rangeTab: { padding: '4px 10px', background: 'var(--bg)', border: '1px solid var(--border)', borderRadius: '6px', color: 'var(--text-faint)', fontSize: '12px', cursor: 'pointer' },
+  rangeTabActive: { background: 'var(--info)', borderColor: 'var(--info)', color: 'var(--on-accent)' },
+  empty: { fontSize: '13px', color: 'var(--text-faint)', marginBottom: '8px' },
+  legend: { display: 'flex', gap: '16px', fontSize: '12px', color: 'var(--text-faint)', marginTop: '8px' },
+  swatch: { display: 'inline-block', width: '10px', height: '10px', borderRadius: '2px', marginRight: '6px' },
+};
+
+export default MoistureTrendChart;
@@ -0,0 +1,45 @@
+import { render, act, screen } from '@testing-library/react';
+import MoistureTrendChart from './MoistureTrendChart';
+import { createMemoryHistory } from '../storage/historyStore';
+import { createClock } from '../simulation/clock';
+
+global.ResizeObserver = class { observe() {} unobserve() {} disconnect() {} };
+
+const plant = { id: 1, name: 'Basil' };
+const settle = () => act(async () => { await new Promise(resolve => setTimeout(resolve, 20)); });
+const profile = { optimalMin: 40, optimalMax: 60 };
+
+test('queries history once while no reading has been stored', async () => {
+  const history = { query: jest.fn(() => Promise.resolve([])) };
+  render(<MoistureTrendChart history={history} plant={plant} profile={profile} wateringEvents={[]} timeZone="UTC" refreshKey={null} />);
+  await settle();
+  expect(history.query).toHaveBeenCalledTimes(1);
+});
+
+test('queries again when new readings are stored', async () => {
+  const history = { query: jest.fn(() => Promise.resolve([])) };
+  const props = { history, plant, profile, wateringEvents: [], timeZone: 'UTC' };
+  const { rerender } = render(<MoistureTrendChart {...props} refreshKey={1000} />);
+  await settle();
+  rerender(<MoistureTrendChart {...props} refreshKey={2000} />);
+  await settle();
+  expect(history.query).toHaveBeenCalledTimes(2);
+  expect(history.query).toHaveBeenLastCalledWith(1, 2000 - 24 * 3600000, 2000, 240);
+});
+
+test('reads history on the clock it is given', async () => {
+  // Three hours of readings that end on the virtual clock, long before wall time
+  const clock = createClock(Date.UTC(2020, 0, 1, 12));
+  const history = createMemoryHistory(clock);
+  const readings = [];
+  for (let t = clock.now() - 3 * 3600000; t <= clock.now(); t += 60000) readings.push({ plantId: 1, moisture: 50, timestamp: t });
+  await history.addReadings(readings);
+  await history.prune();
+  const query = jest.spyOn(history, 'query');
+
+  render(<MoistureTrendChart history={history} plant={plant} profile={profile} wateringEvents={[]} timeZone="UTC" refreshKey={null} clock={clock} />);
+  await settle();
+  expect(query).toHaveBeenCalledWith(1, clock.now() - 24 * 3600000, clock.now(), 240);
+  expect(screen.queryByText('No readings stored for this period yet.')).toBeNull();
+  expect(screen.getByText(/readings from 50% to 50%/)).toBeInTheDocument();
+});
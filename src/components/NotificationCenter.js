@@ -0,0 +1,68 @@
+import React, { useState } from 'react';
+import { Bell } from 'lucide-react';
+import { formatTimeAgo } from '../format';
+
+const severityColors = { info: 'var(--info)', warning: 'var(--warn)', critical: 'var(--alert)' };
+
+const NotificationCenter = ({ notifications, now, onMarkAllRead, onClear }) => {
+  const [open, setOpen] = useState(false);
+  const unread = notifications.filter(notification => !notification.read).length;
+
+  const toggle = () => {
+    if (open && unread) onMarkAllRead();
+    setOpen(!open);
+  };
+
+  return (
+    <div style={styles.container} onKeyDown={(e) => e.key === 'Escape' && open && toggle()}>
+      <button style={styles.bell} onClick={toggle} aria-expanded={open} aria-label={`Notifications, ${unread} unread`}>
+        <Bell size={20} aria-hidden="true" />
+        {unread > 0 && <span style={styles.badge}>{unread > 99 ? '99+' : unread}</span>}
+      </button>
+      {open && (
+        <div style={styles.panel} role="dialog" aria-label="Notifications">
+          <div style={styles.panelHeader}>
+            <span>Notifications</span>
+            <div style={styles.actions}>
+              <button style={styles.link} onClick={onMarkAllRead} disabled={!unread}>Mark all read</button>
+              <button style={styles.link} onClick={onClear} disabled={!notifications.length}>Clear</button>
+            </div>
+          </div>
+          {notifications.length === 0 ? (
+            <div style={styles.empty}>No alerts yet.</div>
+          ) : (
+            <ul style={styles.list}>
+              {notifications.map(notification => (
+                <li key={notification.id} style={{ ...styles.item, borderLeftColor: severityColors[notification.severity], opacity: notification.read ? 0.7 : 1 }}>
+                  <div style={styles.itemTitle}>{notification.title}</div>
+                  <div>{notification.message}</div>
+                  <div style={styles.meta}>
+                    {formatTimeAgo(notification.timestamp, now)}
+                    {notification.delivery && Object.entries(notification.delivery).map(([channel, result]) => ` · ${channel} ${result}`).join('')}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const styles = {
+  container: { position: 'relative' },
+  bell: { position: 'relative', padding: '8px', background: 'var(--border)', border: 'none', borderRadius: '8px', color: 'var(--text)', cursor: 'pointer', display: 'flex' },
+  badge: { position: 'absolute', top: '-4px', right: '-4px', minWidth: '18px', height: '18px', padding: '0 4px', borderRadius: '9px', background: 'var(--alert)', color: 'var(--on-accent)', fontSize: '11px', fontWeight: '700', display: 'flex', alignItems: 'center', justifyContent: 'center', boxSizing: 'border-box' },
+  panel: { position: 'absolute', right: 0, top: '44px', width: 'min(340px, calc(100vw - 32px))', maxHeight: '420px', overflowY: 'auto', background: 'var(--surface)', border: '1px solid var(--border)', borderRadius: '12px', boxShadow: '0 8px 32px var(--shadow)', zIndex: 10, fontSize: '13px', color: 'var(--text-muted)' },
+  panelHeader: { display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '12px 16px', borderBottom: '1px solid var(--border)', color: 'var(--text)', fontWeight: '600' },
+  actions: { display: 'flex', gap: '12px' },
+  link: { background: 'none', border: 'none', color: 'var(--info)', cursor: 'pointer', fontSize: '12px', padding: 0 },
+  empty: { padding: '16px' },
+  list: { listStyle: 'none', margin: 0, padding: '8px', display: 'flex', flexDirection: 'column', gap: '6px' },
+  item: { padding: '8px 10px', background: 'var(--bg)', borderRadius: '6px', borderLeft: '3px solid', display: 'flex', flexDirection: 'column', gap: '2px' },
+  itemTitle: { color: 'var(--text)', fontWeight: '600' },
+  meta: { fontSize: '11px', color: 'var(--text-faint)' },
+};
+
+export default NotificationCenter;
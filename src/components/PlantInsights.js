@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+import { formatTimeUntil } from '../format';
+
+const MAX_ITEMS = 6;
+
+const kindIcons = { stuck: '🛑', leak: '🚰', rise: '❓', soon: '⏱️', learning: '📈', ok: '✅' };
+const decisionIcons = { water: '💧', reduce: '📉', defer: '⏳', skip: '🌧️' };
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// The fitted rate and how well it fits, shown under each forecast
+const fitDetail = (item) => (item.ratePerHour !== undefined
+  ? `Drying ${round(item.ratePerHour)}%/h (model ${round(item.expectedPerHour)}%/h), fit on ${item.samples} readings, r² ${round(item.r2, 2)}`
+  : `${item.samples} readings since the last watering`);
+
+const describe = (item, name, { timeZone, now }) => {
+  const clock = (timestamp) => new Date(timestamp).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hourCycle: 'h23', timeZone });
+  switch (item.kind) {
+    case 'stuck':
+      return { text: `${name}'s sensor has read ${round(item.value)}% for ${item.minutes} min. Check the probe.`, detail: `The model expects ${round(item.expectedPerHour)}%/h of drying` };
+    case 'leak':
+      return { text: `${name} is losing water ${round(item.ratio)}× faster than expected. Check for a leak or fast drainage.`, detail: fitDetail(item) };
+    case 'rise':
+      return { text: `${name} rose ${round(item.amount)} points since ${clock(item.since)} with no watering or rain. A valve may be leaking.`, detail: `Now at ${round(item.moisture)}%` };
+    case 'dry':
+      return {
+        icon: item.decision && decisionIcons[item.decision.action],
+        text: `${name} is ${round(item.deficit)} points below ${item.threshold}%${item.decision ? `: ${item.decision.reason}` : '.'}`,
+        detail: fitDetail(item),
+      };
+    case 'soon':
+      return { text: `${name} reaches ${round(item.threshold)}% in ${formatTimeUntil(item.crossesAt, now)} (${clock(item.crossesAt)}).`, detail: fitDetail(item) };
+    case 'learning':
+      return { text: `${name}: learning its drying rate.`, detail: fitDetail(item) };
+    default:
+      return { text: `${name} stays above ${round(item.threshold)}% for the next day.`, detail: fitDetail(item) };
+  }
+};
+
+// Ranked forecast and anomaly list for the AI Insights card.
+const PlantInsights = ({ recommendations, plants, timeZone, now }) => {
+  const [showAll, setShowAll] = useState(false);
+  const shown = showAll ? recommendations : recommendations.slice(0, MAX_ITEMS);
+  const nameOf = plantId => plants.find(plant => plant.id === plantId)?.name ?? `Plant ${plantId}`;
+
+  if (!recommendations.length) return <p>No plants to forecast yet.</p>;
+  return (
+    <>
+      <ol style={styles.list}>
+        {shown.map(item => {
+          const { icon, text, detail } = describe(item, nameOf(item.plantId), { timeZone, now });
+          return (
+            <li key={`${item.plantId}-${item.kind}`} style={styles.item}>
+              <span style={styles.icon} aria-hidden="true">{icon || kindIcons[item.kind] || '💧'}</span>
+              <div>
+                <div style={styles.text}>{text}</div>
+                <div style={styles.detail}>{detail}</div>
+              </div>
+            </li>
+          );
+        })}
+      </ol>
+      {recommendations.length > MAX_ITEMS && (
+        <button style={styles.link} onClick={() => setShowAll(!showAll)}>
+          {showAll ? 'Show fewer' : `Show ${recommendations.length - MAX_ITEMS} more`}
+        </button>
+      )}
+    </>
+  );
+};
+
+const styles = {
+  list: { listStyle: 'none', margin: 0, padding: 0, display: 'flex', flexDirection: 'column', gap: '10px' },
+  item: { display: 'flex', gap: '8px', alignItems: 'flex-start' },
+  icon: { fontSize: '16px' },
+  text: { color: 'var(--text)', fontSize: '13px' },
+  detail: { fontSize: '11px', color: 'var(--text-faint)', lineHeight: '1.4' },
+  link: { marginTop: '8px', background: 'none', border: 'none', color: 'var(--info)', cursor: 'pointer', fontSize: '12px', padding: 0 },
+};
+
+export default PlantInsights;
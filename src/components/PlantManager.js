@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+import { Plus, Trash2, Save } from 'lucide-react';
+import { addPlant, updatePlant, removePlant, saveSpecies, removeSpecies } from '../plants/registry';
+import { profileFields } from '../plants/species';
+
+const NEW_SPECIES = '__new__';
+
+const PlantManager = ({ registry, onChange }) => {
+  const speciesNames = Object.keys(registry.species);
+  const [error, setError] = useState(null);
+  const [newPlant, setNewPlant] = useState({ name: '', species: speciesNames[0] || '' });
+  const [editingSpecies, setEditingSpecies] = useState(speciesNames[0] || NEW_SPECIES);
+  const [speciesDraft, setSpeciesDraft] = useState(() => ({ name: '', ...registry.species[speciesNames[0]] }));
+
+  // Runs a registry edit, surfacing validation errors instead of throwing
+  const apply = (edit) => {
+    try {
+      onChange(edit(registry));
+      setError(null);
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  };
+
+  const selectSpecies = (name) => {
+    setEditingSpecies(name);
+    setSpeciesDraft(name === NEW_SPECIES
+      ? { name: '', optimalMin: 40, optimalMax: 60, decayRate: 0.1, waterAbsorption: 20 }
+      : { name: '', ...registry.species[name] });
+    setError(null);
+  };
+
+  const handleAddPlant = () => {
+    if (apply(r => addPlant(r, newPlant))) setNewPlant({ ...newPlant, name: '' });
+  };
+
+  const handleSaveSpecies = () => {
+    const name = editingSpecies === NEW_SPECIES ? speciesDraft.name : editingSpecies;
+    const profile = Object.fromEntries(profileFields.map(({ key }) => [key, Number(speciesDraft[key])]));
+    if (apply(r => saveSpecies(r, name, profile)) && editingSpecies === NEW_SPECIES) setEditingSpecies(name.trim());
+  };
+
+  const handleRemoveSpecies = () => {
+    if (apply(r => removeSpecies(r, editingSpecies))) selectSpecies(speciesNames.find(name => name !== editingSpecies) || NEW_SPECIES);
+  };
+
+  return (
+    <div style={styles.container}>
+      {error && <div style={styles.error} role="alert">{error}</div>}
+
+      <div style={styles.sectionTitle}>Plants</div>
+      {registry.plants.map(plant => (
+        <div key={plant.id} style={styles.row}>
+          <input
+            style={styles.input}
+            defaultValue={plant.name}
+            aria-label={`Name of plant ${plant.id}`}
+            onBlur={(e) => e.target.value !== plant.name && apply(r => updatePlant(r, plant.id, { name: e.target.value }))}
+            onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+          />
+          <select style={styles.select} value={plant.species} aria-label={`Species of ${plant.name}`} onChange={(e) => apply(r => updatePlant(r, plant.id, { species: e.target.value }))}>
+            {speciesNames.map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+          <button style={styles.iconButton} title={`Remove ${plant.name}`} onClick={() => apply(r => removePlant(r, plant.id))}><Trash2 size={14} /></button>
+        </div>
+      ))}
+      <div style={styles.row}>
+        <input style={styles.input} placeholder="New plant name" value={newPlant.name} onChange={(e) => setNewPlant({ ...newPlant, name: e.target.value })} onKeyDown={(e) => e.key === 'Enter' && handleAddPlant()} />
+        <select style={styles.select} value={newPlant.species} aria-label="Species of new plant" onChange={(e) => setNewPlant({ ...newPlant, species: e.target.value })}>
+          {speciesNames.map(name => <option key={name} value={name}>{name}</option>)}
+        </select>
+        <button style={styles.iconButton} title="Add plant" onClick={handleAddPlant}><Plus size={14} /></button>
+      </div>
+
+      <div style={styles.sectionTitle}>Species Profiles</div>
+      <select style={{ ...styles.select, width: '100%' }} value={editingSpecies} aria-label="Species profile" onChange={(e) => selectSpecies(e.target.value)}>
+        {speciesNames.map(name => <option key={name} value={name}>{name}{registry.species[name].custom ? ' (custom)' : ''}</option>)}
+        <option value={NEW_SPECIES}>+ New species…</option>
+      </select>
+      {editingSpecies === NEW_SPECIES && (
+        <input style={{ ...styles.input, width: '100%' }} placeholder="Species name" value={speciesDraft.name} onChange={(e) => setSpeciesDraft({ ...speciesDraft, name: e.target.value })} />
+      )}
+      <div style={styles.profileGrid}>
+        {profileFields.map(({ key, label, step }) => (
+          <label key={key} style={styles.profileField}>
+            <span>{label}</span>
+            <input style={styles.input} type="number" step={step} value={speciesDraft[key] ?? ''} onChange={(e) => setSpeciesDraft({ ...speciesDraft, [key]: e.target.value })} />
+          </label>
+        ))}
+      </div>
+      <div style={styles.row}>
+        <button style={styles.button} onClick={handleSaveSpecies}><Save size={14} />Save profile</button>
+        {registry.species[editingSpecies]?.custom && (
+          <button style={styles.iconButton} title={`Remove ${editingSpecies}`} onClick={handleRemoveSpecies}><Trash2 size={14} /></button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const styles = {
+  container: { display: 'flex', flexDirection: 'column', gap: '8px', fontSize: '13px' },
+  sectionTitle: { fontSize: '12px', color: 'var(--text-faint)', textTransform: 'uppercase', letterSpacing: '0.05em', marginTop: '8px' },
+  row: { display: 'flex', gap: '6px', alignItems: 'center' },
+  input: { flex: 1, minWidth: 0, padding: '6px 8px', background: 'var(--bg)', border: '1px solid var(--border)', borderRadius: '6px', color: 'var(--text)', fontSize: '13px', boxSizing: 'border-box' },
+  select: { padding: '6px', background: 'var(--bg)', border: '1px solid var(--border)', borderRadius: '6px', color: 'var(--text)', fontSize: '13px', maxWidth: '110px' },
+  iconButton: { padding: '6px', background: 'var(--border)', border: 'none', borderRadius: '6px', color: 'var(--text)', cursor: 'pointer', display: 'flex' },
+  button: { flex: 1, padding: '8px', background: 'var(--info)', border: 'none', borderRadius: '6px', color: 'var(--on-accent)', cursor: 'pointer', display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '6px', fontSize: '13px' },
+  profileGrid: { display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '6px' },
+  profileField: { display: 'flex', flexDirection: 'column', gap: '4px', color: 'var(--text-muted)', fontSize: '12px' },
+  error: { padding: '8px', background: 'var(--alert-soft)', border: '1px solid var(--alert)', borderRadius: '6px', color: 'var(--alert)' },
+};
+
+export default PlantManager;
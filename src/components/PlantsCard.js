@@ -0,0 +1,52 @@
+import React from 'react';
+import { CircleCheck, Hourglass, TriangleAlert, Droplets } from 'lucide-react';
+import Card from './Card';
+import MoistureRing from './MoistureRing';
+
+// Each status has its own icon as well as its colour, so it reads without colour
+const statuses = {
+  Healthy: { color: 'var(--ok)', icon: CircleCheck },
+  'Water Soon': { color: 'var(--warn)', icon: Hourglass },
+  'Needs Water': { color: 'var(--alert)', icon: TriangleAlert },
+  'Too Wet': { color: 'var(--info)', icon: Droplets },
+};
+
+// Arrow keys, Home and End move between the plant buttons
+const moveFocus = (e) => {
+  const buttons = [...e.currentTarget.querySelectorAll('button')];
+  const index = buttons.indexOf(document.activeElement);
+  const target = { ArrowLeft: index - 1, ArrowUp: index - 1, ArrowRight: index + 1, ArrowDown: index + 1, Home: 0, End: buttons.length - 1 }[e.key];
+  if (index === -1 || target === undefined || !buttons[target]) return;
+  e.preventDefault();
+  buttons[target].focus();
+};
+
+const PlantsCard = ({ plants, species, selectedId, onSelect, controls }) => (
+  <Card title="Your Plants" controls={controls}>
+    {!plants.length && <div style={styles.empty}>No plants yet. Add some under Manage Plants.</div>}
+    <div style={styles.grid} role="group" aria-label="Plants, select one to see its moisture trend" onKeyDown={moveFocus}>
+      {plants.map(plant => {
+        const profile = species[plant.species];
+        const { color, icon: Icon } = statuses[plant.status] || statuses.Healthy;
+        const selected = plant.id === selectedId;
+        return (
+          <button key={plant.id} type="button" aria-pressed={selected} style={{ ...styles.plant, borderColor: selected ? 'var(--info)' : 'var(--border)' }} onClick={() => onSelect(plant.id)}>
+            <span style={styles.name}>{plant.name}</span>
+            <MoistureRing moisture={plant.moisture} color={color} optimalMin={profile.optimalMin} optimalMax={profile.optimalMax} />
+            <span style={{ ...styles.status, color }}><Icon size={14} aria-hidden="true" />{plant.status}</span>
+          </button>
+        );
+      })}
+    </div>
+  </Card>
+);
+
+const styles = {
+  empty: { fontSize: '13px', color: 'var(--text-faint)' },
+  grid: { display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(120px, 1fr))', gap: '16px' },
+  plant: { background: 'var(--bg)', borderRadius: '12px', padding: '16px', display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '12px', cursor: 'pointer', transition: 'all 0.3s ease', border: '2px solid', font: 'inherit' },
+  name: { fontSize: '16px', fontWeight: '600', color: 'var(--text)' },
+  status: { display: 'flex', alignItems: 'center', gap: '4px', fontSize: '13px', fontWeight: '500' },
+};
+
+export default PlantsCard;
@@ -0,0 +1,46 @@
+import React from 'react';
+import { Power, PauseCircle, Droplets } from 'lucide-react';
+import Card from './Card';
+
+const Toggle = ({ icon: Icon, label, checked, onChange }) => (
+  <div style={styles.row}>
+    <div style={styles.label}><Icon size={18} aria-hidden="true" /><span>{label}</span></div>
+    <label className="switch">
+      <input type="checkbox" role="switch" aria-label={label} checked={checked} onChange={(e) => onChange(e.target.checked)} />
+      <span className="slider"></span>
+    </label>
+  </div>
+);
+
+const QuickControlsCard = ({ autoWatering, vacationMode, onAutoWateringChange, onVacationModeChange, onWaterAll, controls }) => (
+  <Card title="Quick Controls" controls={controls}>
+    <Toggle icon={Power} label="Auto-Watering" checked={autoWatering} onChange={onAutoWateringChange} />
+    <Toggle icon={PauseCircle} label="Vacation Mode" checked={vacationMode} onChange={onVacationModeChange} />
+    <button style={styles.waterButton} onClick={onWaterAll}><Droplets size={20} aria-hidden="true" />Water All Now</button>
+  </Card>
+);
+
+const styles = {
+  row: { display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '12px 0', borderBottom: '1px solid var(--border)' },
+  label: { display: 'flex', alignItems: 'center', gap: '8px', fontSize: '14px', color: 'var(--text)' },
+  waterButton: {
+    width: '100%',
+    padding: '14px',
+    marginTop: '16px',
+    background: 'linear-gradient(135deg, var(--info), var(--ok))',
+    border: 'none',
+    borderRadius: '10px',
+    color: 'var(--on-accent)',
+    fontSize: '16px',
+    fontWeight: '600',
+    cursor: 'pointer',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: '8px',
+    transition: 'all 0.3s ease',
+    boxShadow: '0 4px 15px var(--info-soft)',
+  },
+};
+
+export default QuickControlsCard;
@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import { Plus, Trash2, Save } from 'lucide-react';
+import { newSchedule, saveSchedule, removeSchedule } from '../irrigation/schedules';
+
+const DAY_LABELS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+
+const toggle = (list, value) => (list.includes(value) ? list.filter(item => item !== value) : [...list, value].sort((a, b) => a - b));
+
+const ScheduleEditor = ({ irrigation, plants, onChange }) => {
+  const [draft, setDraft] = useState(null);
+  const [error, setError] = useState(null);
+
+  const edit = (schedule) => {
+    setDraft(schedule);
+    setError(null);
+  };
+
+  const handleSave = () => {
+    try {
+      onChange(saveSchedule(irrigation, draft));
+      edit(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRemove = (id) => {
+    onChange(removeSchedule(irrigation, id));
+    if (draft?.id === id) edit(null);
+  };
+
+  return (
+    <div style={styles.container}>
+      {irrigation.schedules.length === 0 && !draft && (
+        <div style={styles.empty}>No schedules. Plants are watered as soon as they drop below their optimal minimum.</div>
+      )}
+      {irrigation.schedules.map(schedule => (
+        <div key={schedule.id} style={styles.summary}>
+          <label className="switch" title={schedule.enabled ? 'Disable schedule' : 'Enable schedule'}>
+            <input type="checkbox" checked={schedule.enabled} onChange={(e) => onChange(saveSchedule(irrigation, { ...schedule, enabled: e.target.checked }))} />
+            <span className="slider"></span>
+          </label>
+          <button style={styles.summaryText} onClick={() => edit(schedule)}>
+            <div style={styles.summaryName}>{schedule.name}</div>
+            <div style={styles.summaryDetail}>
+              {schedule.windowStart}–{schedule.windowEnd} · {schedule.days.map(day => DAY_LABELS[day]).join('')} · max {schedule.maxDuration} min · {schedule.plantIds.length} plants
+            </div>
+          </button>
+          <button style={styles.iconButton} title={`Remove ${schedule.name}`} onClick={() => handleRemove(schedule.id)}><Trash2 size={14} /></button>
+        </div>
+      ))}
+
+      {draft ? (
+        <div style={styles.form}>
+          {error && <div style={styles.error} role="alert">{error}</div>}
+          <input style={styles.input} value={draft.name} aria-label="Schedule name" onChange={(e) => setDraft({ ...draft, name: e.target.value })} />
+          <div style={styles.row}>
+            <input style={styles.input} type="time" value={draft.windowStart} aria-label="Window start" onChange={(e) => setDraft({ ...draft, windowStart: e.target.value })} />
+            <span>to</span>
+            <input style={styles.input} type="time" value={draft.windowEnd} aria-label="Window end" onChange={(e) => setDraft({ ...draft, windowEnd: e.target.value })} />
+          </div>
+          <div style={styles.row}>
+            {DAY_LABELS.map((label, day) => (
+              <button key={day} style={{ ...styles.dayButton, ...(draft.days.includes(day) ? styles.dayButtonActive : {}) }} aria-pressed={draft.days.includes(day)} onClick={() => setDraft({ ...draft, days: toggle(draft.days, day) })}>{label}</button>
+            ))}
+          </div>
+          <label style={styles.row}>
+            <span>Max duration (min)</span>
+            <input style={styles.input} type="number" min="1" value={draft.maxDuration} onChange={(e) => setDraft({ ...draft, maxDuration: Number(e.target.value) })} />
+          </label>
+          <div style={styles.plantList}>
+            {plants.map(plant => (
+              <label key={plant.id} style={styles.plantOption}>
+                <input type="checkbox" checked={draft.plantIds.includes(plant.id)} onChange={() => setDraft({ ...draft, plantIds: toggle(draft.plantIds, plant.id) })} />
+                {plant.name}
+              </label>
+            ))}
+          </div>
+          <div style={styles.row}>
+            <button style={styles.button} onClick={handleSave}><Save size={14} />Save</button>
+            <button style={{ ...styles.button, ...styles.secondaryButton }} onClick={() => edit(null)}>Cancel</button>
+          </div>
+        </div>
+      ) : (
+        <button style={{ ...styles.button, ...styles.secondaryButton }} onClick={() => edit(newSchedule(irrigation.schedules, plants.map(plant => plant.id)))}><Plus size={14} />Add schedule</button>
+      )}
+    </div>
+  );
+};
+
+const styles = {
+  container: { display: 'flex', flexDirection: 'column', gap: '8px', fontSize: '13px' },
+  empty: { color: 'var(--text-faint)', fontSize: '13px', lineHeight: '1.5' },
+  summary: { display: 'flex', alignItems: 'center', gap: '8px', padding: '8px', background: 'var(--bg)', borderRadius: '8px' },
+  summaryText: { flex: 1, minWidth: 0, background: 'none', border: 'none', padding: 0, textAlign: 'left', cursor: 'pointer', color: 'var(--text)' },
+  summaryName: { fontWeight: '600', fontSize: '13px' },
+  summaryDetail: { fontSize: '11px', color: 'var(--text-faint)' },
+  form: { display: 'flex', flexDirection: 'column', gap: '8px', padding: '10px', background: 'var(--bg)', borderRadius: '8px', color: 'var(--text-muted)' },
+  row: { display: 'flex', gap: '6px', alignItems: 'center' },
+  input: { flex: 1, minWidth: 0, padding: '6px 8px', background: 'var(--surface)', border: '1px solid var(--border)', borderRadius: '6px', color: 'var(--text)', fontSize: '13px', boxSizing: 'border-box' },
+  dayButton: { flex: 1, padding: '6px 0', background: 'var(--surface)', border: '1px solid var(--border)', borderRadius: '6px', color: 'var(--text-faint)', cursor: 'pointer', fontSize: '12px' },
+  dayButtonActive: { background: 'var(--info)', borderColor: 'var(--info)', color: 'var(--on-accent)' },
+  plantList: { display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '4px' },
+  plantOption: { display: 'flex', alignItems: 'center', gap: '6px', fontSize: '12px', color: 'var(--text)' },
+  iconButton: { padding: '6px', background: 'var(--border)', border: 'none', borderRadius: '6px', color: 'var(--text)', cursor: 'pointer', display: 'flex' },
+  button: { flex: 1, padding: '8px', background: 'var(--info)', border: 'none', borderRadius: '6px', color: 'var(--on-accent)', cursor: 'pointer', display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '6px', fontSize: '13px' },
+  secondaryButton: { background: 'var(--border)', color: 'var(--text)' },
+  error: { padding: '8px', background: 'var(--alert-soft)', border: '1px solid var(--alert)', borderRadius: '6px', color: 'var(--alert)' },
+};
+
+export default ScheduleEditor;
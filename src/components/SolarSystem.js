@@ -0,0 +1,119 @@
+import React, { useState } from 'react';
+import { ResponsiveContainer, ComposedChart, Bar, Line, XAxis, YAxis, Tooltip, ReferenceLine } from 'recharts';
+import ChartFigure from './ChartFigure';
+import { Settings } from 'lucide-react';
+import { validateSolar, runtimeHours, chargePercent, RESUME_MARGIN, BASE_LOAD_W } from '../energy/solar';
+import { formatDuration } from '../format';
+
+const HOUR = 3600000;
+
+const fields = [
+  { key: 'panelWatts', label: 'Panel (W)', min: 0 },
+  { key: 'batteryWh', label: 'Battery (Wh)', min: 1 },
+  { key: 'reservePercent', label: 'Pump reserve (%)', min: 0 },
+];
+
+// `samples` are measured, `outlook` is projected from the forecast with the base load only
+const SolarSystem = ({ solar, chargeWh, inputW, loadW, pumpW, pumpOn, samples, outlook, timeZone, onChange }) => {
+  const [editing, setEditing] = useState(false);
+  const [error, setError] = useState(null);
+  const percent = chargePercent(chargeWh, solar.batteryWh);
+  const reserveWh = (solar.reservePercent / 100) * solar.batteryWh;
+  const runtime = runtimeHours(chargeWh, inputW, loadW);
+  const pumpRuntime = runtimeHours(Math.max(0, chargeWh - reserveWh), inputW, BASE_LOAD_W + pumpW);
+  const netW = inputW - loadW;
+
+  const data = [
+    ...samples.map(sample => ({ timestamp: sample.timestamp, measured: sample.percent, netW: sample.netW })),
+    ...outlook.map(point => ({ timestamp: point.timestamp, projected: point.percent, netW: point.netW })),
+  ];
+  const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString('en-US', { hour: '2-digit', hourCycle: 'h23', timeZone });
+
+  const update = (key, value) => {
+    const next = { ...solar, [key]: value };
+    const message = validateSolar(next);
+    setError(message);
+    if (!message) onChange(next);
+  };
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.bar} role="meter" aria-label="Battery charge" aria-valuemin={0} aria-valuemax={100} aria-valuenow={Math.round(percent)}>
+        <div style={{ ...styles.fill, width: `${percent}%` }} />
+        <div style={{ ...styles.reserveMark, left: `${solar.reservePercent}%` }} title={`Pump reserve ${solar.reservePercent}%`} />
+      </div>
+      <div style={styles.label}>
+        {Math.round(percent)}% · {Math.round(chargeWh)} / {solar.batteryWh} Wh
+        <button style={styles.iconButton} title="Panel and battery" aria-expanded={editing} onClick={() => setEditing(open => !open)}><Settings size={14} /></button>
+      </div>
+      <div style={styles.stats}>
+        <div><div style={styles.statLabel}>Solar in</div><div style={styles.statValue}>{inputW.toFixed(1)} W</div></div>
+        <div><div style={styles.statLabel}>Load</div><div style={styles.statValue}>{loadW.toFixed(1)} W</div></div>
+        <div>
+          <div style={styles.statLabel}>{netW >= 0 ? 'Charging' : 'Runtime left'}</div>
+          <div style={styles.statValue}>{netW >= 0 ? `+${netW.toFixed(1)} W` : formatDuration(runtime * HOUR)}</div>
+        </div>
+        <div>
+          <div style={styles.statLabel}>Pump time to reserve</div>
+          <div style={styles.statValue}>{pumpRuntime === null ? 'Unlimited' : formatDuration(pumpRuntime * HOUR)}</div>
+        </div>
+      </div>
+      {!pumpOn && (
+        <div style={styles.warning} role="status">
+          Battery below its {solar.reservePercent}% reserve: watering is paused until it recovers to {solar.reservePercent + RESUME_MARGIN}%.
+        </div>
+      )}
+      <ChartFigure label="Battery charge and net power" summary={`Battery at ${Math.round(percent)}%; ${outlook.length ? `projected ${Math.round(outlook[outlook.length - 1].percent)}% in 24 hours` : 'no projection yet'}. Reserve ${solar.reservePercent}%.`}>
+        <ResponsiveContainer width="100%" height={140}>
+          <ComposedChart data={data}>
+            <XAxis dataKey="timestamp" type="number" scale="time" domain={['dataMin', 'dataMax']} tickFormatter={formatTime} stroke="var(--text-faint)" fontSize={10} />
+            <YAxis yAxisId="percent" domain={[0, 100]} hide />
+            <YAxis yAxisId="power" orientation="right" hide />
+            <Tooltip
+              contentStyle={{ backgroundColor: 'var(--surface)', border: '1px solid var(--border)' }}
+              labelStyle={{ color: 'var(--text-strong)' }}
+              labelFormatter={formatTime}
+              formatter={(value, name) => (name === 'netW' ? [`${value.toFixed(1)} W`, 'Net power'] : [`${value.toFixed(0)}%`, name === 'measured' ? 'Charge' : 'Projected'])}
+            />
+            <ReferenceLine yAxisId="percent" y={solar.reservePercent} stroke="var(--alert)" strokeDasharray="3 3" />
+            <Bar yAxisId="power" dataKey="netW" fill="var(--warn)" fillOpacity={0.4} isAnimationActive={false} />
+            <Line yAxisId="percent" dataKey="measured" stroke="var(--energy)" dot={false} isAnimationActive={false} />
+            <Line yAxisId="percent" dataKey="projected" stroke="var(--energy)" strokeDasharray="4 4" dot={false} isAnimationActive={false} />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </ChartFigure>
+      <div style={styles.hint}>Bars: charge (+) and discharge (−) · dashed: next 24 h forecast</div>
+      {editing && (
+        <div style={styles.form}>
+          {error && <div style={styles.error} role="alert">{error}</div>}
+          {fields.map(({ key, label, min }) => (
+            <label key={key} style={styles.field}>
+              {label}
+              <input key={solar[key]} style={styles.input} type="number" min={min} defaultValue={solar[key]} onBlur={(e) => Number(e.target.value) !== solar[key] && update(key, Number(e.target.value))} onKeyDown={(e) => e.key === 'Enter' && e.target.blur()} />
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const styles = {
+  container: { display: 'flex', flexDirection: 'column', gap: '8px' },
+  bar: { position: 'relative', width: '100%', height: '24px', background: 'var(--bg)', borderRadius: '12px', overflow: 'hidden', border: '2px solid var(--border)', boxSizing: 'border-box' },
+  fill: { height: '100%', background: 'linear-gradient(to right, var(--warn), var(--energy))', transition: 'width 0.5s ease', boxShadow: '0 0 10px var(--warn-soft)' },
+  reserveMark: { position: 'absolute', top: 0, bottom: 0, width: '2px', background: 'var(--alert)' },
+  label: { display: 'flex', justifyContent: 'center', alignItems: 'center', gap: '8px', fontSize: '14px', color: 'var(--text-muted)' },
+  stats: { display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px' },
+  statLabel: { fontSize: '12px', color: 'var(--text-faint)' },
+  statValue: { fontSize: '14px', fontWeight: '600', color: 'var(--text)' },
+  warning: { padding: '8px', background: 'var(--warn-soft)', border: '1px solid var(--warn)', borderRadius: '6px', color: 'var(--warn)', fontSize: '12px' },
+  hint: { fontSize: '11px', color: 'var(--text-faint)' },
+  form: { display: 'flex', flexDirection: 'column', gap: '6px', padding: '10px', background: 'var(--bg)', borderRadius: '8px' },
+  field: { display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '8px', fontSize: '12px', color: 'var(--text-muted)' },
+  input: { width: '80px', padding: '4px 6px', background: 'var(--surface)', border: '1px solid var(--border)', borderRadius: '6px', color: 'var(--text)', fontSize: '13px' },
+  iconButton: { padding: '4px', background: 'none', border: 'none', color: 'var(--text-faint)', cursor: 'pointer', display: 'flex' },
+  error: { padding: '6px 8px', background: 'var(--alert-soft)', border: '1px solid var(--alert)', borderRadius: '6px', color: 'var(--alert)', fontSize: '12px' },
+};
+
+export default SolarSystem;
@@ -0,0 +1,32 @@
+import React from 'react';
+import { Clock, Calendar } from 'lucide-react';
+import Card from './Card';
+import { formatTimeAgo } from '../format';
+
+const SystemStatusCard = ({ nextWatering, upcomingRun, lastMaintenance, onLogMaintenance, now, controls }) => (
+  <Card title="System Status" controls={controls} style={styles.card}>
+    <div style={styles.grid}>
+      <div style={styles.item}>
+        <Clock size={16} aria-hidden="true" />
+        <div><div style={styles.label}>Next Watering</div><div style={styles.value}>{nextWatering}</div>{upcomingRun && <div style={styles.detail}>{upcomingRun.plants.map(plant => plant.name).join(', ')}</div>}</div>
+      </div>
+      <div style={styles.item}>
+        <Calendar size={16} aria-hidden="true" />
+        <div style={{ flex: 1 }}><div style={styles.label}>Last Maintenance</div><div style={styles.value}>{lastMaintenance ? formatTimeAgo(lastMaintenance, now) : 'Never'}</div></div>
+        <button style={styles.button} aria-label="Log maintenance" onClick={onLogMaintenance}>Log</button>
+      </div>
+    </div>
+  </Card>
+);
+
+const styles = {
+  card: { minHeight: '160px' },
+  grid: { display: 'flex', flexDirection: 'column', gap: '10px', justifyContent: 'center', height: '100%' },
+  item: { display: 'flex', alignItems: 'center', gap: '12px', padding: '12px', background: 'var(--bg)', borderRadius: '8px' },
+  label: { fontSize: '12px', color: 'var(--text-faint)' },
+  value: { fontSize: '14px', fontWeight: '600', color: 'var(--text)' },
+  detail: { fontSize: '11px', color: 'var(--text-faint)' },
+  button: { padding: '4px 10px', background: 'var(--border)', border: 'none', borderRadius: '6px', color: 'var(--text)', fontSize: '12px', cursor: 'pointer' },
+};
+
+export default SystemStatusCard;
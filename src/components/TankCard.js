@@ -0,0 +1,33 @@
+import React from 'react';
+import { Droplets } from 'lucide-react';
+import Card from './Card';
+
+const TankCard = ({ level, liters, capacity, onCapacityChange, controls }) => (
+  <Card title="Rainwater Tank" icon={Droplets} controls={controls}>
+    <div style={styles.container}>
+      <div style={styles.gauge} role="meter" aria-label="Rain tank level" aria-valuemin={0} aria-valuemax={100} aria-valuenow={Math.round(level)} aria-valuetext={`${Math.round(level)}%, ${Math.round(liters)} of ${capacity} litres`}>
+        <div style={{ ...styles.fill, height: `${level}%` }} />
+      </div>
+      <div>
+        <div style={styles.label}>{Math.round(level)}%</div>
+        <div style={styles.subtext}>{Math.round(liters)} / {capacity} L</div>
+        <label style={styles.field}>
+          Capacity (L)
+          <input key={capacity} style={styles.input} type="number" min="1" defaultValue={capacity} onBlur={(e) => onCapacityChange(Number(e.target.value))} onKeyDown={(e) => e.key === 'Enter' && e.target.blur()} />
+        </label>
+      </div>
+    </div>
+  </Card>
+);
+
+const styles = {
+  container: { display: 'flex', alignItems: 'center', gap: '16px' },
+  gauge: { width: '40px', height: '120px', background: 'var(--bg)', borderRadius: '20px', position: 'relative', overflow: 'hidden', border: '2px solid var(--border)' },
+  fill: { position: 'absolute', bottom: 0, left: 0, right: 0, background: 'linear-gradient(to top, var(--info), var(--ok))', borderRadius: '20px', transition: 'height 0.5s ease' },
+  label: { fontSize: '24px', fontWeight: '700', color: 'var(--info)' },
+  subtext: { fontSize: '14px', color: 'var(--text-faint)', textAlign: 'center' },
+  field: { display: 'flex', flexDirection: 'column', gap: '4px', marginTop: '8px', fontSize: '11px', color: 'var(--text-faint)' },
+  input: { width: '80px', padding: '4px 6px', background: 'var(--bg)', border: '1px solid var(--border)', borderRadius: '6px', color: 'var(--text)', fontSize: '13px' },
+};
+
+export default TankCard;
@@ -0,0 +1,111 @@
+import React from 'react';
+import { ResponsiveContainer, LineChart, Line, XAxis, YAxis, Tooltip } from 'recharts';
+import ChartFigure from './ChartFigure';
+import { validateTrip, suggestThreshold } from '../irrigation/vacation';
+import { formatTimeUntil } from '../format';
+
+const VacationPlanner = ({ plan, active, range, projection, plants, getProfile, timeZone, now, onChange }) => {
+  const error = (plan.start || plan.end) && validateTrip(plan);
+  const formatDate = (timestamp) => new Date(timestamp).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', hourCycle: 'h23', timeZone });
+  const plantName = (id) => plants.find(plant => plant.id === id)?.name;
+
+  const setThreshold = (plantId, value) => {
+    const thresholds = { ...plan.thresholds };
+    if (value === '') delete thresholds[plantId];
+    else thresholds[plantId] = Number(value);
+    onChange({ ...plan, thresholds });
+  };
+
+  let status = 'No trip planned';
+  if (plan.manual) status = 'Vacation mode is on until you turn it off';
+  else if (active) status = `On vacation, back in ${formatTimeUntil(range.to, now)}`;
+  else if (range && range.from > now) status = `Vacation mode turns on in ${formatTimeUntil(range.from, now)}`;
+  else if (range) status = 'Trip is over';
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.status}>{status}</div>
+      <div style={styles.row}>
+        <label style={styles.field}>From<input style={styles.input} type="date" value={plan.start || ''} onChange={(e) => onChange({ ...plan, start: e.target.value || null })} /></label>
+        <label style={styles.field}>To<input style={styles.input} type="date" value={plan.end || ''} onChange={(e) => onChange({ ...plan, end: e.target.value || null })} /></label>
+      </div>
+      {error && <div style={styles.error} role="alert">{error}</div>}
+      {(plan.start || plan.end) && <button style={styles.button} onClick={() => onChange({ ...plan, start: null, end: null })}>Clear dates</button>}
+
+      {projection && (
+        <>
+          <div style={styles.sectionTitle}>Projection with emergency watering only</div>
+          {projection.tankEmptyAt && (
+            <div style={styles.warning}>Rain tank runs dry around {formatDate(projection.tankEmptyAt)}; about {Math.round(projection.mainsLiters)} L will come from mains.</div>
+          )}
+          {projection.batteryLowAt && (
+            <div style={styles.warning}>Battery reaches its reserve around {formatDate(projection.batteryLowAt)}; the pump stops until it recovers.</div>
+          )}
+          {projection.plants.filter(stats => stats.missedAt).map(stats => (
+            <div key={stats.plantId} style={styles.warning}>{plantName(stats.plantId)} misses emergency watering from {formatDate(stats.missedAt)}.</div>
+          ))}
+          {!projection.tankEmptyAt && !projection.batteryLowAt && <div style={styles.ok}>Tank and battery last the whole trip ({Math.round(projection.liters)} L needed).</div>}
+          <ChartFigure label="Rain tank and battery during the trip" summary={`Rain tank ${projection.tankEmptyAt ? `runs dry around ${formatDate(projection.tankEmptyAt)}` : 'lasts the trip'}; battery ${projection.batteryLowAt ? `reaches its reserve around ${formatDate(projection.batteryLowAt)}` : 'lasts the trip'}.`}>
+            <ResponsiveContainer width="100%" height={120}>
+              <LineChart data={projection.points}>
+                <XAxis dataKey="timestamp" type="number" scale="time" domain={['dataMin', 'dataMax']} tickFormatter={(timestamp) => new Date(timestamp).toLocaleDateString('en-US', { day: 'numeric', month: 'short', timeZone })} stroke="var(--text-faint)" fontSize={10} />
+                <YAxis domain={[0, 100]} hide />
+                <Tooltip contentStyle={{ backgroundColor: 'var(--surface)', border: '1px solid var(--border)' }} labelStyle={{ color: 'var(--text-strong)' }} labelFormatter={formatDate} formatter={(value, name) => [`${Math.round(value)}%`, name === 'tankPercent' ? 'Rain tank' : 'Battery']} />
+                <Line dataKey="tankPercent" stroke="var(--info)" dot={false} isAnimationActive={false} />
+                <Line dataKey="batteryPercent" stroke="var(--energy)" dot={false} isAnimationActive={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          </ChartFigure>
+          <div style={styles.hint}><span style={{ color: 'var(--info)' }}>Rain tank</span> · <span style={{ color: 'var(--energy)' }}>Battery</span></div>
+        </>
+      )}
+
+      <div style={styles.sectionTitle}>Emergency thresholds</div>
+      <table style={styles.table}>
+        <thead>
+          <tr><th style={styles.th}>Plant</th><th style={styles.th}>Water below</th>{projection && <th style={styles.th}>Lowest</th>}{projection && <th style={styles.th}>Runs</th>}</tr>
+        </thead>
+        <tbody>
+          {plants.map(plant => {
+            const profile = getProfile(plant);
+            if (!profile) return null;
+            const suggested = suggestThreshold(profile);
+            const stats = projection?.plants.find(s => s.plantId === plant.id);
+            return (
+              <tr key={plant.id}>
+                <td style={styles.td}>{plant.name}</td>
+                <td style={styles.td}>
+                  <input style={styles.thresholdInput} type="number" min="0" max="100" aria-label={`Emergency threshold for ${plant.name}`} placeholder={String(suggested)} value={plan.thresholds[plant.id] ?? ''} onChange={(e) => setThreshold(plant.id, e.target.value)} />%
+                </td>
+                {stats && <td style={{ ...styles.td, color: stats.minMoisture < profile.optimalMin - 10 ? 'var(--alert)' : 'var(--text-muted)' }}>{Math.round(stats.minMoisture)}%</td>}
+                {stats && <td style={styles.td}>{stats.waterings}</td>}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <div style={styles.hint}>Empty fields use the suggestion: one emergency dose below the plant's optimal minimum.</div>
+      {Object.keys(plan.thresholds).length > 0 && <button style={styles.button} onClick={() => onChange({ ...plan, thresholds: {} })}>Use suggested thresholds</button>}
+    </div>
+  );
+};
+
+const styles = {
+  container: { display: 'flex', flexDirection: 'column', gap: '8px', fontSize: '13px' },
+  status: { color: 'var(--text)', fontWeight: '600' },
+  row: { display: 'flex', gap: '6px' },
+  field: { flex: 1, display: 'flex', flexDirection: 'column', gap: '4px', fontSize: '11px', color: 'var(--text-muted)' },
+  input: { minWidth: 0, padding: '6px', background: 'var(--bg)', border: '1px solid var(--border)', borderRadius: '6px', color: 'var(--text)', fontSize: '13px' },
+  sectionTitle: { fontSize: '12px', color: 'var(--text-faint)', textTransform: 'uppercase', letterSpacing: '0.05em', marginTop: '4px' },
+  warning: { padding: '8px', background: 'var(--warn-soft)', border: '1px solid var(--warn)', borderRadius: '6px', color: 'var(--warn)', fontSize: '12px' },
+  ok: { padding: '8px', background: 'var(--ok-soft)', border: '1px solid var(--ok)', borderRadius: '6px', color: 'var(--ok)', fontSize: '12px' },
+  table: { width: '100%', borderCollapse: 'collapse', color: 'var(--text-muted)' },
+  th: { textAlign: 'left', fontSize: '11px', fontWeight: '500', color: 'var(--text-faint)', padding: '2px 4px' },
+  td: { padding: '2px 4px' },
+  thresholdInput: { width: '44px', padding: '4px', marginRight: '2px', background: 'var(--bg)', border: '1px solid var(--border)', borderRadius: '6px', color: 'var(--text)', fontSize: '12px' },
+  hint: { fontSize: '11px', color: 'var(--text-faint)' },
+  button: { padding: '8px', background: 'var(--border)', border: 'none', borderRadius: '6px', color: 'var(--text)', cursor: 'pointer', fontSize: '13px' },
+  error: { padding: '8px', background: 'var(--alert-soft)', border: '1px solid var(--alert)', borderRadius: '6px', color: 'var(--alert)' },
+};
+
+export default VacationPlanner;
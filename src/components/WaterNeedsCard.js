@@ -0,0 +1,24 @@
+import React from 'react';
+import { ResponsiveContainer, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip } from 'recharts';
+import Card from './Card';
+import ChartFigure from './ChartFigure';
+
+// How thirsty each plant is: half a point of need per point below saturation
+const WaterNeedsCard = ({ plants, controls }) => {
+  const data = plants.map(plant => ({ name: plant.name.substring(0, 3), plant: plant.name, usage: Math.round((100 - plant.moisture) * 0.5) }));
+  return (
+    <Card title="Water Needs Comparison" controls={controls}>
+      <ChartFigure label="Water needs by plant" summary={data.map(entry => `${entry.plant}: ${entry.usage}`).join(', ') || 'No plants'}>
+        <ResponsiveContainer width="100%" height={400}>
+          <BarChart data={data}>
+            <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" /><XAxis dataKey="name" stroke="var(--text-faint)" /><YAxis stroke="var(--text-faint)" />
+            <Tooltip contentStyle={{ backgroundColor: 'var(--surface)', border: '1px solid var(--border)' }} labelStyle={{ color: 'var(--text-strong)' }} />
+            <Bar dataKey="usage" fill="var(--info)" radius={[8, 8, 0, 0]} />
+          </BarChart>
+        </ResponsiveContainer>
+      </ChartFigure>
+    </Card>
+  );
+};
+
+export default WaterNeedsCard;
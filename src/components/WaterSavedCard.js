@@ -0,0 +1,36 @@
+import React from 'react';
+import Card from './Card';
+import { PERIODS } from '../irrigation/ledger';
+
+const WaterSavedCard = ({ usage, period, onPeriodChange, controls }) => (
+  <Card title="Water Saved" controls={controls} style={styles.card}>
+    <div style={styles.periods} role="group" aria-label="Period">
+      {Object.entries(PERIODS).map(([key, label]) => (
+        <button key={key} aria-pressed={period === key} style={{ ...styles.period, ...(period === key ? styles.periodActive : {}) }} onClick={() => onPeriodChange(key)}>{label}</button>
+      ))}
+    </div>
+    <div style={styles.metric}>{Math.round(usage.savedLiters)} L</div>
+    <div style={styles.subtext}>vs. {Math.round(usage.baselineLiters)} L on a daily mains timer</div>
+    <dl style={styles.grid}>
+      <div><dt style={styles.label}>Delivered</dt><dd style={styles.value}>{usage.liters.toFixed(1)} L</dd></div>
+      <div><dt style={styles.label}>Waterings</dt><dd style={styles.value}>{usage.waterings}</dd></div>
+      <div><dt style={styles.label}>Rain tank</dt><dd style={styles.value}>{usage.tankLiters.toFixed(1)} L</dd></div>
+      <div><dt style={styles.label}>Mains</dt><dd style={styles.value}>{usage.mainsLiters.toFixed(1)} L</dd></div>
+      <div><dt style={styles.label}>Solar energy</dt><dd style={styles.value}>{usage.energyWh.toFixed(1)} Wh</dd></div>
+    </dl>
+  </Card>
+);
+
+const styles = {
+  card: { minHeight: '160px', display: 'flex', flexDirection: 'column', justifyContent: 'center' },
+  periods: { display: 'flex', gap: '4px', marginBottom: '12px' },
+  period: { flex: 1, padding: '6px 0', background: 'var(--bg)', border: '1px solid var(--border)', borderRadius: '6px', color: 'var(--text-faint)', fontSize: '12px', cursor: 'pointer' },
+  periodActive: { background: 'var(--info)', borderColor: 'var(--info)', color: 'var(--on-accent)' },
+  metric: { fontSize: '48px', fontWeight: '700', color: 'var(--info)', textAlign: 'center', marginBottom: '8px' },
+  subtext: { fontSize: '14px', color: 'var(--text-faint)', textAlign: 'center' },
+  grid: { display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '10px', margin: '16px 0 0' },
+  label: { fontSize: '12px', color: 'var(--text-faint)' },
+  value: { margin: 0, fontSize: '14px', fontWeight: '600', color: 'var(--text)' },
+};
+
+export default WaterSavedCard;
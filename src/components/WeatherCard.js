@@ -0,0 +1,46 @@
+import React, { useState } from 'react';
+import { Settings } from 'lucide-react';
+import Card from './Card';
+import WeatherIcon from './WeatherIcon';
+import WeatherSettings from './WeatherSettings';
+import { formatTemp, formatWind } from '../weather/units';
+import { formatTimeAgo } from '../format';
+
+// Current conditions, with the location and units behind the gear button.
+// `status` says whether the forecast is a stale cached copy or failed to load.
+const WeatherCard = ({ settings, onSettingsChange, weather, status, now, controls }) => {
+  const [showSettings, setShowSettings] = useState(false);
+  const { location, units } = settings;
+  return (
+    <Card
+      title={`${location.name} Weather`}
+      controls={controls}
+      actions={<button style={styles.settingsButton} aria-label="Location and units" title="Location and units" aria-expanded={showSettings} onClick={() => setShowSettings(open => !open)}><Settings size={16} aria-hidden="true" /></button>}
+    >
+      {showSettings && <WeatherSettings settings={settings} onChange={onSettingsChange} />}
+      {status.stale && (
+        <div style={styles.staleNotice} role="status">
+          Stale since {new Date(status.fetchedAt).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' })} ({formatTimeAgo(status.fetchedAt, now)}), could not reach Open-Meteo
+        </div>
+      )}
+      {weather ? (
+        <>
+          <div style={styles.current}><WeatherIcon code={weather.code} /><div style={styles.temp}>{formatTemp(weather.temp, units.temperature, true)}</div></div>
+          <div style={styles.details}><div>💧 Humidity: {weather.humidity}%</div><div>💨 Wind: {formatWind(weather.wind, units.windSpeed)}</div></div>
+        </>
+      ) : (
+        <div style={styles.details}>{status.failed ? 'Weather unavailable. Retrying when the connection returns.' : 'Loading weather…'}</div>
+      )}
+    </Card>
+  );
+};
+
+const styles = {
+  settingsButton: { padding: '4px', background: 'none', border: 'none', color: 'var(--text-faint)', cursor: 'pointer', display: 'flex' },
+  staleNotice: { marginBottom: '12px', padding: '6px 8px', borderRadius: '6px', background: 'var(--warn-soft)', color: 'var(--warn)', fontSize: '12px' },
+  current: { display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '16px', marginBottom: '16px' },
+  temp: { fontSize: '42px', fontWeight: '700', color: 'var(--text-strong)' },
+  details: { display: 'flex', flexDirection: 'column', gap: '8px', fontSize: '14px', color: 'var(--text-muted)' },
+};
+
+export default WeatherCard;
@@ -0,0 +1,11 @@
+import React from 'react';
+import { Sun, Cloud, CloudRain } from 'lucide-react';
+
+// Clear, cloudy or rainy icon for an Open-Meteo weather code
+const WeatherIcon = ({ code }) => {
+  if (code === 0) return <Sun className="weather-icon" role="img" aria-label="Clear" />;
+  if (code <= 3) return <Cloud className="weather-icon" role="img" aria-label="Cloudy" />;
+  return <CloudRain className="weather-icon" role="img" aria-label="Rain" />;
+};
+
+export default WeatherIcon;
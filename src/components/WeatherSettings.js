@@ -0,0 +1,107 @@
+import React, { useState, useEffect } from 'react';
+import { Search, LocateFixed } from 'lucide-react';
+import { searchLocations, currentPosition } from '../weather/geocoding';
+import { temperatureUnits, windSpeedUnits } from '../weather/units';
+
+const WeatherSettings = ({ settings, onChange }) => {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Search as the user types, once they pause
+  useEffect(() => {
+    if (query.trim().length < 2) {
+      setResults([]);
+      return undefined;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setSearching(true);
+      try {
+        const found = await searchLocations(query);
+        if (!cancelled) {
+          setResults(found);
+          setError(found.length ? null : 'No places found');
+        }
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      }
+      if (!cancelled) setSearching(false);
+    }, 300);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query]);
+
+  const chooseLocation = (location) => {
+    onChange({ ...settings, location });
+    setQuery('');
+    setResults([]);
+    setError(null);
+  };
+
+  const useBrowserLocation = async () => {
+    try {
+      chooseLocation(await currentPosition());
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const setUnit = (key, value) => onChange({ ...settings, units: { ...settings.units, [key]: value } });
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.current}>
+        {settings.location.name}{settings.location.region ? `, ${settings.location.region}` : ''}
+        <div style={styles.timezone}>{settings.location.timezone === 'auto' ? 'Resolving time zone…' : settings.location.timezone}</div>
+      </div>
+      <div style={styles.searchRow}>
+        <Search size={14} />
+        <input style={styles.input} placeholder="Search city" aria-label="Search city" value={query} onChange={(e) => setQuery(e.target.value)} />
+        <button style={styles.iconButton} title="Use my location" onClick={useBrowserLocation}><LocateFixed size={14} /></button>
+      </div>
+      {searching && <div style={styles.hint}>Searching…</div>}
+      {error && <div style={styles.error} role="alert">{error}</div>}
+      {results.length > 0 && (
+        <ul style={styles.results}>
+          {results.map(result => (
+            <li key={`${result.latitude},${result.longitude}`}>
+              <button style={styles.result} onClick={() => chooseLocation(result)}>
+                <span>{result.name}</span>
+                <span style={styles.hint}>{result.region}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div style={styles.unitRow}>
+        <select style={styles.select} aria-label="Temperature unit" value={settings.units.temperature} onChange={(e) => setUnit('temperature', e.target.value)}>
+          {Object.entries(temperatureUnits).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+        </select>
+        <select style={styles.select} aria-label="Wind speed unit" value={settings.units.windSpeed} onChange={(e) => setUnit('windSpeed', e.target.value)}>
+          {Object.entries(windSpeedUnits).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+        </select>
+      </div>
+    </div>
+  );
+};
+
+const styles = {
+  container: { display: 'flex', flexDirection: 'column', gap: '8px', fontSize: '13px', marginBottom: '16px', padding: '10px', background: 'var(--bg)', borderRadius: '8px' },
+  current: { color: 'var(--text)', fontWeight: '600' },
+  timezone: { fontSize: '11px', color: 'var(--text-faint)', fontWeight: '400' },
+  searchRow: { display: 'flex', alignItems: 'center', gap: '6px', color: 'var(--text-faint)' },
+  input: { flex: 1, minWidth: 0, padding: '6px 8px', background: 'var(--surface)', border: '1px solid var(--border)', borderRadius: '6px', color: 'var(--text)', fontSize: '13px' },
+  iconButton: { padding: '6px', background: 'var(--border)', border: 'none', borderRadius: '6px', color: 'var(--text)', cursor: 'pointer', display: 'flex' },
+  results: { listStyle: 'none', margin: 0, padding: 0, display: 'flex', flexDirection: 'column', gap: '4px' },
+  result: { width: '100%', display: 'flex', flexDirection: 'column', alignItems: 'flex-start', padding: '6px 8px', background: 'var(--surface)', border: '1px solid var(--border)', borderRadius: '6px', color: 'var(--text)', cursor: 'pointer', fontSize: '13px' },
+  hint: { fontSize: '11px', color: 'var(--text-faint)' },
+  unitRow: { display: 'flex', gap: '6px' },
+  select: { flex: 1, padding: '6px', background: 'var(--surface)', border: '1px solid var(--border)', borderRadius: '6px', color: 'var(--text)', fontSize: '13px' },
+  error: { padding: '6px 8px', background: 'var(--alert-soft)', border: '1px solid var(--alert)', borderRadius: '6px', color: 'var(--alert)' },
+};
+
+export default WeatherSettings;
@@ -0,0 +1,186 @@
+import React, { useState } from 'react';
+import { ResponsiveContainer, LineChart, Line, XAxis, YAxis, Tooltip, CartesianGrid } from 'recharts';
+import ChartFigure from './ChartFigure';
+import { Play } from 'lucide-react';
+import { createSimulation, runSimulation, MINUTE } from '../simulation/engine';
+import { weatherScenario, SCENARIOS } from '../simulation/scenarios';
+import { seriesColor } from '../display/theme';
+
+const HOUR = 3600000;
+const STEP_MS = 5 * MINUTE;
+
+// Starting mix: how many of each species the garden has today
+const currentMix = (registry) => {
+  const mix = Object.fromEntries(Object.keys(registry.species).map(name => [name, 0]));
+  registry.plants.forEach(plant => {
+    if (plant.species in mix) mix[plant.species] += 1;
+  });
+  return mix;
+};
+
+// Each species in the mix gets its own zone, so the results compare species
+// rather than zone layouts. Schedules don't apply to the imagined plants.
+const buildRun = ({ mix, scenario, days, seed, registry, irrigation, settings, tankLiters, chargeWh, timeZone, tickMs, now }) => {
+  const flowRateLpm = irrigation.zones[0]?.flowRateLpm ?? 4;
+  const plants = [];
+  const zones = [];
+  Object.entries(mix).filter(([species, count]) => count > 0 && registry.species[species]).forEach(([species, count], idx) => {
+    const profile = registry.species[species];
+    const ids = Array.from({ length: count }, (_, i) => plants.length + i + 1);
+    ids.forEach((id, i) => plants.push({ id, name: `${species} ${i + 1}`, species, moisture: (profile.optimalMin + profile.optimalMax) / 2 }));
+    zones.push({ id: idx + 1, name: species, valve: `V${idx + 1}`, flowRateLpm, plantIds: ids });
+  });
+  const start = now;
+  const hours = days * 24;
+  const hourly = weatherScenario(scenario, { from: start, hours, seed, timeZone });
+  const config = {
+    species: registry.species,
+    schedules: [],
+    zones,
+    pump: irrigation.pump,
+    solar: settings.solar,
+    tankCapacity: settings.tank.capacityLiters,
+    autoWatering: true,
+    vacationMode: false,
+    vacationPlan: { manual: false, start: null, end: null, thresholds: {} },
+    timeZone,
+    tickMs,
+    hourly,
+    daily: [],
+    weather: hourly[0],
+  };
+  return { config, initial: createSimulation({ plants, tankLiters, chargeWh, start }), hours, zones };
+};
+
+const WhatIfPanel = ({ registry, irrigation, settings, tankLiters, chargeWh, timeZone, tickMs, now }) => {
+  const [counts, setCounts] = useState(() => currentMix(registry));
+  // Follows the species library: new species start at 0, removed ones drop out
+  const mix = Object.fromEntries(Object.keys(registry.species).map(name => [name, counts[name] ?? 0]));
+  const [scenario, setScenario] = useState('mixed');
+  const [days, setDays] = useState(7);
+  const [seed, setSeed] = useState(1);
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+  const plantCount = Object.values(mix).reduce((sum, count) => sum + count, 0);
+
+  const run = () => {
+    setRunning(true);
+    // Let "Running…" paint before the synchronous run
+    setTimeout(() => {
+      try {
+        const startedAt = performance.now();
+        const { config, initial, hours, zones } = buildRun({ mix, scenario, days, seed, registry, irrigation, settings, tankLiters, chargeWh, timeZone, tickMs, now });
+        const outcome = runSimulation({ config, initial, hours, stepMs: STEP_MS });
+        setResult({ ...outcome, zones, days, elapsedMs: performance.now() - startedAt });
+      } catch (error) {
+        console.error('What-if run failed:', error);
+      } finally {
+        setRunning(false);
+      }
+    }, 0);
+  };
+
+  // One line per species; plants of a species share a zone, so they move together
+  const representatives = result ? result.zones.map(zone => ({ species: zone.name, plantId: zone.plantIds[0], count: zone.plantIds.length })) : [];
+  const formatTick = (timestamp) => `Day ${Math.floor((timestamp - result.samples[0].timestamp) / (24 * HOUR)) + 1}`;
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.mixGrid}>
+        {Object.keys(mix).map(species => (
+          <label key={species} style={styles.mixItem}>
+            <span style={styles.mixName}>{species}</span>
+            <input style={styles.countInput} type="number" min="0" max="10" aria-label={`Number of ${species} plants`} value={mix[species]} onChange={(e) => setCounts(prev => ({ ...prev, [species]: Math.max(0, Math.min(10, Number(e.target.value) || 0)) }))} />
+          </label>
+        ))}
+      </div>
+      <div style={styles.row}>
+        <label style={styles.field}>
+          Weather
+          <select style={styles.input} value={scenario} onChange={(e) => setScenario(e.target.value)}>
+            {Object.entries(SCENARIOS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+        </label>
+        <label style={styles.field}>
+          Days
+          <input style={styles.input} type="number" min="1" max="30" value={days} onChange={(e) => setDays(Math.max(1, Math.min(30, Number(e.target.value) || 1)))} />
+        </label>
+        <label style={styles.field}>
+          Seed
+          <input style={styles.input} type="number" value={seed} onChange={(e) => setSeed(Number(e.target.value) || 0)} />
+        </label>
+        <button style={styles.button} onClick={run} disabled={running || plantCount === 0}><Play size={14} />{running ? 'Running…' : 'Run'}</button>
+      </div>
+
+      {result && (
+        <>
+          <div style={styles.hint}>
+            Simulated {result.days} {result.days === 1 ? 'day' : 'days'} in {Math.round(result.elapsedMs)} ms, starting from today's tank and battery.
+          </div>
+          <ChartFigure label="Simulated moisture, rain tank and battery" summary="Per-species results are in the table below.">
+            <ResponsiveContainer width="100%" height={220}>
+              <LineChart data={result.samples}>
+                <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" />
+                <XAxis dataKey="timestamp" type="number" domain={['dataMin', 'dataMax']} tickFormatter={formatTick} stroke="var(--text-faint)" fontSize={11} />
+                <YAxis domain={[0, 100]} stroke="var(--text-faint)" fontSize={11} />
+                <Tooltip
+                  contentStyle={{ backgroundColor: 'var(--surface)', border: '1px solid var(--border)' }}
+                  labelStyle={{ color: 'var(--text-strong)' }}
+                  labelFormatter={(timestamp) => `${formatTick(timestamp)}, ${Math.round(((timestamp - result.samples[0].timestamp) % (24 * HOUR)) / HOUR)}h`}
+                  formatter={(value, name) => [`${Math.round(value)}%`, name]}
+                />
+                {representatives.map((rep, idx) => (
+                  <Line key={rep.species} dataKey={String(rep.plantId)} name={rep.species} stroke={seriesColor(idx)} dot={false} isAnimationActive={false} />
+                ))}
+                <Line dataKey="tankPercent" name="Rain tank" stroke="var(--text-faint)" strokeDasharray="4 4" dot={false} isAnimationActive={false} />
+                <Line dataKey="batteryPercent" name="Battery" stroke="var(--energy)" strokeDasharray="2 4" dot={false} isAnimationActive={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          </ChartFigure>
+          <table style={styles.table}>
+            <thead>
+              <tr><th style={styles.th}>Species</th><th style={styles.th}>Waterings</th><th style={styles.th}>Litres</th><th style={styles.th}>Lowest</th><th style={styles.th}>Hours dry</th></tr>
+            </thead>
+            <tbody>
+              {representatives.map((rep, idx) => {
+                const stats = result.summary.plants.filter(plant => result.zones.find(zone => zone.name === rep.species).plantIds.includes(plant.plantId));
+                const first = stats[0];
+                return (
+                  <tr key={rep.species}>
+                    <td style={{ ...styles.td, color: seriesColor(idx) }}>{rep.species} ×{rep.count}</td>
+                    <td style={styles.td}>{first.waterings}</td>
+                    <td style={styles.td}>{stats.reduce((sum, plant) => sum + plant.liters, 0).toFixed(1)}</td>
+                    <td style={styles.td}>{Math.round(first.minMoisture)}%</td>
+                    <td style={styles.td}>{first.hoursBelowOptimal.toFixed(1)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <div style={styles.hint}>
+            {result.summary.liters.toFixed(1)} L in total, {result.summary.mainsLiters.toFixed(1)} L from mains
+            {result.summary.pumpOffHours > 0 && ` · pump without power for ${result.summary.pumpOffHours.toFixed(1)} h`}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+const styles = {
+  container: { display: 'flex', flexDirection: 'column', gap: '12px', fontSize: '13px' },
+  mixGrid: { display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(140px, 1fr))', gap: '6px' },
+  mixItem: { display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '6px', padding: '6px 8px', background: 'var(--bg)', borderRadius: '8px', color: 'var(--text-muted)' },
+  mixName: { overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' },
+  countInput: { width: '44px', padding: '4px', background: 'var(--surface)', border: '1px solid var(--border)', borderRadius: '6px', color: 'var(--text)', fontSize: '13px' },
+  row: { display: 'flex', gap: '8px', alignItems: 'flex-end', flexWrap: 'wrap' },
+  field: { display: 'flex', flexDirection: 'column', gap: '4px', fontSize: '11px', color: 'var(--text-muted)' },
+  input: { width: '110px', padding: '6px', background: 'var(--bg)', border: '1px solid var(--border)', borderRadius: '6px', color: 'var(--text)', fontSize: '13px' },
+  button: { padding: '8px 14px', background: 'var(--info)', border: 'none', borderRadius: '6px', color: 'var(--on-accent)', cursor: 'pointer', display: 'flex', alignItems: 'center', gap: '6px', fontSize: '13px' },
+  table: { width: '100%', borderCollapse: 'collapse', color: 'var(--text-muted)' },
+  th: { textAlign: 'left', fontSize: '11px', fontWeight: '500', color: 'var(--text-faint)', padding: '4px' },
+  td: { padding: '4px' },
+  hint: { fontSize: '12px', color: 'var(--text-faint)' },
+};
+
+export default WhatIfPanel;
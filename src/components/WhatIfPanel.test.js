@@ -0,0 +1,29 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import WhatIfPanel from './WhatIfPanel';
+import { registryStore, addPlant, saveSpecies } from '../plants/registry';
+import { irrigationStore } from '../irrigation/schedules';
+import { settingsStore } from '../settings';
+
+global.ResizeObserver = class { observe() {} unobserve() {} disconnect() {} };
+
+const cactus = { optimalMin: 5, optimalMax: 20, decayRate: 0.01, waterAbsorption: 5 };
+
+test('follows species added and removed after it opened', async () => {
+  const base = registryStore.migrate(null, 0);
+  const withCactus = addPlant(saveSpecies({ ...base, plants: [] }, 'Cactus', cactus), { name: 'Spike', species: 'Cactus' });
+  const props = { irrigation: irrigationStore.migrate(null, 0), settings: settingsStore.migrate(null, 0), tankLiters: 100, chargeWh: 200, timeZone: 'UTC', tickMs: 5000, now: Date.UTC(2026, 6, 1, 6) };
+  const { rerender } = render(<WhatIfPanel {...props} registry={withCactus} />);
+  expect(screen.getByLabelText('Number of Cactus plants')).toHaveValue(1);
+
+  // Cactus is deleted while it still counts towards the mix, and Fern appears
+  const { Cactus, ...species } = withCactus.species;
+  rerender(<WhatIfPanel {...props} registry={{ plants: [], species: { ...species, Fern: { ...cactus, optimalMin: 50, optimalMax: 80 } } }} />);
+  expect(screen.queryByLabelText('Number of Cactus plants')).toBeNull();
+  expect(screen.getByRole('button', { name: 'Run' })).toBeDisabled();
+
+  fireEvent.change(screen.getByLabelText('Number of Fern plants'), { target: { value: '2' } });
+  fireEvent.change(screen.getByLabelText('Days'), { target: { value: '1' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Run' }));
+  expect(await screen.findByText(/Simulated 1 day in/)).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Run' })).toBeEnabled();
+});
@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { Play, Square, Plus, Trash2, Settings, X } from 'lucide-react';
+import { saveZone, newZone, removeZone, setPumpConcurrency } from '../irrigation/schedules';
+import { formatDuration } from '../format';
+
+const triggerLabels = { manual: 'manual', schedule: 'schedule', auto: 'auto', vacation: 'vacation' };
+
+const ZoneControls = ({ irrigation, plants, zoneState, zoneLog, powered, offlineCommands = [], onRun, onStop, onCancelQueued, onChange, now }) => {
+  const [minutes, setMinutes] = useState({});
+  const [editing, setEditing] = useState(false);
+  const [error, setError] = useState(null);
+  const { zones, pump } = irrigation;
+  const zoneName = (id) => zones.find(zone => zone.id === id)?.name || `Zone ${id}`;
+  const unassigned = plants.filter(plant => !zones.some(zone => zone.plantIds.includes(plant.id)));
+
+  const update = (change) => {
+    try {
+      onChange(change());
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const togglePlant = (zone, plantId, checked) =>
+    update(() => saveZone(irrigation, { ...zone, plantIds: checked ? [...zone.plantIds, plantId] : zone.plantIds.filter(id => id !== plantId) }));
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.pumpRow}>
+        <span>
+          Pump: {powered ? `${zoneState.running.length}/${pump.maxConcurrentZones} valves open` : 'off, battery low'}
+          {zoneState.queue.length > 0 && ` · ${zoneState.queue.length} queued`}
+          {offlineCommands.length > 0 && ` · ${offlineCommands.length} waiting for connection`}
+        </span>
+        <button style={styles.iconButton} title="Edit zones" aria-expanded={editing} onClick={() => setEditing(open => !open)}><Settings size={14} /></button>
+      </div>
+      {error && <div style={styles.error} role="alert">{error}</div>}
+      {editing && (
+        <label style={styles.field}>
+          Max zones running at once
+          <input style={styles.input} type="number" min="1" value={pump.maxConcurrentZones} onChange={(e) => update(() => setPumpConcurrency(irrigation, Number(e.target.value)))} />
+        </label>
+      )}
+      {zones.map(zone => {
+        const run = zoneState.running.find(r => r.zoneId === zone.id);
+        const queuedAt = zoneState.queue.findIndex(request => request.zoneId === zone.id);
+        const offline = offlineCommands.find(command => command.zoneId === zone.id);
+        const zonePlants = plants.filter(plant => zone.plantIds.includes(plant.id));
+        const runMinutes = minutes[zone.id] ?? 5;
+        return (
+          <div key={zone.id} style={styles.zone}>
+            <div style={styles.row}>
+              <span style={{ ...styles.valve, background: run ? 'var(--ok)' : queuedAt !== -1 ? 'var(--warn)' : 'var(--border-strong)' }} title={run ? 'Valve open' : 'Valve closed'} />
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <div style={styles.zoneName}>{zone.name}</div>
+                <div style={styles.detail}>
+                  {zone.valve} · {zone.flowRateLpm} L/min · {run ? `running, ${formatDuration(run.endsAt - now)} left` : queuedAt !== -1 ? `queued #${queuedAt + 1}` : 'idle'}
+                </div>
+              </div>
+              {run || queuedAt !== -1 ? (
+                <button style={styles.iconButton} title={`Stop ${zone.name}`} onClick={() => onStop(zone.id)}><Square size={14} /></button>
+              ) : (
+                <>
+                  <input style={styles.minutesInput} type="number" min="1" max="60" aria-label={`Minutes to run ${zone.name}`} value={runMinutes} onChange={(e) => setMinutes(prev => ({ ...prev, [zone.id]: Number(e.target.value) }))} />
+                  <button style={styles.iconButton} title={`Run ${zone.name} for ${runMinutes} min`} disabled={!(runMinutes > 0) || !zone.plantIds.length} onClick={() => onRun(zone.id, runMinutes)}><Play size={14} /></button>
+                </>
+              )}
+            </div>
+            <div style={styles.detail}>{zonePlants.length ? zonePlants.map(plant => plant.name).join(', ') : 'No plants assigned'}</div>
+            {offline && (
+              <div style={styles.offlineRow}>
+                <span>Offline: {offline.type === 'run' ? `run ${offline.minutes} min` : 'stop'} sent when the connection returns (queued {formatDuration(Math.max(0, now - offline.queuedAt))} ago)</span>
+                <button style={styles.linkButton} title="Cancel queued command" onClick={() => onCancelQueued(offline.id)}><X size={12} /></button>
+              </div>
+            )}
+            {editing && (
+              <div style={styles.form}>
+                <div style={styles.row}>
+                  <input style={styles.input} aria-label="Zone name" defaultValue={zone.name} onBlur={(e) => e.target.value !== zone.name && update(() => saveZone(irrigation, { ...zone, name: e.target.value }))} />
+                  <input style={{ ...styles.input, maxWidth: '50px' }} aria-label="Valve" defaultValue={zone.valve} onBlur={(e) => e.target.value !== zone.valve && update(() => saveZone(irrigation, { ...zone, valve: e.target.value }))} />
+                  <button style={styles.iconButton} title={`Remove ${zone.name}`} disabled={Boolean(run)} onClick={() => onChange(removeZone(irrigation, zone.id))}><Trash2 size={14} /></button>
+                </div>
+                <label style={styles.field}>
+                  Flow rate (L/min)
+                  <input style={styles.input} type="number" min="0.1" step="0.1" value={zone.flowRateLpm} onChange={(e) => update(() => saveZone(irrigation, { ...zone, flowRateLpm: Number(e.target.value) }))} />
+                </label>
+                <div style={styles.plantChecks}>
+                  {plants.map(plant => (
+                    <label key={plant.id} style={styles.checkbox}>
+                      <input type="checkbox" checked={zone.plantIds.includes(plant.id)} onChange={(e) => togglePlant(zone, plant.id, e.target.checked)} />
+                      {plant.name}
+                    </label>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+        );
+      })}
+      {editing && <button style={styles.button} onClick={() => onChange(saveZone(irrigation, newZone(zones)))}><Plus size={14} />Add zone</button>}
+      {unassigned.length > 0 && <div style={styles.warning}>Not in any zone, so never watered: {unassigned.map(plant => plant.name).join(', ')}</div>}
+      {zoneLog.length > 0 && (
+        <ul style={styles.log} aria-label="Valve events">
+          {zoneLog.slice(0, 6).map(event => (
+            <li key={`${event.runId}-${event.type}`}>
+              {new Date(event.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} {zoneName(event.zoneId)} {event.type === 'start' ? 'opened' : `closed (${event.reason})`} · {triggerLabels[event.trigger] || event.trigger}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+const styles = {
+  container: { display: 'flex', flexDirection: 'column', gap: '8px', fontSize: '13px' },
+  pumpRow: { display: 'flex', justifyContent: 'space-between', alignItems: 'center', color: 'var(--text-muted)' },
+  zone: { padding: '8px', background: 'var(--bg)', borderRadius: '8px', display: 'flex', flexDirection: 'column', gap: '6px' },
+  row: { display: 'flex', gap: '6px', alignItems: 'center' },
+  valve: { width: '10px', height: '10px', borderRadius: '50%', flexShrink: 0 },
+  zoneName: { fontWeight: '600', color: 'var(--text)' },
+  detail: { fontSize: '11px', color: 'var(--text-faint)' },
+  form: { display: 'flex', flexDirection: 'column', gap: '6px', color: 'var(--text-muted)' },
+  field: { display: 'flex', flexDirection: 'column', gap: '4px', fontSize: '11px', color: 'var(--text-muted)' },
+  input: { flex: 1, minWidth: 0, padding: '6px 8px', background: 'var(--surface)', border: '1px solid var(--border)', borderRadius: '6px', color: 'var(--text)', fontSize: '13px' },
+  minutesInput: { width: '44px', padding: '6px', background: 'var(--surface)', border: '1px solid var(--border)', borderRadius: '6px', color: 'var(--text)', fontSize: '13px' },
+  plantChecks: { display: 'flex', flexWrap: 'wrap', gap: '4px 10px' },
+  checkbox: { display: 'flex', alignItems: 'center', gap: '4px', fontSize: '12px' },
+  iconButton: { padding: '6px', background: 'var(--border)', border: 'none', borderRadius: '6px', color: 'var(--text)', cursor: 'pointer', display: 'flex' },
+  button: { padding: '8px', background: 'var(--border)', border: 'none', borderRadius: '6px', color: 'var(--text)', cursor: 'pointer', display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '6px', fontSize: '13px' },
+  warning: { fontSize: '12px', color: 'var(--warn)' },
+  offlineRow: { display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '6px', fontSize: '11px', color: 'var(--warn)' },
+  linkButton: { padding: '2px', background: 'none', border: 'none', color: 'var(--warn)', cursor: 'pointer', display: 'flex' },
+  log: { listStyle: 'none', margin: 0, padding: '8px 0 0', borderTop: '1px solid var(--border)', display: 'flex', flexDirection: 'column', gap: '2px', fontSize: '11px', color: 'var(--text-faint)' },
+  error: { padding: '8px', background: 'var(--alert-soft)', border: '1px solid var(--alert)', borderRadius: '6px', color: 'var(--alert)' },
+};
+
+export default ZoneControls;
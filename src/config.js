@@ -0,0 +1,11 @@
+// Build-time configuration. CRA inlines REACT_APP_* variables, see .env.example.
+const env = process.env;
+
+export const sensorConfig = {
+  // One of: simulated, websocket, mqtt, rest
+  driver: env.REACT_APP_SENSOR_DRIVER || 'simulated',
+  url: env.REACT_APP_SENSOR_URL || '',
+  topic: env.REACT_APP_SENSOR_TOPIC || 'aquasprout/sensors/+',
+  pollInterval: Number(env.REACT_APP_SENSOR_POLL_MS) || 5000,
+  reconnectDelay: Number(env.REACT_APP_SENSOR_RECONNECT_MS) || 3000,
+};
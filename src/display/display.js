@@ -0,0 +1,98 @@
+import { useState, useEffect } from 'react';
+import { createVersionedStore } from '../storage/versionedStore';
+
+export const COLUMNS = { left: 'Left', center: 'Centre', right: 'Right' };
+
+// Every dashboard card, in its default place. The ids are what layouts store.
+export const CARDS = {
+  weather: { title: 'Weather', column: 'left' },
+  forecast: { title: '5-Day Forecast', column: 'left' },
+  tank: { title: 'Rainwater Tank', column: 'left' },
+  solar: { title: 'Solar System', column: 'left' },
+  waterSaved: { title: 'Water Saved', column: 'left' },
+  plants: { title: 'Your Plants', column: 'center' },
+  trend: { title: 'Moisture Trend', column: 'center' },
+  waterNeeds: { title: 'Water Needs Comparison', column: 'center' },
+  whatIf: { title: 'What-If Simulator', column: 'center' },
+  controls: { title: 'Quick Controls', column: 'right' },
+  vacation: { title: 'Vacation Planner', column: 'right' },
+  zones: { title: 'Irrigation Zones', column: 'right' },
+  activity: { title: 'Activity Log', column: 'right' },
+  insights: { title: 'AI Insights', column: 'right' },
+  status: { title: 'System Status', column: 'right' },
+  schedules: { title: 'Watering Schedules', column: 'right' },
+  managePlants: { title: 'Manage Plants', column: 'right' },
+  alertRules: { title: 'Alert Rules', column: 'right' },
+  data: { title: 'Data & Backup', column: 'right' },
+  moistureOverview: { title: 'Moisture Overview', column: 'right' },
+};
+
+export const defaultLayout = () => ({
+  columns: Object.fromEntries(Object.keys(COLUMNS).map(column => [column, Object.keys(CARDS).filter(id => CARDS[id].column === column)])),
+  hidden: [],
+});
+
+// Display preferences shared by every garden.
+//
+// Schema history:
+//   1 - { theme, palette, layout: { columns: { left, center, right: [cardId] }, hidden: [cardId] } }
+export const displayStore = createVersionedStore('aquasprout.display', {
+  version: 1,
+  migrations: [
+    () => ({ theme: 'dark', palette: 'standard', layout: defaultLayout() }),
+  ],
+});
+
+// Drops cards that no longer exist and puts new ones in their default column,
+// so layouts saved by older versions keep working.
+export const resolveLayout = (layout) => {
+  const placed = new Set();
+  const columns = Object.fromEntries(Object.keys(COLUMNS).map(column => {
+    const ids = (layout.columns[column] || []).filter(id => CARDS[id] && !placed.has(id));
+    ids.forEach(id => placed.add(id));
+    return [column, ids];
+  }));
+  Object.keys(CARDS).filter(id => !placed.has(id)).forEach(id => columns[CARDS[id].column].push(id));
+  return { columns, hidden: layout.hidden.filter(id => CARDS[id]) };
+};
+
+export const findCard = (layout, id) => {
+  const column = Object.keys(layout.columns).find(key => layout.columns[key].includes(id));
+  if (!column) throw new Error(`Unknown card "${id}"`);
+  return { column, index: layout.columns[column].indexOf(id) };
+};
+
+// Moves a card past the next shown card up or down its column, or across to
+// the column on its left or right at the same height. Moves past an edge
+// return the layout unchanged.
+export const moveCard = (layout, id, direction) => {
+  const { column, index } = findCard(layout, id);
+  const ids = layout.columns[column];
+  if (direction === 'up' || direction === 'down') {
+    const step = direction === 'up' ? -1 : 1;
+    let target = index + step;
+    while (layout.hidden.includes(ids[target])) target += step;
+    if (target < 0 || target >= ids.length) return layout;
+    const next = [...ids];
+    [next[index], next[target]] = [next[target], next[index]];
+    return { ...layout, columns: { ...layout.columns, [column]: next } };
+  }
+  const order = Object.keys(COLUMNS);
+  const to = order[order.indexOf(column) + (direction === 'left' ? -1 : 1)];
+  if (!to) return layout;
+  const destination = [...layout.columns[to]];
+  destination.splice(Math.min(index, destination.length), 0, id);
+  return { ...layout, columns: { ...layout.columns, [column]: ids.filter(card => card !== id), [to]: destination } };
+};
+
+export const setCardHidden = (layout, id, hidden) => {
+  findCard(layout, id);
+  const rest = layout.hidden.filter(card => card !== id);
+  return { ...layout, hidden: hidden ? [...rest, id] : rest };
+};
+
+export const useDisplay = () => {
+  const [display, setDisplay] = useState(() => displayStore.load());
+  useEffect(() => displayStore.save(display), [display]);
+  return [display, setDisplay];
+};
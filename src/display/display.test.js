@@ -0,0 +1,44 @@
+import { defaultLayout, resolveLayout, moveCard, setCardHidden, CARDS } from './display';
+
+test('the default layout places every card once', () => {
+  const { columns, hidden } = defaultLayout();
+  expect(Object.values(columns).flat().sort()).toEqual(Object.keys(CARDS).sort());
+  expect(columns.left[0]).toBe('weather');
+  expect(hidden).toEqual([]);
+});
+
+test('moves cards within and across columns', () => {
+  const layout = defaultLayout();
+  const down = moveCard(layout, 'weather', 'down');
+  expect(down.columns.left.slice(0, 2)).toEqual(['forecast', 'weather']);
+  expect(moveCard(layout, 'weather', 'up')).toBe(layout);
+  expect(moveCard(layout, 'weather', 'left')).toBe(layout);
+
+  const across = moveCard(layout, 'forecast', 'right');
+  expect(across.columns.left).not.toContain('forecast');
+  expect(across.columns.center[1]).toBe('forecast');
+  expect(() => moveCard(layout, 'radar', 'up')).toThrow('Unknown card "radar"');
+});
+
+test('moves past hidden cards', () => {
+  const layout = setCardHidden(defaultLayout(), 'forecast', true);
+  expect(moveCard(layout, 'weather', 'down').columns.left.slice(0, 3)).toEqual(['tank', 'forecast', 'weather']);
+  const bothHidden = setCardHidden(layout, 'weather', true);
+  expect(moveCard(bothHidden, 'tank', 'up')).toBe(bothHidden);
+});
+
+test('hides and shows cards', () => {
+  const hidden = setCardHidden(defaultLayout(), 'whatIf', true);
+  expect(hidden.hidden).toEqual(['whatIf']);
+  expect(setCardHidden(hidden, 'whatIf', false).hidden).toEqual([]);
+});
+
+test('resolving a saved layout drops unknown cards and adds new ones', () => {
+  const saved = { columns: { left: ['radar', 'tank'], center: ['plants', 'tank'], right: [] }, hidden: ['radar', 'plants'] };
+  const { columns, hidden } = resolveLayout(saved);
+  expect(columns.left[0]).toBe('tank');
+  expect(columns.center.filter(id => id === 'tank')).toEqual([]);
+  expect(columns.right).toContain('activity');
+  expect(Object.values(columns).flat()).toHaveLength(Object.keys(CARDS).length);
+  expect(hidden).toEqual(['plants']);
+});
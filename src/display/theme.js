@@ -0,0 +1,88 @@
+// Colours live in CSS custom properties on the document root so every inline
+// style can refer to them as var(--name). The theme sets the neutrals, the
+// palette the colours that carry meaning (status, severity, chart series).
+
+export const THEMES = { dark: 'Dark', light: 'Light' };
+export const PALETTES = { standard: 'Standard', colorblind: 'Colour-blind safe' };
+
+const neutrals = {
+  dark: {
+    bg: '#0f1419',
+    surface: '#1a202c',
+    'surface-2': '#1e2530',
+    border: '#2d3748',
+    'border-strong': '#4a5568',
+    text: '#e2e8f0',
+    'text-muted': '#a0aec0',
+    'text-faint': '#718096',
+    'text-strong': '#ffffff',
+    shadow: 'rgba(0, 0, 0, 0.4)',
+  },
+  light: {
+    bg: '#f2f4f7',
+    surface: '#ffffff',
+    'surface-2': '#f7f9fb',
+    border: '#d5dbe3',
+    'border-strong': '#a0aec0',
+    text: '#1a202c',
+    'text-muted': '#4a5568',
+    'text-faint': '#5f6b7a',
+    'text-strong': '#0f1419',
+    shadow: 'rgba(15, 20, 25, 0.08)',
+  },
+};
+
+// The colour-blind palette is Okabe & Ito's, which stays distinct under the
+// common forms of colour blindness. Light themes get darker shades so text in
+// these colours keeps its contrast on white. `onAccent` is the text colour on
+// buttons filled with them.
+const palettes = {
+  standard: {
+    dark: {
+      ok: '#2ecc71', warn: '#f39c12', alert: '#e74c3c', info: '#3498db', energy: '#f1c40f', onAccent: '#ffffff',
+      series: ['#2ecc71', '#3498db', '#f39c12', '#9b59b6', '#e74c3c', '#1abc9c', '#e67e22', '#95a5a6'],
+    },
+    light: {
+      ok: '#1e8449', warn: '#b9770e', alert: '#c0392b', info: '#2471a3', energy: '#b7950b', onAccent: '#ffffff',
+      series: ['#1e8449', '#2471a3', '#b9770e', '#7d3c98', '#c0392b', '#148f77', '#ca6f1e', '#717d7e'],
+    },
+  },
+  colorblind: {
+    dark: {
+      ok: '#009e73', warn: '#e69f00', alert: '#d55e00', info: '#56b4e9', energy: '#f0e442', onAccent: '#0f1419',
+      series: ['#009e73', '#56b4e9', '#e69f00', '#cc79a7', '#d55e00', '#0072b2', '#f0e442', '#999999'],
+    },
+    light: {
+      ok: '#007a5a', warn: '#a86f00', alert: '#b34f00', info: '#0072b2', energy: '#8a7f00', onAccent: '#ffffff',
+      series: ['#007a5a', '#0072b2', '#a86f00', '#a8557f', '#b34f00', '#3a8fc4', '#8a7f00', '#767676'],
+    },
+  },
+};
+
+export const SERIES_COUNT = 8;
+export const seriesColor = index => `var(--series-${(index % SERIES_COUNT) + 1})`;
+
+const soft = (hex, alpha) => {
+  const [r, g, b] = [1, 3, 5].map(start => parseInt(hex.slice(start, start + 2), 16));
+  return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+};
+
+// Custom properties for a theme and palette, e.g. { '--bg': '#0f1419', ... }
+export const themeVariables = (theme, palette) => {
+  if (!THEMES[theme]) throw new Error(`Unknown theme "${theme}"`);
+  if (!PALETTES[palette]) throw new Error(`Unknown palette "${palette}"`);
+  const { series, onAccent, ...colors } = palettes[palette][theme];
+  const vars = { '--on-accent': onAccent };
+  Object.entries(neutrals[theme]).forEach(([name, value]) => { vars[`--${name}`] = value; });
+  Object.entries(colors).forEach(([name, value]) => {
+    vars[`--${name}`] = value;
+    vars[`--${name}-soft`] = soft(value, 0.15);
+  });
+  series.forEach((value, idx) => { vars[`--series-${idx + 1}`] = value; });
+  return vars;
+};
+
+export const applyTheme = (theme, palette, root = document.documentElement) => {
+  Object.entries(themeVariables(theme, palette)).forEach(([name, value]) => root.style.setProperty(name, value));
+  root.style.colorScheme = theme;
+};
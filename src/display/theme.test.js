@@ -0,0 +1,23 @@
+import { themeVariables, applyTheme, seriesColor, THEMES, PALETTES } from './theme';
+
+test('every theme and palette defines the same variables', () => {
+  const names = Object.keys(themeVariables('dark', 'standard')).sort();
+  Object.keys(THEMES).forEach(theme => Object.keys(PALETTES).forEach(palette => {
+    expect(Object.keys(themeVariables(theme, palette)).sort()).toEqual(names);
+  }));
+  expect(names).toEqual(expect.arrayContaining(['--bg', '--text', '--ok', '--ok-soft', '--series-8']));
+});
+
+test('derives translucent shades and rejects unknown names', () => {
+  expect(themeVariables('dark', 'standard')['--alert-soft']).toBe('rgba(231, 76, 60, 0.15)');
+  expect(() => themeVariables('sepia', 'standard')).toThrow('Unknown theme "sepia"');
+  expect(() => themeVariables('dark', 'neon')).toThrow('Unknown palette "neon"');
+});
+
+test('applies variables and the colour scheme to the root element', () => {
+  const root = document.createElement('div');
+  applyTheme('light', 'colorblind', root);
+  expect(root.style.getPropertyValue('--ok')).toBe('#007a5a');
+  expect(root.style.colorScheme).toBe('light');
+  expect(seriesColor(9)).toBe('var(--series-2)');
+});
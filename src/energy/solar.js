@@ -0,0 +1,108 @@
+import { toWallClock, fromWallClock } from '../time';
+
+// Solar panel and battery model. Power is in watts and energy in watt-hours;
+// everything else in the app only sees the battery's charge percentage.
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+
+// Controller, sensors and radio, drawn around the clock
+export const BASE_LOAD_W = 3;
+// Percent above the reserve the battery must recover to before the pump runs again
+export const RESUME_MARGIN = 5;
+
+// Measured history kept for the Solar System chart
+export const SAMPLE_INTERVAL = 5 * 60000;
+export const SAMPLE_HISTORY = 12 * HOUR;
+
+export const DEFAULT_SOLAR = { panelWatts: 60, batteryWh: 240, reservePercent: 20 };
+
+// Returns an error message, or null when the setup is usable.
+export const validateSolar = ({ panelWatts, batteryWh, reservePercent }) => {
+  if (!(panelWatts >= 0)) return 'Panel wattage cannot be negative';
+  if (!(batteryWh > 0)) return 'Battery capacity must be positive';
+  if (!(reservePercent >= 0 && reservePercent < 100)) return 'Reserve must be between 0 and 99%';
+  return null;
+};
+
+// Share of clear-sky output that gets through, by WMO weather code
+export const codeTransmission = (code) => {
+  if (code === 0) return 1;
+  if (code === 1) return 0.85;
+  if (code === 2) return 0.6;
+  if (code === 3) return 0.3;
+  if (code === 45 || code === 48) return 0.25;
+  if (code >= 95) return 0.1;
+  return 0.15;
+};
+
+const dayFor = (daily, ms) => daily.find(day => day.sunrise && day.sunset && ms >= day.sunrise - 12 * HOUR && ms < day.sunset + 12 * HOUR);
+
+// Sunrise and sunset around `ms`: from the forecast when it covers the day,
+// otherwise 06:00–18:00 garden time
+export const daylight = (daily, ms, timeZone) => {
+  const day = dayFor(daily, ms);
+  if (day) return { sunrise: day.sunrise, sunset: day.sunset };
+  const wall = toWallClock(ms, timeZone);
+  const midnight = wall - (((wall % DAY) + DAY) % DAY);
+  return { sunrise: fromWallClock(midnight + 6 * HOUR, timeZone), sunset: fromWallClock(midnight + 18 * HOUR, timeZone) };
+};
+
+// 0–1, preferring the most specific data available: hourly cloud cover, the
+// current weather code, the day's forecast sun hours, then the day's code
+const skyFactor = (ms, { daily, hourly, code }) => {
+  const hour = hourly.find(h => ms >= h.time && ms < h.time + HOUR);
+  if (hour && Number.isFinite(hour.cloudCover)) return 1 - (0.75 * hour.cloudCover) / 100;
+  if (Number.isFinite(code)) return codeTransmission(code);
+  const day = dayFor(daily, ms);
+  if (day && Number.isFinite(day.sunHours) && day.sunset > day.sunrise) {
+    return Math.min(1, day.sunHours / ((day.sunset - day.sunrise) / HOUR));
+  }
+  return day && Number.isFinite(day.code) ? codeTransmission(day.code) : 0.7;
+};
+
+// Panel output at `ms`, following the sun's arc between sunrise and sunset.
+// Pass `code` only for the present moment.
+export const panelOutputW = (panelWatts, ms, { daily = [], hourly = [], code, timeZone } = {}) => {
+  const { sunrise, sunset } = daylight(daily, ms, timeZone);
+  if (ms <= sunrise || ms >= sunset) return 0;
+  const elevation = Math.sin((Math.PI * (ms - sunrise)) / (sunset - sunrise));
+  return panelWatts * elevation * skyFactor(ms, { daily, hourly, code });
+};
+
+export const chargePercent = (chargeWh, batteryWh) => (batteryWh > 0 ? (chargeWh / batteryWh) * 100 : 0);
+
+export const stepBattery = (chargeWh, batteryWh, inputW, loadW, hours) =>
+  Math.max(0, Math.min(batteryWh, chargeWh + (inputW - loadW) * hours));
+
+// The pump stops at the reserve and only restarts once the battery has
+// recovered a little, so it doesn't flick on and off around the threshold
+export const pumpPowered = (percent, reservePercent, wasPowered) =>
+  percent >= reservePercent + (wasPowered ? 0 : RESUME_MARGIN);
+
+// Hours until `chargeWh` is used up at the current draw; null while charging
+export const runtimeHours = (chargeWh, inputW, loadW) => {
+  const drain = loadW - inputW;
+  return drain > 0 ? chargeWh / drain : null;
+};
+
+// Hour-by-hour outlook of the battery from `from`. `loadW(ms)` is the
+// expected draw during the hour starting at ms.
+export const projectBattery = ({ chargeWh, solar, daily = [], hourly = [], timeZone, from, hours, loadW = () => BASE_LOAD_W }) => {
+  const points = [];
+  let charge = chargeWh;
+  for (let i = 0; i < hours; i += 1) {
+    const start = from + i * HOUR;
+    const inputW = panelOutputW(solar.panelWatts, start + HOUR / 2, { daily, hourly, timeZone });
+    const load = loadW(start);
+    charge = stepBattery(charge, solar.batteryWh, inputW, load, 1);
+    points.push({ timestamp: start + HOUR, inputW, loadW: load, netW: inputW - load, chargeWh: charge, percent: chargePercent(charge, solar.batteryWh) });
+  }
+  return points;
+};
+
+// Adds a measured sample at most every SAMPLE_INTERVAL, dropping old ones
+export const appendSample = (samples, sample) => {
+  const last = samples[samples.length - 1];
+  if (last && sample.timestamp - last.timestamp < SAMPLE_INTERVAL) return samples;
+  return [...samples.filter(s => s.timestamp > sample.timestamp - SAMPLE_HISTORY), sample];
+};
@@ -0,0 +1,45 @@
+import { panelOutputW, codeTransmission, daylight, stepBattery, pumpPowered, runtimeHours, projectBattery, BASE_LOAD_W } from './solar';
+
+const HOUR = 3600000;
+const midnight = Date.UTC(2026, 5, 1);
+const daily = [{ date: midnight, sunrise: midnight + 6 * HOUR, sunset: midnight + 18 * HOUR, sunHours: 6, code: 2 }];
+const solar = { panelWatts: 100, batteryWh: 200, reservePercent: 20 };
+
+test('follows the sun between sunrise and sunset', () => {
+  expect(panelOutputW(100, midnight + 3 * HOUR, { daily, code: 0 })).toBe(0);
+  expect(panelOutputW(100, midnight + 12 * HOUR, { daily, code: 0 })).toBeCloseTo(100);
+  expect(panelOutputW(100, midnight + 9 * HOUR, { daily, code: 0 })).toBeCloseTo(70.7, 0);
+  // Without sun times, daylight is 06:00–18:00 in the garden's zone
+  expect(daylight([], Date.UTC(2026, 5, 1, 12), 'Asia/Kolkata')).toEqual({ sunrise: Date.UTC(2026, 5, 1, 0, 30), sunset: Date.UTC(2026, 5, 1, 12, 30) });
+});
+
+test('cloud cover beats the current weather code, which beats forecast sun hours', () => {
+  const noon = midnight + 12 * HOUR;
+  const hourly = [{ time: noon, cloudCover: 100 }];
+  expect(panelOutputW(100, noon, { daily, hourly, code: 0 })).toBeCloseTo(25);
+  expect(panelOutputW(100, noon, { daily, code: 0 })).toBeCloseTo(100);
+  expect(panelOutputW(100, noon, { daily })).toBeCloseTo(50);
+  expect(panelOutputW(100, noon, { daily: [{ ...daily[0], sunHours: undefined }] })).toBeCloseTo(100 * codeTransmission(2));
+});
+
+test('charges and drains within the battery limits', () => {
+  expect(stepBattery(190, 200, 50, 10, 1)).toBe(200);
+  expect(stepBattery(10, 200, 0, 43, 1)).toBe(0);
+  expect(runtimeHours(120, 0, 40)).toBe(3);
+  expect(runtimeHours(120, 50, 40)).toBeNull();
+});
+
+test('cuts the pump at the reserve and restarts it with a margin', () => {
+  expect(pumpPowered(19, 20, true)).toBe(false);
+  expect(pumpPowered(22, 20, false)).toBe(false);
+  expect(pumpPowered(25, 20, false)).toBe(true);
+  expect(pumpPowered(22, 20, true)).toBe(true);
+});
+
+test('projects a day of charge and discharge', () => {
+  const points = projectBattery({ chargeWh: 100, solar, daily, from: midnight, hours: 24 });
+  expect(points).toHaveLength(24);
+  expect(points[5].netW).toBe(-BASE_LOAD_W);
+  expect(points[11].netW).toBeGreaterThan(0);
+  expect(points[23].chargeWh).toBeGreaterThan(100);
+});
@@ -0,0 +1,17 @@
+const MINUTE = 60000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// "45 min", "2.5 hrs", "3 days"
+export const formatDuration = (ms) => {
+  if (ms < HOUR) return `${Math.max(1, Math.round(ms / MINUTE))} min`;
+  if (ms < DAY) return `${Math.round((ms / HOUR) * 10) / 10} hrs`;
+  const days = Math.round(ms / DAY);
+  return `${days} ${days === 1 ? 'day' : 'days'}`;
+};
+
+export const formatTimeAgo = (timestamp, now = Date.now()) =>
+  now - timestamp < MINUTE ? 'Just now' : `${formatDuration(now - timestamp)} ago`;
+
+export const formatTimeUntil = (timestamp, now = Date.now()) =>
+  timestamp - now < MINUTE ? 'Now' : formatDuration(timestamp - now);
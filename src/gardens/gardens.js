@@ -0,0 +1,83 @@
+import { useState, useEffect } from 'react';
+import { createVersionedStore } from '../storage/versionedStore';
+import { deleteGardenHistory } from '../storage/historyStore';
+import { registryStore } from '../plants/registry';
+import { irrigationStore } from '../irrigation/schedules';
+import { ledgerStore } from '../irrigation/ledger';
+import { vacationStore } from '../irrigation/vacation';
+import { commandQueueStore } from '../irrigation/commandQueue';
+import { alertStore } from '../alerts/alerts';
+import { settingsStore } from '../settings';
+import { weatherCacheStore } from '../weather/weatherCache';
+import { auditStore } from '../audit/auditLog';
+
+export const DEFAULT_GARDEN_ID = 1;
+
+// Everything a garden keeps in localStorage, one scoped copy per garden
+const GARDEN_STORES = [registryStore, irrigationStore, ledgerStore, vacationStore, commandQueueStore, alertStore, settingsStore, weatherCacheStore, auditStore];
+
+// Schema history:
+//   1 - { nextId, gardens: [{ id, name }] }
+export const gardenStore = createVersionedStore('aquasprout.gardens', {
+  version: 1,
+  migrations: [
+    () => ({ nextId: DEFAULT_GARDEN_ID + 1, gardens: [{ id: DEFAULT_GARDEN_ID, name: 'My garden' }] }),
+  ],
+});
+
+// Store scope for a garden. The first garden uses the unscoped stores, which
+// is where everything lived before there were gardens.
+export const gardenScope = (gardenId) => (gardenId === DEFAULT_GARDEN_ID ? null : `garden${gardenId}`);
+
+// Returns an error message, or null when the name is usable.
+export const validateGardenName = (name, gardens, id = null) => {
+  if (!name.trim()) return 'Garden name is required';
+  if (gardens.some(garden => garden.id !== id && garden.name.toLowerCase() === name.trim().toLowerCase())) return `There is already a garden called "${name.trim()}"`;
+  return null;
+};
+
+export const addGarden = (state, name) => {
+  const error = validateGardenName(name, state.gardens);
+  if (error) throw new Error(error);
+  return { nextId: state.nextId + 1, gardens: [...state.gardens, { id: state.nextId, name: name.trim() }] };
+};
+
+export const renameGarden = (state, id, name) => {
+  const error = validateGardenName(name, state.gardens, id);
+  if (error) throw new Error(error);
+  return { ...state, gardens: state.gardens.map(garden => (garden.id === id ? { ...garden, name: name.trim() } : garden)) };
+};
+
+export const removeGarden = (state, id) => {
+  if (state.gardens.length <= 1) throw new Error('Keep at least one garden');
+  return { ...state, gardens: state.gardens.filter(garden => garden.id !== id) };
+};
+
+// Garden a sensor reading belongs to. Readings without a garden id, which is
+// all of them with a single garden, go to the first garden still listed.
+export const gardenForReading = (reading, gardens) => reading.gardenId ?? gardens[0]?.id;
+
+// A new garden starts with the species library but none of the demo plants,
+// in the same place and units as `settings` (usually the garden it was added from).
+export const seedGarden = (gardenId, settings) => {
+  const scope = gardenScope(gardenId);
+  const registry = registryStore.migrate(null, 0);
+  registryStore.scoped(scope).save({ ...registry, plants: [] });
+  const irrigation = irrigationStore.migrate(null, 0);
+  irrigationStore.scoped(scope).save({ ...irrigation, zones: irrigation.zones.map(zone => ({ ...zone, plantIds: [] })) });
+  const defaults = settingsStore.migrate(null, 0);
+  settingsStore.scoped(scope).save({ ...defaults, location: settings.location, units: settings.units });
+};
+
+// Deletes everything stored for a removed garden.
+export const clearGarden = (gardenId) => {
+  const scope = gardenScope(gardenId);
+  GARDEN_STORES.forEach(store => store.scoped(scope).clear());
+  return deleteGardenHistory(scope).catch(error => console.error('Could not delete garden history:', error));
+};
+
+export const useGardens = () => {
+  const [gardens, setGardens] = useState(() => gardenStore.load());
+  useEffect(() => gardenStore.save(gardens), [gardens]);
+  return [gardens, setGardens];
+};
@@ -0,0 +1,46 @@
+import { addGarden, renameGarden, removeGarden, seedGarden, clearGarden, gardenScope, gardenStore, gardenForReading, DEFAULT_GARDEN_ID } from './gardens';
+import { registryStore } from '../plants/registry';
+import { irrigationStore } from '../irrigation/schedules';
+import { settingsStore } from '../settings';
+
+beforeEach(() => window.localStorage.clear());
+
+test('adds, renames and removes gardens with unique names', () => {
+  let state = gardenStore.load();
+  state = addGarden(state, ' Rooftop ');
+  expect(state.gardens[1]).toEqual({ id: 2, name: 'Rooftop' });
+  expect(() => addGarden(state, 'rooftop')).toThrow('already a garden called "rooftop"');
+  expect(() => renameGarden(state, 2, ' ')).toThrow('name is required');
+  state = renameGarden(state, 2, 'Balcony');
+  state = removeGarden(state, DEFAULT_GARDEN_ID);
+  expect(state.gardens).toEqual([{ id: 2, name: 'Balcony' }]);
+  expect(() => removeGarden(state, 2)).toThrow('at least one garden');
+  // Ids are not reused, so old garden URLs never point at a new garden
+  expect(addGarden(state, 'Greenhouse').gardens[1].id).toBe(3);
+});
+
+test('keeps the first garden in the original stores and the others scoped', () => {
+  expect(gardenScope(DEFAULT_GARDEN_ID)).toBeNull();
+  const first = settingsStore.load();
+  const location = { name: 'London', region: 'England', latitude: 51.5, longitude: -0.12, timezone: 'Europe/London' };
+  seedGarden(2, { ...first, location });
+
+  const scope = gardenScope(2);
+  expect(registryStore.scoped(scope).load().plants).toEqual([]);
+  expect(registryStore.load().plants.length).toBeGreaterThan(0);
+  expect(irrigationStore.scoped(scope).load().zones.every(zone => zone.plantIds.length === 0)).toBe(true);
+  expect(settingsStore.scoped(scope).load().location).toEqual(location);
+  expect(settingsStore.load().location.name).toBe(first.location.name);
+
+  clearGarden(2);
+  expect(window.localStorage.getItem(registryStore.scoped(scope).key)).toBeNull();
+  expect(window.localStorage.getItem(registryStore.key)).not.toBeNull();
+});
+
+test('readings without a garden id go to the first remaining garden', () => {
+  let state = addGarden(gardenStore.load(), 'Rooftop');
+  expect(gardenForReading({ plantId: 1, moisture: 40 }, state.gardens)).toBe(DEFAULT_GARDEN_ID);
+  expect(gardenForReading({ plantId: 1, moisture: 40, gardenId: 2 }, state.gardens)).toBe(2);
+  state = removeGarden(state, DEFAULT_GARDEN_ID);
+  expect(gardenForReading({ plantId: 1, moisture: 40 }, state.gardens)).toBe(2);
+});
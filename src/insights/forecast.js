@@ -0,0 +1,138 @@
+import { isRainCode } from '../weather/openMeteo';
+
+const MINUTE = 60000;
+const HOUR = 60 * MINUTE;
+
+export const LOOKBACK_HOURS = 6;
+export const FORECAST_HOURS = 24;
+export const MIN_FIT_POINTS = 4;
+export const MIN_FIT_MINUTES = 20;
+// A step up of this many points starts a new drying segment
+export const JUMP_POINTS = 1;
+export const STUCK_MINUTES = 60;
+export const STUCK_RANGE = 0.1;
+export const LEAK_FACTOR = 3;
+export const MIN_LEAK_RATE = 1;
+export const MIN_LEAK_FIT = 0.8;
+export const RISE_POINTS = 3;
+// Probes keep reading the soak for a while after a valve closes
+export const WATERING_GRACE = 30 * MINUTE;
+
+// Recommendation kinds, most urgent first
+export const KINDS = ['stuck', 'leak', 'rise', 'dry', 'soon', 'learning', 'ok'];
+
+// Least-squares line through the points, slope in points per hour.
+export const fitLine = (points) => {
+  const t0 = points[0].timestamp;
+  const xs = points.map(point => (point.timestamp - t0) / HOUR);
+  const ys = points.map(point => point.moisture);
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+  const sxx = xs.reduce((sum, x) => sum + (x - meanX) ** 2, 0);
+  const sxy = xs.reduce((sum, x, idx) => sum + (x - meanX) * (ys[idx] - meanY), 0);
+  const slope = sxx ? sxy / sxx : 0;
+  const intercept = meanY - slope * meanX;
+  const ssTot = ys.reduce((sum, y) => sum + (y - meanY) ** 2, 0);
+  const ssRes = ys.reduce((sum, y, idx) => sum + (y - intercept - slope * xs[idx]) ** 2, 0);
+  return { slope, intercept, r2: ssTot ? 1 - ssRes / ssTot : 1 };
+};
+
+// Points since the last watering, or the last step up if the ledger missed it.
+export const dryingSegment = (points, wateredAt = []) => {
+  let start = 0;
+  for (let idx = 1; idx < points.length; idx++) {
+    const prev = points[idx - 1];
+    const point = points[idx];
+    const watered = wateredAt.some(time => time > prev.timestamp && time <= point.timestamp);
+    if (watered || point.moisture - prev.moisture >= JUMP_POINTS) start = idx;
+  }
+  return points.slice(start);
+};
+
+// Drying rate in points per hour, fitted on the current drying segment.
+// Null until the segment is long enough to trust.
+export const fitDryingRate = (points, wateredAt = []) => {
+  const segment = dryingSegment(points, wateredAt);
+  if (segment.length < MIN_FIT_POINTS) return null;
+  if (segment[segment.length - 1].timestamp - segment[0].timestamp < MIN_FIT_MINUTES * MINUTE) return null;
+  const { slope, r2 } = fitLine(segment);
+  return { ratePerHour: -slope, r2, samples: segment.length, since: segment[0].timestamp };
+};
+
+// When moisture falling at `ratePerHour` reaches `threshold`, or null if it never will.
+export const predictCrossing = (moisture, ratePerHour, threshold, now) => {
+  if (moisture <= threshold) return now;
+  if (!(ratePerHour > 0)) return null;
+  return now + ((moisture - threshold) / ratePerHour) * HOUR;
+};
+
+// Whether rain could explain moisture going up since `from`.
+export const rainedSince = (hourly, weather, from, now) =>
+  Boolean(weather && isRainCode(weather.code))
+  || hourly.some(hour => hour.time + HOUR > from && hour.time <= now && hour.precipitation > 0);
+
+// Readings that have not moved for STUCK_MINUTES while the model expects at
+// least a point of drying over that time.
+const stuckSensor = (points, expectedPerHour, now) => {
+  if (!points.length || points[0].timestamp > now - STUCK_MINUTES * MINUTE) return null;
+  const recent = points.filter(point => point.timestamp >= now - STUCK_MINUTES * MINUTE);
+  if (recent.length < 2 || expectedPerHour * (STUCK_MINUTES / 60) < 1) return null;
+  const low = Math.min(...recent.map(point => point.min ?? point.moisture));
+  const high = Math.max(...recent.map(point => point.max ?? point.moisture));
+  if (high - low >= STUCK_RANGE || high <= 0) return null;
+  return { kind: 'stuck', value: recent[recent.length - 1].moisture, minutes: STUCK_MINUTES };
+};
+
+// Drying far faster than the species model: water is going somewhere else.
+const leak = (fit, expectedPerHour) => {
+  if (!fit || fit.r2 < MIN_LEAK_FIT || fit.ratePerHour < MIN_LEAK_RATE) return null;
+  if (fit.ratePerHour < LEAK_FACTOR * expectedPerHour) return null;
+  return { kind: 'leak', ratio: expectedPerHour > 0 ? fit.ratePerHour / expectedPerHour : Infinity };
+};
+
+// A climb from the lowest reading after the last watering, with no rain about.
+const unexplainedRise = (points, wateredAt, raining) => {
+  if (raining) return null;
+  const lastWatered = Math.max(-Infinity, ...wateredAt);
+  const candidates = points.filter(point => point.timestamp > lastWatered + WATERING_GRACE);
+  if (candidates.length < 2) return null;
+  const lowest = candidates.reduce((low, point) => (point.moisture < low.moisture ? point : low));
+  const latest = candidates[candidates.length - 1];
+  const amount = latest.moisture - lowest.moisture;
+  if (amount < RISE_POINTS) return null;
+  return { kind: 'rise', amount, since: lowest.timestamp };
+};
+
+// Recommendations for one plant. `points` is its recent history, `wateredAt`
+// the times its zone ran and `threshold` the level it gets watered at.
+// `decision` is what auto-watering would do now, if it would water at all.
+export const plantRecommendations = ({ plant, threshold, points, wateredAt = [], expectedPerHour, raining = false, decision = null, now }) => {
+  const base = { plantId: plant.id, moisture: plant.moisture, threshold, expectedPerHour };
+  const stuck = stuckSensor(points, expectedPerHour, now);
+  if (stuck) return [{ ...base, ...stuck }];
+
+  const fit = fitDryingRate(points, wateredAt);
+  const numbers = fit ? { ratePerHour: fit.ratePerHour, r2: fit.r2, samples: fit.samples } : { samples: dryingSegment(points, wateredAt).length };
+  const anomalies = [leak(fit, expectedPerHour), unexplainedRise(points, wateredAt, raining)]
+    .filter(Boolean)
+    .map(anomaly => ({ ...base, ...numbers, ...anomaly }));
+
+  if (plant.moisture < threshold) return [...anomalies, { ...base, ...numbers, kind: 'dry', deficit: threshold - plant.moisture, decision }];
+  if (!fit) return [...anomalies, { ...base, ...numbers, kind: 'learning' }];
+  const crossesAt = predictCrossing(plant.moisture, fit.ratePerHour, threshold, now);
+  const hours = crossesAt === null ? null : (crossesAt - now) / HOUR;
+  const kind = hours !== null && hours <= FORECAST_HOURS ? 'soon' : 'ok';
+  return [...anomalies, { ...base, ...numbers, kind, crossesAt, hours }];
+};
+
+const urgency = (item) => {
+  if (item.kind === 'dry') return -item.deficit;
+  if (item.kind === 'soon') return item.hours;
+  if (item.kind === 'leak') return -item.ratio;
+  if (item.kind === 'rise') return -item.amount;
+  return item.moisture - item.threshold;
+};
+
+// Orders recommendations by kind, then by how pressing each one is.
+export const rankRecommendations = (items) => [...items].sort((a, b) =>
+  KINDS.indexOf(a.kind) - KINDS.indexOf(b.kind) || urgency(a) - urgency(b));
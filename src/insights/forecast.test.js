@@ -0,0 +1,65 @@
+import { fitDryingRate, predictCrossing, plantRecommendations, rankRecommendations, rainedSince } from './forecast';
+
+const MINUTE = 60000;
+const HOUR = 60 * MINUTE;
+const now = Date.UTC(2026, 5, 1, 12);
+
+// Five-minute points over the last `hours`, moisture given as a function of hours ago
+const series = (hours, moistureAt) => Array.from({ length: hours * 12 + 1 }, (_, idx) => {
+  const ago = hours - idx / 12;
+  const moisture = moistureAt(ago);
+  return { timestamp: now - ago * HOUR, moisture, min: moisture, max: moisture };
+});
+
+const plant = (moisture) => ({ id: 1, name: 'Basil', moisture });
+const recommend = (points, options = {}) => plantRecommendations({
+  plant: plant(points[points.length - 1].moisture), threshold: 40, points, expectedPerHour: 2, now, ...options,
+});
+
+test('fits the drying rate since the last watering and predicts the crossing', () => {
+  // Dried at 5/h, watered 2h ago, drying at 2/h since
+  const points = series(4, ago => (ago > 2 ? 50 - (4 - ago) * 5 : 60 - (2 - ago) * 2));
+  const fit = fitDryingRate(points, [now - 2 * HOUR]);
+  expect(fit.ratePerHour).toBeCloseTo(2, 5);
+  expect(fit.r2).toBeCloseTo(1, 5);
+  expect(predictCrossing(56, fit.ratePerHour, 40, now)).toBeCloseTo(now + 8 * HOUR, -3);
+  expect(predictCrossing(56, 0, 40, now)).toBeNull();
+  expect(predictCrossing(38, 2, 40, now)).toBe(now);
+});
+
+test('needs enough history before forecasting', () => {
+  expect(fitDryingRate(series(4, ago => 50 + ago).slice(-3))).toBeNull();
+  expect(recommend(series(4, ago => 50 + ago).slice(-3))[0].kind).toBe('learning');
+});
+
+test('ranks plants by how soon they need water', () => {
+  const soon = recommend(series(2, ago => 46 + ago * 2));
+  expect(soon).toEqual([expect.objectContaining({ kind: 'soon', samples: 25 })]);
+  expect(soon[0].hours).toBeCloseTo(3, 5);
+  const later = { ...recommend(series(2, ago => 60 + ago * 2))[0], plantId: 2 };
+  const dry = { ...recommend(series(2, ago => 35 + ago * 2))[0], plantId: 3 };
+  expect(dry).toMatchObject({ kind: 'dry', deficit: 5 });
+  expect(rankRecommendations([later, soon[0], dry]).map(item => item.plantId)).toEqual([3, 1, 2]);
+});
+
+test('flags a stuck sensor instead of forecasting', () => {
+  expect(recommend(series(2, () => 55.3))).toEqual([expect.objectContaining({ kind: 'stuck', value: 55.3 })]);
+  // Not expected to move in that time, so a flat line is fine
+  expect(recommend(series(2, () => 55.3), { expectedPerHour: 0.5 })[0].kind).toBe('ok');
+});
+
+test('flags drying far faster than the model as a possible leak', () => {
+  const [leak, status] = recommend(series(2, ago => 50 + ago * 8));
+  expect(leak.kind).toBe('leak');
+  expect(leak.ratio).toBeCloseTo(4, 5);
+  expect(status.kind).toBe('soon');
+});
+
+test('flags moisture rising without a watering or rain', () => {
+  const rising = series(2, ago => 50 - ago * 3);
+  expect(recommend(rising)[0]).toMatchObject({ kind: 'rise', amount: 6 });
+  expect(recommend(rising, { wateredAt: [now - 90 * MINUTE] }).some(item => item.kind === 'rise')).toBe(false);
+  expect(recommend(rising, { raining: true }).some(item => item.kind === 'rise')).toBe(false);
+  expect(rainedSince([{ time: now - HOUR, precipitation: 0.4 }], null, now - 2 * HOUR, now)).toBe(true);
+  expect(rainedSince([], { code: 0 }, now - 2 * HOUR, now)).toBe(false);
+});
@@ -0,0 +1,47 @@
+import { useState, useEffect } from 'react';
+import { createVersionedStore } from '../storage/versionedStore';
+
+const HOUR = 3600000;
+
+// Older commands are dropped instead of replayed: a run asked for this
+// morning is no longer what the garden needs tonight.
+export const COMMAND_TTL_HOURS = 6;
+
+// Manual zone commands made while the controller was unreachable.
+//
+// Schema history:
+//   1 - { nextId, commands: [{ id, type: 'run' | 'stop', zoneId, minutes, queuedAt }] }
+export const commandQueueStore = createVersionedStore('aquasprout.commandQueue', {
+  version: 1,
+  migrations: [
+    () => ({ nextId: 1, commands: [] }),
+  ],
+});
+
+// Adds a command. Only the latest command per zone is kept, and a stop for a
+// zone that only had a queued run simply cancels it.
+export const enqueueCommand = (queue, { type, zoneId, minutes = null }, now) => {
+  const others = queue.commands.filter(command => command.zoneId !== zoneId);
+  const cancelsRun = type === 'stop' && queue.commands.some(command => command.zoneId === zoneId && command.type === 'run');
+  if (cancelsRun) return { ...queue, commands: others };
+  return { nextId: queue.nextId + 1, commands: [...others, { id: queue.nextId, type, zoneId, minutes, queuedAt: now }] };
+};
+
+export const cancelCommand = (queue, id) => ({ ...queue, commands: queue.commands.filter(command => command.id !== id) });
+
+// Splits the queue into commands to replay now, oldest first, and expired ones.
+export const takeCommands = (queue, now) => {
+  const sorted = [...queue.commands].sort((a, b) => a.queuedAt - b.queuedAt);
+  return {
+    ready: sorted.filter(command => now - command.queuedAt <= COMMAND_TTL_HOURS * HOUR),
+    expired: sorted.filter(command => now - command.queuedAt > COMMAND_TTL_HOURS * HOUR),
+    queue: { ...queue, commands: [] },
+  };
+};
+
+export const useCommandQueue = (scope = null) => {
+  const store = commandQueueStore.scoped(scope);
+  const [queue, setQueue] = useState(() => store.load());
+  useEffect(() => store.save(queue), [store, queue]);
+  return [queue, setQueue];
+};
@@ -0,0 +1,28 @@
+import { enqueueCommand, cancelCommand, takeCommands, COMMAND_TTL_HOURS } from './commandQueue';
+
+const HOUR = 3600000;
+const empty = { nextId: 1, commands: [] };
+
+test('keeps one command per zone and lets a stop cancel a queued run', () => {
+  let queue = enqueueCommand(empty, { type: 'run', zoneId: 1, minutes: 5 }, 100);
+  queue = enqueueCommand(queue, { type: 'run', zoneId: 1, minutes: 10 }, 200);
+  queue = enqueueCommand(queue, { type: 'stop', zoneId: 2 }, 300);
+  expect(queue.commands).toEqual([
+    { id: 2, type: 'run', zoneId: 1, minutes: 10, queuedAt: 200 },
+    { id: 3, type: 'stop', zoneId: 2, minutes: null, queuedAt: 300 },
+  ]);
+  expect(enqueueCommand(queue, { type: 'stop', zoneId: 1 }, 400).commands.map(command => command.zoneId)).toEqual([2]);
+  expect(cancelCommand(queue, 3).commands).toHaveLength(1);
+});
+
+test('replays recent commands oldest first and drops expired ones', () => {
+  const now = 100 * HOUR;
+  let queue = enqueueCommand(empty, { type: 'run', zoneId: 2, minutes: 5 }, now - HOUR);
+  queue = enqueueCommand(queue, { type: 'run', zoneId: 1, minutes: 5 }, now - 2 * HOUR);
+  queue = enqueueCommand(queue, { type: 'run', zoneId: 3, minutes: 5 }, now - (COMMAND_TTL_HOURS + 1) * HOUR);
+  const { ready, expired, queue: after } = takeCommands(queue, now);
+  expect(ready.map(command => command.zoneId)).toEqual([1, 2]);
+  expect(expired.map(command => command.zoneId)).toEqual([3]);
+  expect(after.commands).toEqual([]);
+  expect(after.nextId).toBe(4);
+});
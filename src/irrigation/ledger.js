@@ -0,0 +1,89 @@
+import { useState, useEffect } from 'react';
+import { createVersionedStore } from '../storage/versionedStore';
+import { toWallClock, fromWallClock } from '../time';
+
+// Litres needed to raise a plant's soil moisture by one percentage point
+export const LITERS_PER_MOISTURE_POINT = 0.2;
+// Rain tank pump; mains water arrives under its own pressure
+export const PUMP_WATTS = 40;
+export const PUMP_FLOW_LPM = 6;
+// The "without AquaSprout" comparison: one full dose per plant per day, all from mains
+export const BASELINE_WATERINGS_PER_DAY = 1;
+// Events older than this are dropped
+const RETENTION_DAYS = 400;
+const DAY = 86400000;
+
+// Schema history:
+//   1 - { startedAt, events: [{ id, timestamp, plantId, trigger, liters, tankLiters, mainsLiters, energyWh }] }
+//       zoneId is recorded from zone runs onwards but is not required
+export const ledgerStore = createVersionedStore('aquasprout.ledger', {
+  version: 1,
+  migrations: [
+    () => ({ startedAt: Date.now(), events: [] }),
+  ],
+});
+
+export const litersForDose = (profile, fraction = 1) => profile.waterAbsorption * fraction * LITERS_PER_MOISTURE_POINT;
+
+export const pumpEnergyWh = (liters) => (liters / PUMP_FLOW_LPM / 60) * PUMP_WATTS;
+
+// Takes water from the rain tank first and tops up from mains.
+export const splitSupply = (liters, tankAvailable) => {
+  const tankLiters = Math.min(liters, Math.max(0, tankAvailable));
+  return { tankLiters, mainsLiters: liters - tankLiters };
+};
+
+// Ledger entry for the water one plant received during a zone run
+export const wateringEvent = ({ plantId, zoneId, trigger, tankLiters, mainsLiters, timestamp }) => ({
+  id: `${timestamp}-${plantId}`,
+  timestamp,
+  plantId,
+  zoneId,
+  trigger,
+  liters: tankLiters + mainsLiters,
+  tankLiters,
+  mainsLiters,
+  energyWh: pumpEnergyWh(tankLiters),
+});
+
+export const appendEvents = (ledger, events, now = Date.now()) => {
+  if (!events.length) return ledger;
+  const cutoff = now - RETENTION_DAYS * DAY;
+  return { ...ledger, events: [...ledger.events.filter(event => event.timestamp >= cutoff), ...events] };
+};
+
+export const PERIODS = { day: 'Today', week: 'This Week', month: 'This Month' };
+
+// Start of the current calendar day, week (from Monday) or month in the garden's zone
+export const periodStart = (period, now, timeZone) => {
+  const wall = new Date(toWallClock(now, timeZone));
+  wall.setUTCHours(0, 0, 0, 0);
+  if (period === 'week') wall.setUTCDate(wall.getUTCDate() - ((wall.getUTCDay() + 6) % 7));
+  if (period === 'month') wall.setUTCDate(1);
+  return fromWallClock(wall.getTime(), timeZone);
+};
+
+// Totals since the start of the period. Savings compare mains use against the
+// baseline over the part of the period the ledger has been recording.
+export const summarize = (ledger, period, now, { timeZone, baselineLitersPerDay }) => {
+  const start = periodStart(period, now, timeZone);
+  const totals = ledger.events
+    .filter(event => event.timestamp >= start && event.timestamp <= now)
+    .reduce((sum, event) => ({
+      waterings: sum.waterings + 1,
+      liters: sum.liters + event.liters,
+      tankLiters: sum.tankLiters + event.tankLiters,
+      mainsLiters: sum.mainsLiters + event.mainsLiters,
+      energyWh: sum.energyWh + event.energyWh,
+    }), { waterings: 0, liters: 0, tankLiters: 0, mainsLiters: 0, energyWh: 0 });
+  const trackedDays = Math.max(0, now - Math.max(start, ledger.startedAt)) / DAY;
+  const baselineLiters = baselineLitersPerDay * trackedDays;
+  return { ...totals, baselineLiters, savedLiters: Math.max(0, baselineLiters - totals.mainsLiters) };
+};
+
+export const useLedger = (scope = null) => {
+  const store = ledgerStore.scoped(scope);
+  const [ledger, setLedger] = useState(() => store.load());
+  useEffect(() => store.save(ledger), [store, ledger]);
+  return [ledger, setLedger];
+};
@@ -0,0 +1,35 @@
+import { wateringEvent as createEvent, splitSupply, appendEvents, periodStart, summarize, litersForDose } from './ledger';
+
+const DAY = 86400000;
+const wateringEvent = ({ liters, tankAvailable, ...rest }) => createEvent({ ...rest, ...splitSupply(liters, tankAvailable) });
+
+// Wednesday 14 January 2026, 12:00 UTC
+const now = Date.UTC(2026, 0, 14, 12);
+
+test('draws from the rain tank before mains and only charges the pump for tank water', () => {
+  const event = wateringEvent({ plantId: 1, trigger: 'auto', liters: 5, tankAvailable: 2, timestamp: now });
+  expect(event).toMatchObject({ tankLiters: 2, mainsLiters: 3 });
+  expect(event.energyWh).toBeCloseTo((2 / 6 / 60) * 40);
+  expect(litersForDose({ waterAbsorption: 25 }, 0.5)).toBeCloseTo(2.5);
+});
+
+test('finds calendar period starts in the garden zone', () => {
+  expect(periodStart('day', now, 'UTC')).toBe(Date.UTC(2026, 0, 14));
+  expect(periodStart('week', now, 'UTC')).toBe(Date.UTC(2026, 0, 12));
+  expect(periodStart('month', now, 'UTC')).toBe(Date.UTC(2026, 0, 1));
+  expect(periodStart('day', now, 'Asia/Kolkata')).toBe(Date.UTC(2026, 0, 13, 18, 30));
+});
+
+test('totals a period and measures savings against the baseline', () => {
+  const ledger = appendEvents({ startedAt: Date.UTC(2026, 0, 10), events: [] }, [
+    wateringEvent({ plantId: 1, trigger: 'auto', liters: 4, tankAvailable: 4, timestamp: now - 2 * DAY }),
+    wateringEvent({ plantId: 2, trigger: 'manual', liters: 3, tankAvailable: 0, timestamp: now - DAY }),
+    wateringEvent({ plantId: 3, trigger: 'auto', liters: 10, tankAvailable: 10, timestamp: now - 40 * DAY }),
+  ], now);
+  const week = summarize(ledger, 'week', now, { timeZone: 'UTC', baselineLitersPerDay: 10 });
+  expect(week).toMatchObject({ waterings: 2, liters: 7, tankLiters: 4, mainsLiters: 3 });
+  expect(week.baselineLiters).toBeCloseTo(25);
+  expect(week.savedLiters).toBeCloseTo(22);
+  // Recording started on the 10th, so the month baseline only covers 4.5 days
+  expect(summarize(ledger, 'month', now, { timeZone: 'UTC', baselineLitersPerDay: 10 }).baselineLiters).toBeCloseTo(45);
+});
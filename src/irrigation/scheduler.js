@@ -0,0 +1,96 @@
+import { toWallClock, fromWallClock } from '../time';
+
+// Timing rules for recurring irrigation schedules. All functions take `now`
+// explicitly so they can be evaluated for any moment, not just the present.
+// Windows are wall-clock times in the garden's `timeZone` (browser zone if omitted).
+export const HOUR = 3600000;
+
+const toMinutes = (hhmm) => {
+  const [hours, minutes] = hhmm.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Window opening on the given wall-clock day. Windows whose end is not after
+// their start run past midnight.
+const windowOn = (schedule, day, timeZone) => {
+  const start = new Date(day);
+  start.setUTCHours(0, toMinutes(schedule.windowStart), 0, 0);
+  const end = new Date(day);
+  end.setUTCHours(0, toMinutes(schedule.windowEnd), 0, 0);
+  if (end <= start) end.setUTCDate(end.getUTCDate() + 1);
+  return { start: fromWallClock(start.getTime(), timeZone), end: fromWallClock(end.getTime(), timeZone) };
+};
+
+// The window that is open at `from`, or else the next one to open.
+export const findWindow = (schedule, from, timeZone) => {
+  if (!schedule.days.length) return null;
+  for (let offset = -1; offset <= 7; offset++) {
+    const day = new Date(toWallClock(from, timeZone));
+    day.setUTCDate(day.getUTCDate() + offset);
+    if (!schedule.days.includes(day.getUTCDay())) continue;
+    const window = windowOn(schedule, day, timeZone);
+    if (window.end > from) return window;
+  }
+  return null;
+};
+
+export const isWindowOpen = (window, now) => Boolean(window) && window.start <= now && now < window.end;
+
+export const schedulesForPlant = (schedules, plantId) =>
+  schedules.filter(schedule => schedule.enabled && schedule.plantIds.includes(plantId));
+
+// When the plant is expected to drop below its optimal minimum.
+export const predictDryAt = (moisture, profile, decayPerHour, now) => {
+  if (moisture < profile.optimalMin) return now;
+  if (!(decayPerHour > 0)) return null;
+  return now + ((moisture - profile.optimalMin) / decayPerHour) * HOUR;
+};
+
+// Earliest moment the plant will be watered: once it is dry and, if any
+// schedule covers it, inside one of that schedule's windows.
+export const nextRunForPlant = (plant, profile, schedules, decayPerHour, now, timeZone) => {
+  const dryAt = predictDryAt(plant.moisture, profile, decayPerHour, now);
+  if (dryAt === null) return null;
+  const covering = schedulesForPlant(schedules, plant.id);
+  if (!covering.length) return { time: dryAt, scheduleId: null };
+  return covering
+    .map(schedule => {
+      const window = findWindow(schedule, dryAt, timeZone);
+      return window && { time: Math.max(window.start, dryAt), scheduleId: schedule.id };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.time - b.time)[0] || null;
+};
+
+// Next watering across the garden, with every plant due at that moment.
+export const nextRun = (plants, getProfile, schedules, getDecayPerHour, now, timeZone) => {
+  const runs = plants
+    .map(plant => {
+      const profile = getProfile(plant);
+      const run = profile && nextRunForPlant(plant, profile, schedules, getDecayPerHour(profile), now, timeZone);
+      return run && { ...run, plant };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.time - b.time);
+  if (!runs.length) return null;
+  const first = runs[0];
+  const together = runs.filter(run => run.time - first.time < 60000);
+  return { time: first.time, scheduleId: first.scheduleId, plants: together.map(run => run.plant) };
+};
+
+// Whether a plant reading `moisture` should be watered right now. Returns null
+// or { scheduleId, maxDuration } where maxDuration caps the zone run in minutes.
+// Plants not covered by any schedule are watered as soon as they are dry.
+export const wateringDue = (plantId, moisture, profile, schedules, lastRunAt, now, timeZone) => {
+  if (moisture >= profile.optimalMin) return null;
+  const covering = schedulesForPlant(schedules, plantId);
+  if (!covering.length) return { scheduleId: null, maxDuration: Infinity };
+  for (const schedule of covering) {
+    const window = findWindow(schedule, now, timeZone);
+    // One run per plant per window
+    if (isWindowOpen(window, now) && !(lastRunAt >= window.start)) {
+      return { scheduleId: schedule.id, maxDuration: schedule.maxDuration };
+    }
+  }
+  return null;
+};
@@ -0,0 +1,43 @@
+import { findWindow, nextRunForPlant, nextRun, wateringDue, HOUR } from './scheduler';
+
+const profile = { optimalMin: 40, optimalMax: 60, decayRate: 0.1, waterAbsorption: 20 };
+const morning = { id: 1, name: 'Morning', enabled: true, plantIds: [1], days: [1, 3, 5], windowStart: '06:00', windowEnd: '08:00', maxDuration: 5 };
+// Monday 5 January 2026, local time
+const at = (day, hour, minute = 0) => new Date(2026, 0, day, hour, minute).getTime();
+
+test('finds the open window or the next one on a scheduled day', () => {
+  expect(findWindow(morning, at(5, 7))).toEqual({ start: at(5, 6), end: at(5, 8) });
+  expect(findWindow(morning, at(5, 9))).toEqual({ start: at(7, 6), end: at(7, 8) });
+  const overnight = { ...morning, days: [1], windowStart: '22:00', windowEnd: '02:00' };
+  expect(findWindow(overnight, at(6, 1))).toEqual({ start: at(5, 22), end: at(6, 2) });
+});
+
+test('predicts the next run from moisture, decay and schedule windows', () => {
+  const plant = { id: 1, moisture: 50 };
+  // 10 points above optimalMin at 2 points/hour: dry at 14:00 Monday, next window Wednesday 06:00
+  expect(nextRunForPlant(plant, profile, [morning], 2, at(5, 9))).toEqual({ time: at(7, 6), scheduleId: 1 });
+  expect(nextRunForPlant(plant, profile, [], 2, at(5, 9))).toEqual({ time: at(5, 14), scheduleId: null });
+  expect(nextRunForPlant(plant, profile, [], 0, at(5, 9))).toBeNull();
+
+  const run = nextRun([plant, { id: 2, moisture: 30 }], () => profile, [morning], () => 2, at(5, 9));
+  expect(run.time).toBe(at(5, 9));
+  expect(run.plants.map(p => p.id)).toEqual([2]);
+});
+
+test('waters dry plants once per open window, capped by max duration', () => {
+  expect(wateringDue(1, 35, profile, [morning], undefined, at(5, 7))).toEqual({ scheduleId: 1, maxDuration: 5 });
+  expect(wateringDue(1, 35, profile, [morning], at(5, 6, 30), at(5, 7))).toBeNull();
+  expect(wateringDue(1, 35, profile, [morning], at(5, 6, 30) - 24 * HOUR, at(5, 7))).not.toBeNull();
+  expect(wateringDue(1, 35, profile, [morning], undefined, at(5, 9))).toBeNull();
+  expect(wateringDue(2, 35, profile, [morning], undefined, at(5, 9))).toEqual({ scheduleId: null, maxDuration: Infinity });
+  expect(wateringDue(1, 45, profile, [morning], undefined, at(5, 7))).toBeNull();
+});
+
+test('evaluates windows in the garden time zone', () => {
+  // 06:00–08:00 in Kolkata (UTC+5:30) on Monday 5 January 2026 is 00:30–02:30 UTC
+  const window = findWindow(morning, Date.UTC(2026, 0, 4, 23, 0), 'Asia/Kolkata');
+  expect(window).toEqual({ start: Date.UTC(2026, 0, 5, 0, 30), end: Date.UTC(2026, 0, 5, 2, 30) });
+  // Across a DST change: New York switches to UTC-4 on Sunday 8 March 2026
+  const daily = { ...morning, days: [0, 1] };
+  expect(findWindow(daily, Date.UTC(2026, 2, 8, 0, 0), 'America/New_York').start).toBe(Date.UTC(2026, 2, 8, 10, 0));
+});
@@ -0,0 +1,86 @@
+import { useState, useEffect } from 'react';
+import { createVersionedStore } from '../storage/versionedStore';
+import { defaultZones, defaultPump, validateZone } from './zones';
+
+// Schema history:
+//   1 - { schedules: [{ id, name, enabled, plantIds, days, windowStart, windowEnd, maxDuration }], lastMaintenance }
+//   2 - adds zones: [{ id, name, valve, flowRateLpm, plantIds }] and pump: { maxConcurrentZones }
+export const irrigationStore = createVersionedStore('aquasprout.irrigation', {
+  version: 2,
+  migrations: [
+    () => ({ schedules: [], lastMaintenance: null }),
+    (irrigation) => ({ ...irrigation, zones: defaultZones, pump: defaultPump }),
+  ],
+});
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Returns an error message, or null when the schedule is usable.
+export const validateSchedule = ({ name, plantIds, days, windowStart, windowEnd, maxDuration }) => {
+  if (!name.trim()) return 'Schedule name is required';
+  if (!TIME_PATTERN.test(windowStart) || !TIME_PATTERN.test(windowEnd)) return 'Times must be HH:MM';
+  if (windowStart === windowEnd) return 'Window start and end must differ';
+  if (!days.length) return 'Pick at least one day';
+  if (!plantIds.length) return 'Pick at least one plant';
+  if (!(maxDuration > 0)) return 'Max duration must be positive';
+  return null;
+};
+
+export const newSchedule = (schedules, plantIds) => ({
+  id: schedules.reduce((max, schedule) => Math.max(max, schedule.id), 0) + 1,
+  name: `Schedule ${schedules.length + 1}`,
+  enabled: true,
+  plantIds,
+  days: [0, 1, 2, 3, 4, 5, 6],
+  windowStart: '06:00',
+  windowEnd: '08:00',
+  maxDuration: 10,
+});
+
+export const saveSchedule = (irrigation, schedule) => {
+  const error = validateSchedule(schedule);
+  if (error) throw new Error(error);
+  const saved = { ...schedule, name: schedule.name.trim() };
+  const exists = irrigation.schedules.some(s => s.id === schedule.id);
+  return {
+    ...irrigation,
+    schedules: exists ? irrigation.schedules.map(s => (s.id === schedule.id ? saved : s)) : [...irrigation.schedules, saved],
+  };
+};
+
+export const removeSchedule = (irrigation, id) => ({ ...irrigation, schedules: irrigation.schedules.filter(s => s.id !== id) });
+
+// Saves a zone. A plant belongs to at most one zone, so assigning it here
+// takes it out of any other.
+export const saveZone = (irrigation, zone) => {
+  const error = validateZone(zone);
+  if (error) throw new Error(error);
+  const saved = { ...zone, name: zone.name.trim(), valve: zone.valve.trim() };
+  const others = irrigation.zones
+    .filter(z => z.id !== zone.id)
+    .map(z => ({ ...z, plantIds: z.plantIds.filter(id => !saved.plantIds.includes(id)) }));
+  const index = irrigation.zones.findIndex(z => z.id === zone.id);
+  const zones = index === -1 ? [...others, saved] : [...others.slice(0, index), saved, ...others.slice(index)];
+  return { ...irrigation, zones };
+};
+
+export const newZone = (zones) => {
+  const id = zones.reduce((max, zone) => Math.max(max, zone.id), 0) + 1;
+  return { id, name: `Zone ${id}`, valve: `V${id}`, flowRateLpm: 4, plantIds: [] };
+};
+
+export const removeZone = (irrigation, id) => ({ ...irrigation, zones: irrigation.zones.filter(zone => zone.id !== id) });
+
+export const setPumpConcurrency = (irrigation, maxConcurrentZones) => {
+  if (!Number.isInteger(maxConcurrentZones) || maxConcurrentZones < 1) throw new Error('The pump must allow at least one zone');
+  return { ...irrigation, pump: { ...irrigation.pump, maxConcurrentZones } };
+};
+
+export const logMaintenance = (irrigation, now = Date.now()) => ({ ...irrigation, lastMaintenance: now });
+
+export const useIrrigationSettings = (scope = null) => {
+  const store = irrigationStore.scoped(scope);
+  const [irrigation, setIrrigation] = useState(() => store.load());
+  useEffect(() => store.save(irrigation), [store, irrigation]);
+  return [irrigation, setIrrigation];
+};
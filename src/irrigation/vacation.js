@@ -0,0 +1,133 @@
+import { useState, useEffect } from 'react';
+import { createVersionedStore } from '../storage/versionedStore';
+import { fromWallClock } from '../time';
+import { litersForDose, splitSupply, pumpEnergyWh, LITERS_PER_MOISTURE_POINT } from './ledger';
+import { zoneForPlant } from './zones';
+import { panelOutputW, stepBattery, chargePercent, pumpPowered, BASE_LOAD_W } from '../energy/solar';
+
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+
+// Share of a plant's usual dose given by an emergency watering
+export const EMERGENCY_DOSE = 0.6;
+// Roof area draining into the rain tank: 1 mm of rain on 1 m² is 1 litre
+export const CATCHMENT_M2 = 10;
+
+// Schema history:
+//   1 - { manual, start, end, thresholds: { [plantId]: percent } }
+//       start and end are 'YYYY-MM-DD' dates in the garden's time zone
+export const vacationStore = createVersionedStore('aquasprout.vacation', {
+  version: 1,
+  migrations: [
+    () => ({ manual: false, start: null, end: null, thresholds: {} }),
+  ],
+});
+
+// First and last moment of the trip, or null without a complete date range
+export const tripRange = (plan, timeZone) => {
+  if (!plan.start || !plan.end) return null;
+  const from = fromWallClock(Date.parse(`${plan.start}T00:00:00Z`), timeZone);
+  const to = fromWallClock(Date.parse(`${plan.end}T00:00:00Z`) + DAY, timeZone);
+  return to > from ? { from, to } : null;
+};
+
+// Vacation mode is on while the toggle is set or the trip dates cover `now`
+export const isVacationActive = (plan, now, timeZone) => {
+  if (plan.manual) return true;
+  const range = tripRange(plan, timeZone);
+  return Boolean(range) && now >= range.from && now < range.to;
+};
+
+export const validateTrip = ({ start, end }) => {
+  if (!start || !end) return 'Pick both a start and an end date';
+  if (end < start) return 'The trip must end on or after its start';
+  return null;
+};
+
+// An emergency watering should bring the plant back to about its optimal
+// minimum, so it triggers one emergency dose below it
+export const suggestThreshold = (profile) =>
+  Math.round(Math.max(10, Math.min(profile.optimalMin - 5, profile.optimalMin - profile.waterAbsorption * EMERGENCY_DOSE)));
+
+export const emergencyThreshold = (plan, plantId, profile) => plan.thresholds[plantId] ?? suggestThreshold(profile);
+
+// Forecast for the day containing `ms`; past the end of the forecast the
+// average of the forecast days stands in
+const dayWeather = (daily, ms, humidity) => {
+  const day = daily.find(d => ms >= d.date && ms < d.date + DAY);
+  const days = day ? [day] : daily;
+  if (!days.length) return { temp: 25, humidity, precipitation: 0 };
+  const average = (key) => days.reduce((sum, d) => sum + d[key], 0) / days.length;
+  return { temp: (average('tempMax') + average('tempMin')) / 2, humidity, precipitation: average('precipitation') };
+};
+
+// Hour-by-hour projection of every plant, the rain tank and the battery from
+// `from` to `to` with only emergency watering. Plants start at their current
+// moisture. Rain refills the tank but plants are treated as sheltered, which
+// keeps the projection on the safe side.
+export const projectVacation = ({
+  plants, getProfile, getDecayPerHour, thresholds, zones, tankLiters, tankCapacity, chargeWh, solar,
+  daily = [], hourly = [], humidity = 50, timeZone, from, to,
+}) => {
+  const moisture = Object.fromEntries(plants.map(plant => [plant.id, plant.moisture]));
+  const stats = Object.fromEntries(plants.map(plant => [plant.id, { plantId: plant.id, minMoisture: plant.moisture, waterings: 0, liters: 0, missedAt: null }]));
+  let tank = tankLiters;
+  let charge = chargeWh;
+  let powered = true;
+  const result = { points: [], plants: [], liters: 0, mainsLiters: 0, tankEmptyAt: null, batteryLowAt: null };
+
+  for (let start = from; start < to; start += HOUR) {
+    const weather = dayWeather(daily, start, humidity);
+    tank = Math.min(tankCapacity, tank + (weather.precipitation / 24) * CATCHMENT_M2);
+    let pumpWh = 0;
+
+    for (const plant of plants) {
+      moisture[plant.id] = Math.max(5, moisture[plant.id] - getDecayPerHour(getProfile(plant), weather));
+    }
+    // One emergency run per zone per hour, giving each plant in it the dose of
+    // the plant that asked for it
+    const watered = new Set();
+    for (const plant of plants) {
+      const zone = zoneForPlant(zones, plant.id);
+      if (moisture[plant.id] >= thresholds[plant.id] || (zone && watered.has(zone.id))) continue;
+      if (!zone || !powered) {
+        stats[plant.id].missedAt = stats[plant.id].missedAt ?? start;
+        continue;
+      }
+      watered.add(zone.id);
+      const liters = litersForDose(getProfile(plant), EMERGENCY_DOSE);
+      for (const id of zone.plantIds.filter(zoned => zoned in moisture)) {
+        const supply = splitSupply(liters, tank);
+        tank -= supply.tankLiters;
+        pumpWh += pumpEnergyWh(supply.tankLiters);
+        result.liters += liters;
+        result.mainsLiters += supply.mainsLiters;
+        moisture[id] = Math.min(100, moisture[id] + liters / LITERS_PER_MOISTURE_POINT);
+        stats[id].waterings += 1;
+        stats[id].liters += liters;
+      }
+    }
+
+    const inputW = panelOutputW(solar.panelWatts, start + HOUR / 2, { daily, hourly, timeZone });
+    charge = stepBattery(charge, solar.batteryWh, inputW, BASE_LOAD_W + pumpWh, 1);
+    const batteryPercent = chargePercent(charge, solar.batteryWh);
+    powered = pumpPowered(batteryPercent, solar.reservePercent, powered);
+    if (!powered && result.batteryLowAt === null) result.batteryLowAt = start + HOUR;
+    if (tank <= 0 && result.tankEmptyAt === null) result.tankEmptyAt = start + HOUR;
+
+    for (const plant of plants) {
+      stats[plant.id].minMoisture = Math.min(stats[plant.id].minMoisture, moisture[plant.id]);
+    }
+    result.points.push({ timestamp: start + HOUR, tankPercent: tankCapacity > 0 ? (tank / tankCapacity) * 100 : 0, batteryPercent });
+  }
+
+  result.plants = plants.map(plant => stats[plant.id]);
+  return result;
+};
+
+export const useVacationPlan = (scope = null) => {
+  const store = vacationStore.scoped(scope);
+  const [plan, setPlan] = useState(() => store.load());
+  useEffect(() => store.save(plan), [store, plan]);
+  return [plan, setPlan];
+};
@@ -0,0 +1,72 @@
+import { tripRange, isVacationActive, validateTrip, suggestThreshold, emergencyThreshold, projectVacation } from './vacation';
+
+const HOUR = 3600000;
+const from = Date.UTC(2026, 6, 1);
+const profiles = {
+  Mint: { optimalMin: 70, optimalMax: 90, decayRate: 0.25, waterAbsorption: 35 },
+  Aloe: { optimalMin: 20, optimalMax: 40, decayRate: 0.03, waterAbsorption: 12 },
+};
+const plants = [{ id: 1, name: 'Mint', species: 'Mint', moisture: 75 }, { id: 2, name: 'Aloe', species: 'Aloe', moisture: 30 }];
+const zones = [{ id: 1, name: 'All', valve: 'V1', flowRateLpm: 6, plantIds: [1, 2] }];
+const solar = { panelWatts: 60, batteryWh: 240, reservePercent: 20 };
+
+const project = (overrides) => projectVacation({
+  plants,
+  getProfile: plant => profiles[plant.species],
+  getDecayPerHour: profile => profile.decayRate * 4,
+  thresholds: { 1: 60, 2: 12 },
+  zones,
+  tankLiters: 50,
+  tankCapacity: 100,
+  chargeWh: 200,
+  solar,
+  timeZone: 'UTC',
+  from,
+  to: from + 48 * HOUR,
+  ...overrides,
+});
+
+test('turns on for the trip dates in the garden time zone', () => {
+  const plan = { manual: false, start: '2026-07-10', end: '2026-07-12', thresholds: {} };
+  const range = tripRange(plan, 'Asia/Kolkata');
+  expect(range).toEqual({ from: Date.UTC(2026, 6, 9, 18, 30), to: Date.UTC(2026, 6, 12, 18, 30) });
+  expect(isVacationActive(plan, Date.UTC(2026, 6, 9, 18), 'Asia/Kolkata')).toBe(false);
+  expect(isVacationActive(plan, Date.UTC(2026, 6, 12, 18), 'Asia/Kolkata')).toBe(true);
+  expect(isVacationActive(plan, Date.UTC(2026, 6, 12, 19), 'Asia/Kolkata')).toBe(false);
+  expect(isVacationActive({ ...plan, manual: true }, 0, 'UTC')).toBe(true);
+  expect(validateTrip({ start: '2026-07-10', end: '2026-07-09' })).toMatch('end on or after');
+});
+
+test('suggests thresholds one emergency dose below the optimal minimum', () => {
+  expect(suggestThreshold(profiles.Mint)).toBe(49);
+  expect(suggestThreshold(profiles.Aloe)).toBe(13);
+  expect(emergencyThreshold({ thresholds: { 1: 55 } }, 1, profiles.Mint)).toBe(55);
+  expect(emergencyThreshold({ thresholds: {} }, 2, profiles.Aloe)).toBe(13);
+});
+
+test('projects emergency waterings, tank use and when the tank runs dry', () => {
+  const result = project({ tankLiters: 10 });
+  expect(result.points).toHaveLength(48);
+  const [mint, aloe] = result.plants;
+  expect(mint.waterings).toBeGreaterThan(0);
+  // Aloe shares the zone, so it is watered whenever the mint is
+  expect(aloe.waterings).toBe(mint.waterings);
+  expect(mint.minMoisture).toBeGreaterThanOrEqual(59);
+  expect(result.tankEmptyAt).toBeGreaterThan(from);
+  expect(result.mainsLiters).toBeGreaterThan(0);
+  expect(result.liters).toBeCloseTo(mint.liters + aloe.liters);
+});
+
+test('rain refills the tank in the projection', () => {
+  const daily = [0, 1].map(i => ({ date: from + i * 24 * HOUR, tempMax: 25, tempMin: 15, precipitation: 24 }));
+  const dry = project({ thresholds: { 1: 0, 2: 0 } });
+  const wet = project({ thresholds: { 1: 0, 2: 0 }, daily });
+  expect(dry.points[47].tankPercent).toBe(50);
+  expect(wet.points[47].tankPercent).toBe(100);
+});
+
+test('flags missed waterings once the battery hits its reserve', () => {
+  const result = project({ chargeWh: 50, solar: { ...solar, panelWatts: 0 } });
+  expect(result.batteryLowAt).not.toBeNull();
+  expect(result.plants[0].missedAt).not.toBeNull();
+});
@@ -0,0 +1,58 @@
+import { isRainCode } from '../weather/openMeteo';
+
+const HOUR = 3600000;
+
+export const DEFER_WINDOW_HOURS = 6;
+export const REDUCE_WINDOW_HOURS = 24;
+export const RAIN_PROBABILITY = 60;
+export const DEFER_RAIN_MM = 2;
+export const REDUCE_RAIN_MM = 5;
+export const HIGH_HUMIDITY = 70;
+
+// Chance and amount of rain in the next `hours`, from the hourly forecast.
+export const rainOutlook = (hourly, now, hours) => {
+  const upcoming = hourly.filter(hour => hour.time + HOUR > now && hour.time < now + hours * HOUR);
+  const rainyHour = upcoming.find(hour => hour.precipProbability >= RAIN_PROBABILITY && hour.precipitation > 0);
+  return {
+    hours,
+    probability: upcoming.reduce((max, hour) => Math.max(max, hour.precipProbability), 0),
+    amount: Math.round(upcoming.reduce((sum, hour) => sum + hour.precipitation, 0) * 10) / 10,
+    rainAt: rainyHour ? Math.max(now, rainyHour.time) : null,
+  };
+};
+
+const inHours = (time, now) => Math.max(1, Math.round((time - now) / HOUR));
+
+// Adjusts an auto-watering that would otherwise run now.
+// Returns { action: 'water' | 'reduce' | 'defer' | 'skip', fraction, reason }.
+// Plants already below the "Needs Water" line are never left dry: rain that
+// would otherwise defer them only reduces their dose.
+export const decideWatering = ({ moisture, profile, weather, hourly = [], now }) => {
+  const critical = moisture < profile.optimalMin - 10;
+  const soon = rainOutlook(hourly, now, DEFER_WINDOW_HOURS);
+  const later = rainOutlook(hourly, now, REDUCE_WINDOW_HOURS);
+  let fraction = 1;
+  const reasons = [];
+
+  if (weather && isRainCode(weather.code)) {
+    if (!critical) return { action: 'skip', fraction: 0, reason: 'Raining now, soil is being watered naturally' };
+    fraction *= 0.5;
+    reasons.push('raining now');
+  } else if (soon.rainAt !== null && soon.amount >= DEFER_RAIN_MM) {
+    const detail = `${soon.probability}% chance of ${soon.amount} mm within ${inHours(soon.rainAt, now)}h`;
+    if (!critical) return { action: 'defer', fraction: 0, reason: `Deferred: ${detail}` };
+    fraction *= 0.5;
+    reasons.push(detail);
+  } else if (later.probability >= RAIN_PROBABILITY && later.amount >= REDUCE_RAIN_MM) {
+    fraction *= 0.5;
+    reasons.push(`${later.probability}% chance of ${later.amount} mm in the next ${REDUCE_WINDOW_HOURS}h`);
+  }
+
+  if (weather && weather.humidity > HIGH_HUMIDITY) {
+    fraction *= 0.7;
+    reasons.push(`humidity ${weather.humidity}%`);
+  }
+
+  if (fraction === 1) return { action: 'water', fraction, reason: 'No rain expected, full dose' };
+  return { action: 'reduce', fraction, reason: `Dose cut to ${Math.round(fraction * 100)}%: ${reasons.join(', ')}` };
+};
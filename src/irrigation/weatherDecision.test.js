@@ -0,0 +1,34 @@
+import { decideWatering, rainOutlook } from './weatherDecision';
+
+const HOUR = 3600000;
+const now = 1000 * HOUR;
+const profile = { optimalMin: 40, optimalMax: 60, decayRate: 0.1, waterAbsorption: 20 };
+const dryWeather = { temp: 30, humidity: 40, wind: 5, code: 0 };
+const hours = (...rain) => rain.map(([precipProbability, precipitation], idx) => ({ time: now + idx * HOUR, precipProbability, precipitation }));
+
+test('summarises the hourly forecast over a horizon', () => {
+  const outlook = rainOutlook(hours([10, 0], [70, 1.5], [80, 2], [90, 10]), now, 3);
+  expect(outlook).toEqual({ hours: 3, probability: 80, amount: 3.5, rainAt: now + HOUR });
+});
+
+test('waters in full when no rain is coming', () => {
+  expect(decideWatering({ moisture: 35, profile, weather: dryWeather, hourly: hours([0, 0]), now }).action).toBe('water');
+});
+
+test('skips while raining and defers before imminent rain', () => {
+  expect(decideWatering({ moisture: 35, profile, weather: { ...dryWeather, code: 61 }, now }).action).toBe('skip');
+  const deferred = decideWatering({ moisture: 35, profile, weather: dryWeather, hourly: hours([0, 0], [80, 3]), now });
+  expect(deferred.action).toBe('defer');
+  expect(deferred.reason).toContain('80% chance of 3 mm');
+});
+
+test('only reduces the dose for plants that are already critically dry', () => {
+  const decision = decideWatering({ moisture: 25, profile, weather: dryWeather, hourly: hours([0, 0], [80, 3]), now });
+  expect(decision).toMatchObject({ action: 'reduce', fraction: 0.5 });
+});
+
+test('reduces the dose under high humidity or heavy rain later in the day', () => {
+  expect(decideWatering({ moisture: 35, profile, weather: { ...dryWeather, humidity: 85 }, now })).toMatchObject({ action: 'reduce', fraction: 0.7 });
+  const later = hours(...Array.from({ length: 12 }, (_, idx) => (idx < 8 ? [0, 0] : [70, 2])));
+  expect(decideWatering({ moisture: 35, profile, weather: dryWeather, hourly: later, now })).toMatchObject({ action: 'reduce', fraction: 0.5 });
+});
@@ -0,0 +1,84 @@
+// Hydraulic model: each zone has a valve and a flow rate and waters all of its
+// plants together. A shared pump limits how many valves may be open at once;
+// further runs wait in a first-come queue.
+const MINUTE = 60000;
+
+export const ZONE_TICK_MS = 1000;
+
+export const defaultZones = [
+  { id: 1, name: 'Vegetable beds', valve: 'V1', flowRateLpm: 6, plantIds: [1, 4, 5] },
+  { id: 2, name: 'Dry-soil pots', valve: 'V2', flowRateLpm: 3, plantIds: [2, 3, 6] },
+];
+
+export const defaultPump = { maxConcurrentZones: 1 };
+
+export const createZoneState = () => ({ running: [], queue: [] });
+
+// Returns an error message, or null when the zone is usable.
+export const validateZone = ({ name, valve, flowRateLpm }) => {
+  if (!name.trim()) return 'Zone name is required';
+  if (!valve.trim()) return 'Valve id is required';
+  if (!(flowRateLpm > 0)) return 'Flow rate must be positive';
+  return null;
+};
+
+export const zoneForPlant = (zones, plantId) => zones.find(zone => zone.plantIds.includes(plantId));
+
+// Minutes a zone must run to give each of its plants `liters`
+export const minutesForLiters = (zone, liters) => liters / (zone.flowRateLpm / Math.max(1, zone.plantIds.length));
+
+export const isZoneActive = (state, zoneId) =>
+  state.running.some(run => run.zoneId === zoneId) || state.queue.some(request => request.zoneId === zoneId);
+
+// Queues a run unless the zone is already running or waiting.
+export const requestRun = (state, zoneId, minutes, trigger, now) => {
+  if (!(minutes > 0) || isZoneActive(state, zoneId)) return state;
+  return { ...state, queue: [...state.queue, { zoneId, durationMs: minutes * MINUTE, trigger, requestedAt: now }] };
+};
+
+// Closes a running valve at the next step, or drops a queued request.
+export const stopZone = (state, zoneId, now) => ({
+  running: state.running.map(run => (run.zoneId === zoneId ? { ...run, endsAt: Math.min(run.endsAt, now), stopReason: 'stopped' } : run)),
+  queue: state.queue.filter(request => request.zoneId !== zoneId),
+});
+
+// Advances the model to `now`. Returns the new state, the water each plant
+// received since the last step, and valve start/stop events. Without power
+// running zones stop and queued ones wait.
+export const stepZones = (state, zones, pump, now, powered = true) => {
+  const deliveries = [];
+  const events = [];
+  const running = [];
+  const current = powered
+    ? state.running
+    : state.running.map(run => ({ ...run, endsAt: Math.min(run.endsAt, now), stopReason: run.stopReason || 'no power' }));
+
+  current.forEach(run => {
+    const zone = zones.find(z => z.id === run.zoneId);
+    const until = Math.min(now, run.endsAt);
+    const minutes = Math.max(0, until - run.lastStepAt) / MINUTE;
+    if (zone && minutes > 0 && zone.plantIds.length) {
+      const liters = (zone.flowRateLpm * minutes) / zone.plantIds.length;
+      zone.plantIds.forEach(plantId => deliveries.push({ runId: run.runId, zoneId: zone.id, plantId, liters, trigger: run.trigger }));
+    }
+    if (zone && now < run.endsAt) {
+      running.push({ ...run, lastStepAt: now });
+    } else {
+      events.push({ type: 'stop', runId: run.runId, zoneId: run.zoneId, trigger: run.trigger, timestamp: until, startedAt: run.startedAt, reason: zone ? run.stopReason || 'completed' : 'zone removed' });
+    }
+  });
+
+  const queue = [];
+  state.queue.forEach(request => {
+    if (!zones.some(zone => zone.id === request.zoneId)) return;
+    if (!powered || running.length >= pump.maxConcurrentZones) {
+      queue.push(request);
+      return;
+    }
+    const runId = `${request.zoneId}:${now}`;
+    running.push({ runId, zoneId: request.zoneId, trigger: request.trigger, startedAt: now, lastStepAt: now, endsAt: now + request.durationMs });
+    events.push({ type: 'start', runId, zoneId: request.zoneId, trigger: request.trigger, timestamp: now, durationMs: request.durationMs });
+  });
+
+  return { state: { running, queue }, deliveries, events };
+};
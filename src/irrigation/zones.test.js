@@ -0,0 +1,80 @@
+import { createZoneState, requestRun, stopZone, stepZones, minutesForLiters, zoneForPlant } from './zones';
+
+const MINUTE = 60000;
+const zones = [
+  { id: 1, name: 'Beds', valve: 'V1', flowRateLpm: 6, plantIds: [1, 2] },
+  { id: 2, name: 'Pots', valve: 'V2', flowRateLpm: 2, plantIds: [3] },
+];
+const pump = { maxConcurrentZones: 1 };
+const t0 = Date.UTC(2026, 0, 14, 6);
+
+const litersFor = (deliveries, plantId) =>
+  deliveries.filter(d => d.plantId === plantId).reduce((sum, d) => sum + d.liters, 0);
+
+test('splits zone flow between its plants', () => {
+  expect(minutesForLiters(zones[0], 3)).toBe(1);
+  expect(zoneForPlant(zones, 3).id).toBe(2);
+  expect(zoneForPlant(zones, 9)).toBeUndefined();
+});
+
+test('opens the valve, delivers water over time and stops when the run ends', () => {
+  let state = requestRun(createZoneState(), 1, 2, 'manual', t0);
+  let step = stepZones(state, zones, pump, t0);
+  expect(step.events).toEqual([expect.objectContaining({ type: 'start', zoneId: 1, trigger: 'manual' })]);
+  expect(step.deliveries).toEqual([]);
+
+  step = stepZones(step.state, zones, pump, t0 + MINUTE);
+  expect(litersFor(step.deliveries, 1)).toBeCloseTo(3);
+  expect(litersFor(step.deliveries, 2)).toBeCloseTo(3);
+  expect(step.events).toEqual([]);
+
+  // Overshooting the end only delivers up to it
+  step = stepZones(step.state, zones, pump, t0 + 5 * MINUTE);
+  expect(litersFor(step.deliveries, 1)).toBeCloseTo(3);
+  expect(step.events).toEqual([expect.objectContaining({ type: 'stop', zoneId: 1, reason: 'completed', timestamp: t0 + 2 * MINUTE })]);
+  state = step.state;
+  expect(state.running).toEqual([]);
+});
+
+test('queues zones beyond the pump concurrency limit', () => {
+  let state = requestRun(createZoneState(), 1, 1, 'auto', t0);
+  state = requestRun(state, 2, 1, 'auto', t0);
+  state = requestRun(state, 1, 5, 'manual', t0);
+  expect(state.queue).toHaveLength(2);
+
+  let step = stepZones(state, zones, pump, t0);
+  expect(step.state.running.map(run => run.zoneId)).toEqual([1]);
+  expect(step.state.queue.map(request => request.zoneId)).toEqual([2]);
+
+  step = stepZones(step.state, zones, pump, t0 + MINUTE);
+  expect(step.events.map(event => `${event.type}:${event.zoneId}`)).toEqual(['stop:1', 'start:2']);
+
+  step = stepZones(step.state, zones, { maxConcurrentZones: 2 }, t0 + 2 * MINUTE);
+  expect(litersFor(step.deliveries, 3)).toBeCloseTo(2);
+});
+
+test('stopping a zone closes it at the next step and drops queued runs', () => {
+  let state = requestRun(createZoneState(), 1, 10, 'manual', t0);
+  state = requestRun(state, 2, 10, 'manual', t0);
+  state = stepZones(state, zones, pump, t0).state;
+  state = stopZone(stopZone(state, 1, t0 + MINUTE), 2, t0 + MINUTE);
+  expect(state.queue).toEqual([]);
+
+  const step = stepZones(state, zones, pump, t0 + 3 * MINUTE);
+  expect(litersFor(step.deliveries, 1)).toBeCloseTo(3);
+  expect(step.events).toEqual([expect.objectContaining({ type: 'stop', reason: 'stopped', timestamp: t0 + MINUTE })]);
+  expect(step.state).toEqual(createZoneState());
+});
+
+test('stops running zones and holds the queue while the pump has no power', () => {
+  let state = requestRun(createZoneState(), 1, 10, 'auto', t0);
+  state = requestRun(state, 2, 10, 'auto', t0);
+  state = stepZones(state, zones, pump, t0).state;
+
+  let step = stepZones(state, zones, pump, t0 + MINUTE, false);
+  expect(step.events).toEqual([expect.objectContaining({ type: 'stop', zoneId: 1, reason: 'no power' })]);
+  expect(step.state.queue.map(request => request.zoneId)).toEqual([2]);
+
+  step = stepZones(step.state, zones, pump, t0 + 2 * MINUTE, true);
+  expect(step.events).toEqual([expect.objectContaining({ type: 'start', zoneId: 2 })]);
+});
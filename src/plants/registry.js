@@ -0,0 +1,71 @@
+import { useState, useEffect } from 'react';
+import { createVersionedStore } from '../storage/versionedStore';
+import { defaultSpecies, validateProfile } from './species';
+
+const defaultPlants = [
+  { id: 1, name: 'Cabbage', species: 'Cabbage' },
+  { id: 2, name: 'Jade Plant', species: 'Jade Plant' },
+  { id: 3, name: 'Aloe Vera', species: 'Aloe Vera' },
+  { id: 4, name: 'Tomato', species: 'Tomato' },
+  { id: 5, name: 'Mint', species: 'Mint' },
+  { id: 6, name: 'Rosemary', species: 'Rosemary' },
+];
+
+// Schema history:
+//   1 - { plants: [{ id, name, species }], species: { [name]: profile & { custom } } }
+export const registryStore = createVersionedStore('aquasprout.registry', {
+  version: 1,
+  migrations: [
+    () => ({
+      plants: defaultPlants,
+      species: Object.fromEntries(Object.entries(defaultSpecies).map(([name, profile]) => [name, { ...profile, custom: false }])),
+    }),
+  ],
+});
+
+export const getProfile = (registry, plant) => registry.species[plant.species];
+
+const nextPlantId = (plants) => plants.reduce((max, plant) => Math.max(max, plant.id), 0) + 1;
+
+export const addPlant = (registry, { name, species }) => {
+  const trimmed = name.trim();
+  if (!trimmed) throw new Error('Plant name is required');
+  if (!registry.species[species]) throw new Error(`Unknown species "${species}"`);
+  return { ...registry, plants: [...registry.plants, { id: nextPlantId(registry.plants), name: trimmed, species }] };
+};
+
+export const updatePlant = (registry, id, changes) => {
+  if (changes.name !== undefined && !changes.name.trim()) throw new Error('Plant name is required');
+  if (changes.species !== undefined && !registry.species[changes.species]) throw new Error(`Unknown species "${changes.species}"`);
+  return {
+    ...registry,
+    plants: registry.plants.map(plant => (plant.id === id ? { ...plant, ...changes, name: (changes.name ?? plant.name).trim() } : plant)),
+  };
+};
+
+export const removePlant = (registry, id) => ({ ...registry, plants: registry.plants.filter(plant => plant.id !== id) });
+
+// Creates a custom species or retunes an existing one.
+export const saveSpecies = (registry, name, profile) => {
+  const trimmed = name.trim();
+  if (!trimmed) throw new Error('Species name is required');
+  const error = validateProfile(profile);
+  if (error) throw new Error(error);
+  const custom = registry.species[trimmed]?.custom ?? true;
+  return { ...registry, species: { ...registry.species, [trimmed]: { ...profile, custom } } };
+};
+
+export const removeSpecies = (registry, name) => {
+  if (!registry.species[name]?.custom) throw new Error('Built-in species cannot be removed');
+  if (registry.plants.some(plant => plant.species === name)) throw new Error(`"${name}" is still used by a plant`);
+  const { [name]: removed, ...species } = registry.species;
+  return { ...registry, species };
+};
+
+// Registry state that is written back to storage on every change.
+export const usePlantRegistry = (scope = null) => {
+  const store = registryStore.scoped(scope);
+  const [registry, setRegistry] = useState(() => store.load());
+  useEffect(() => store.save(registry), [store, registry]);
+  return [registry, setRegistry];
+};
@@ -0,0 +1,40 @@
+import { registryStore, addPlant, updatePlant, removePlant, saveSpecies, removeSpecies } from './registry';
+
+beforeEach(() => window.localStorage.clear());
+
+test('seeds the built-in garden on first load and persists edits', () => {
+  const registry = registryStore.load();
+  expect(registry.plants).toHaveLength(6);
+  expect(registry.species.Mint.custom).toBe(false);
+
+  registryStore.save(addPlant(registry, { name: ' Bed 7 ', species: 'Mint' }));
+  const reloaded = registryStore.load();
+  expect(reloaded.plants[6]).toEqual({ id: 7, name: 'Bed 7', species: 'Mint' });
+});
+
+test('falls back to defaults for documents written by a newer schema, leaving them stored', () => {
+  const newer = JSON.stringify({ version: registryStore.version + 1, data: { plants: [] } });
+  window.localStorage.setItem(registryStore.key, newer);
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  const registry = registryStore.load();
+  expect(registry.plants).toHaveLength(6);
+  expect(window.localStorage.getItem(registryStore.key)).toBe(newer);
+  // The hooks save what they loaded; that must not overwrite it either
+  registryStore.save(registry);
+  expect(window.localStorage.getItem(registryStore.key)).toBe(newer);
+  console.warn.mockRestore();
+  registryStore.clear();
+});
+
+test('validates plant and species edits', () => {
+  const registry = registryStore.load();
+  expect(() => addPlant(registry, { name: '', species: 'Mint' })).toThrow('required');
+  expect(() => updatePlant(registry, 1, { species: 'Cactus' })).toThrow('Unknown species');
+  expect(() => saveSpecies(registry, 'Cactus', { optimalMin: 50, optimalMax: 40, decayRate: 0.1, waterAbsorption: 5 })).toThrow('below');
+  expect(() => removeSpecies(registry, 'Mint')).toThrow('Built-in');
+
+  const withCactus = updatePlant(saveSpecies(registry, 'Cactus', { optimalMin: 5, optimalMax: 20, decayRate: 0.01, waterAbsorption: 5 }), 1, { species: 'Cactus' });
+  expect(withCactus.species.Cactus.custom).toBe(true);
+  expect(() => removeSpecies(withCactus, 'Cactus')).toThrow('still used');
+  expect(removeSpecies(removePlant(withCactus, 1), 'Cactus').species.Cactus).toBeUndefined();
+});
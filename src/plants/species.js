@@ -0,0 +1,33 @@
+// Built-in species with realistic moisture behavior
+export const defaultSpecies = {
+  'Cabbage': { optimalMin: 60, optimalMax: 80, decayRate: 0.15, waterAbsorption: 25 },
+  'Jade Plant': { optimalMin: 30, optimalMax: 50, decayRate: 0.05, waterAbsorption: 15 },
+  'Aloe Vera': { optimalMin: 20, optimalMax: 40, decayRate: 0.03, waterAbsorption: 12 },
+  'Tomato': { optimalMin: 65, optimalMax: 85, decayRate: 0.20, waterAbsorption: 30 },
+  'Mint': { optimalMin: 70, optimalMax: 90, decayRate: 0.25, waterAbsorption: 35 },
+  'Rosemary': { optimalMin: 35, optimalMax: 55, decayRate: 0.08, waterAbsorption: 18 },
+};
+
+export const profileFields = [
+  { key: 'optimalMin', label: 'Optimal min %', step: 1 },
+  { key: 'optimalMax', label: 'Optimal max %', step: 1 },
+  { key: 'decayRate', label: 'Decay rate', step: 0.01 },
+  { key: 'waterAbsorption', label: 'Water absorption %', step: 1 },
+];
+
+// Returns an error message, or null when the profile is usable.
+export const validateProfile = ({ optimalMin, optimalMax, decayRate, waterAbsorption }) => {
+  if (![optimalMin, optimalMax, decayRate, waterAbsorption].every(Number.isFinite)) return 'All values must be numbers';
+  if (optimalMin < 0 || optimalMax > 100) return 'Optimal range must be within 0–100%';
+  if (optimalMin >= optimalMax) return 'Optimal min must be below optimal max';
+  if (decayRate <= 0) return 'Decay rate must be positive';
+  if (waterAbsorption <= 0 || waterAbsorption > 100) return 'Water absorption must be between 0 and 100%';
+  return null;
+};
+
+export const moistureStatus = (moisture, profile) => {
+  if (moisture < profile.optimalMin - 10) return 'Needs Water';
+  if (moisture < profile.optimalMin) return 'Water Soon';
+  if (moisture > profile.optimalMax) return 'Too Wet';
+  return 'Healthy';
+};
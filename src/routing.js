@@ -0,0 +1,32 @@
+import { useState, useEffect, useCallback } from 'react';
+
+// Path routes, relative to PUBLIC_URL so the app can be served from a
+// subdirectory: "/" is the overview and "/gardens/<id>" one garden.
+const basePath = () => new URL(process.env.PUBLIC_URL || '/', window.location.origin).pathname.replace(/\/$/, '');
+
+export const parseRoute = (pathname) => {
+  const path = pathname.startsWith(basePath()) ? pathname.slice(basePath().length) : pathname;
+  const match = path.match(/^\/gardens\/(\d+)\/?$/);
+  return match ? { page: 'garden', gardenId: Number(match[1]) } : { page: 'overview' };
+};
+
+export const routePath = (route) => `${basePath()}${route.page === 'garden' ? `/gardens/${route.gardenId}` : '/'}`;
+
+// The current route and a navigate(route, { replace }) that updates the URL
+export const useRoute = () => {
+  const [route, setRoute] = useState(() => parseRoute(window.location.pathname));
+
+  useEffect(() => {
+    const update = () => setRoute(parseRoute(window.location.pathname));
+    window.addEventListener('popstate', update);
+    return () => window.removeEventListener('popstate', update);
+  }, []);
+
+  const navigate = useCallback((next, { replace = false } = {}) => {
+    const path = routePath(next);
+    if (path !== window.location.pathname) window.history[replace ? 'replaceState' : 'pushState'](null, '', path);
+    setRoute(next);
+  }, []);
+
+  return [route, navigate];
+};
@@ -0,0 +1,10 @@
+import { parseRoute, routePath } from './routing';
+
+test('maps paths to the overview and garden pages and back', () => {
+  expect(parseRoute('/')).toEqual({ page: 'overview' });
+  expect(parseRoute('/gardens/3')).toEqual({ page: 'garden', gardenId: 3 });
+  expect(parseRoute('/gardens/3/')).toEqual({ page: 'garden', gardenId: 3 });
+  expect(parseRoute('/gardens/rooftop')).toEqual({ page: 'overview' });
+  expect(routePath({ page: 'garden', gardenId: 3 })).toBe('/gardens/3');
+  expect(routePath({ page: 'overview' })).toBe('/');
+});
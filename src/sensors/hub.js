@@ -0,0 +1,53 @@
+import { createDataSource } from '.';
+import { systemClock } from '../simulation/clock';
+
+// One data source shared by every garden, so several gardens don't each open
+// a connection to the same feed. Gardens subscribe with their id; each batch
+// of readings is split by `gardenOf(reading)` and handed to that garden.
+// Readings for a garden that isn't subscribed are dropped. The simulated
+// driver stamps its readings with `clock`.
+export const createSensorHub = (config, gardenOf, clock = systemClock) => {
+  const gardens = new Map();
+  let status = 'connecting';
+  let stop = null;
+
+  // The simulated driver sees every garden's plants, tagged with their garden
+  const source = createDataSource(config, {
+    getPlants: () => [...gardens].flatMap(([gardenId, garden]) => garden.getPlants().map(plant => ({ ...plant, gardenId }))),
+    getWeather: plant => gardens.get(plant.gardenId)?.getWeather(),
+    getProfile: plant => gardens.get(plant.gardenId)?.getProfile(plant),
+    clock,
+  });
+
+  const dispatch = (readings) => {
+    const batches = new Map();
+    readings.forEach(reading => {
+      const gardenId = gardenOf(reading);
+      batches.set(gardenId, [...(batches.get(gardenId) || []), reading]);
+    });
+    batches.forEach((batch, gardenId) => gardens.get(gardenId)?.onReadings(batch));
+  };
+
+  const setStatus = (next) => {
+    status = next;
+    gardens.forEach(garden => garden.onStatus(next));
+  };
+
+  // `garden` is { getPlants, getWeather, getProfile, onReadings, onStatus }.
+  // The source starts with the first subscriber and stops with the last.
+  const subscribe = (gardenId, garden) => {
+    gardens.set(gardenId, garden);
+    garden.onStatus(status);
+    if (!stop) stop = source.start(dispatch, setStatus);
+    return () => {
+      if (gardens.get(gardenId) === garden) gardens.delete(gardenId);
+      if (!gardens.size && stop) {
+        stop();
+        stop = null;
+        status = 'connecting';
+      }
+    };
+  };
+
+  return { subscribe };
+};
@@ -0,0 +1,63 @@
+import { createSensorHub } from './hub';
+import { createClock } from '../simulation/clock';
+
+const profile = { decayRate: 1 };
+const garden = (plants, weather = null) => ({
+  getPlants: () => plants,
+  getWeather: () => weather,
+  getProfile: () => profile,
+  onReadings: jest.fn(),
+  onStatus: jest.fn(),
+});
+
+beforeEach(() => jest.useFakeTimers());
+afterEach(() => jest.useRealTimers());
+
+test('one source serves every garden and hands each its own readings', () => {
+  const intervals = jest.spyOn(global, 'setInterval');
+  const hub = createSensorHub({ driver: 'simulated', pollInterval: 1000 }, reading => reading.gardenId ?? 1);
+  const first = garden([{ id: 1, moisture: 50 }]);
+  const second = garden([{ id: 1, moisture: 80 }, { id: 2, moisture: 60 }], { temp: 35, humidity: 20 });
+  const stopFirst = hub.subscribe(1, first);
+  const stopSecond = hub.subscribe(2, second);
+  expect(intervals).toHaveBeenCalledTimes(1);
+  expect(second.onStatus).toHaveBeenCalledWith('simulated');
+
+  jest.advanceTimersByTime(1000);
+  expect(first.onReadings.mock.calls[0][0].map(reading => [reading.gardenId, reading.plantId])).toEqual([[1, 1]]);
+  const [hot] = second.onReadings.mock.calls[0][0];
+  expect(hot.gardenId).toBe(2);
+  // Each garden's own weather drives its decay
+  expect(80 - hot.moisture).toBeGreaterThan(50 - first.onReadings.mock.calls[0][0][0].moisture);
+
+  stopFirst();
+  jest.advanceTimersByTime(1000);
+  expect(first.onReadings).toHaveBeenCalledTimes(1);
+  expect(second.onReadings).toHaveBeenCalledTimes(2);
+  stopSecond();
+  expect(jest.getTimerCount()).toBe(0);
+  intervals.mockRestore();
+});
+
+test('passes the connection status on to gardens that join later', () => {
+  const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+  const hub = createSensorHub({ driver: 'rest', url: '' }, () => 1);
+  const first = garden([]);
+  hub.subscribe(1, first);
+  const late = garden([]);
+  hub.subscribe(2, late);
+  expect(first.onStatus).toHaveBeenLastCalledWith('disconnected');
+  expect(late.onStatus).toHaveBeenCalledWith('disconnected');
+  error.mockRestore();
+});
+
+test('stamps simulated readings with the given clock', () => {
+  const clock = createClock(Date.UTC(2026, 6, 1, 6));
+  const hub = createSensorHub({ driver: 'simulated', pollInterval: 1000 }, reading => reading.gardenId, clock);
+  const only = garden([{ id: 1, moisture: 50 }]);
+  const stop = hub.subscribe(1, only);
+  clock.advance(60000);
+  jest.advanceTimersByTime(1000);
+  expect(only.onReadings.mock.calls[0][0][0].timestamp).toBe(Date.UTC(2026, 6, 1, 6, 1));
+  stop();
+});
@@ -0,0 +1,33 @@
+import createSimulatedSource from './simulatedSource';
+import createWebSocketSource from './websocketSource';
+import createMqttSource from './mqttSource';
+import createRestSource from './restSource';
+
+const drivers = {
+  simulated: createSimulatedSource,
+  websocket: createWebSocketSource,
+  mqtt: createMqttSource,
+  rest: createRestSource,
+};
+
+// Stands in for a driver that can't be set up, reporting it like a lost connection
+const createFailedSource = (message) => ({
+  start(onReadings, onStatus = () => {}) {
+    console.error(message);
+    onStatus('disconnected');
+    return () => {};
+  },
+});
+
+// A data source exposes start(onReadings, onStatus) and returns a stop function.
+// `context` gives the simulated driver access to the gardens' current state.
+// Configuration mistakes show up as a disconnected source rather than a throw.
+export const createDataSource = (config, context) => {
+  const factory = drivers[config.driver];
+  if (!factory) return createFailedSource(`Unknown sensor driver "${config.driver}"`);
+  if (config.driver !== 'simulated' && !config.url) return createFailedSource(`Sensor driver "${config.driver}" needs REACT_APP_SENSOR_URL`);
+  return factory(config, context);
+};
+
+export { moistureDecay } from './simulatedSource';
+export { normalizeReadings } from './readings';
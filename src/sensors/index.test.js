@@ -0,0 +1,14 @@
+import { createDataSource } from '.';
+
+test('reports a misconfigured driver as disconnected instead of throwing', () => {
+  const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+  const onStatus = jest.fn();
+  const stop = createDataSource({ driver: 'websocket', url: '' }).start(() => {}, onStatus);
+  expect(onStatus).toHaveBeenCalledWith('disconnected');
+  expect(error).toHaveBeenCalledWith('Sensor driver "websocket" needs REACT_APP_SENSOR_URL');
+
+  createDataSource({ driver: 'carrier-pigeon' }).start(() => {}, onStatus);
+  expect(error).toHaveBeenLastCalledWith('Unknown sensor driver "carrier-pigeon"');
+  stop();
+  error.mockRestore();
+});
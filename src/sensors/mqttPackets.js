@@ -0,0 +1,66 @@
+// Just enough of MQTT 3.1.1 for a read-only, QoS 0 subscriber.
+const CONNECT = 1;
+const CONNACK = 2;
+const PUBLISH = 3;
+const SUBSCRIBE = 8;
+const SUBACK = 9;
+const PINGREQ = 12;
+const PINGRESP = 13;
+
+export const packetTypes = { CONNECT, CONNACK, PUBLISH, SUBSCRIBE, SUBACK, PINGREQ, PINGRESP };
+
+export const encodeLength = (length) => {
+  const bytes = [];
+  do {
+    let byte = length % 128;
+    length = Math.floor(length / 128);
+    if (length > 0) byte |= 0x80;
+    bytes.push(byte);
+  } while (length > 0);
+  return bytes;
+};
+
+const encodeString = (value) => {
+  const bytes = new TextEncoder().encode(value);
+  return [bytes.length >> 8, bytes.length & 0xff, ...bytes];
+};
+
+const packet = (firstByte, body) => new Uint8Array([firstByte, ...encodeLength(body.length), ...body]);
+
+export const connectPacket = (clientId, keepAlive = 60) =>
+  packet(CONNECT << 4, [...encodeString('MQTT'), 4, 0x02, keepAlive >> 8, keepAlive & 0xff, ...encodeString(clientId)]);
+
+export const subscribePacket = (packetId, topic) =>
+  packet((SUBSCRIBE << 4) | 0x02, [packetId >> 8, packetId & 0xff, ...encodeString(topic), 0]);
+
+export const pingPacket = () => packet(PINGREQ << 4, []);
+
+// Splits a buffer into complete packets. Returns the packets and any trailing partial bytes.
+export const parsePackets = (bytes) => {
+  const packets = [];
+  let offset = 0;
+  while (offset < bytes.length) {
+    let multiplier = 1;
+    let length = 0;
+    let cursor = offset + 1;
+    let byte;
+    do {
+      if (cursor >= bytes.length) return { packets, rest: bytes.slice(offset) };
+      byte = bytes[cursor++];
+      length += (byte & 0x7f) * multiplier;
+      multiplier *= 128;
+    } while (byte & 0x80);
+    if (cursor + length > bytes.length) return { packets, rest: bytes.slice(offset) };
+    packets.push({ type: bytes[offset] >> 4, flags: bytes[offset] & 0x0f, body: bytes.slice(cursor, cursor + length) });
+    offset = cursor + length;
+  }
+  return { packets, rest: new Uint8Array(0) };
+};
+
+export const decodePublish = ({ flags, body }) => {
+  const topicLength = (body[0] << 8) | body[1];
+  const topic = new TextDecoder().decode(body.slice(2, 2 + topicLength));
+  const qos = (flags >> 1) & 0x03;
+  const payloadStart = 2 + topicLength + (qos > 0 ? 2 : 0);
+  return { topic, payload: new TextDecoder().decode(body.slice(payloadStart)) };
+};
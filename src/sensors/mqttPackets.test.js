@@ -0,0 +1,58 @@
+/**
+ * @jest-environment node
+ */
+import { encodeLength, connectPacket, subscribePacket, pingPacket, parsePackets, decodePublish, packetTypes } from './mqttPackets';
+
+const text = value => [...new TextEncoder().encode(value)];
+const publish = (topic, payload, flags = 0, packetId = []) => {
+  const body = [0, topic.length, ...text(topic), ...packetId, ...text(payload)];
+  return [(packetTypes.PUBLISH << 4) | flags, ...encodeLength(body.length), ...body];
+};
+
+test('encodes remaining lengths as variable-length integers', () => {
+  expect(encodeLength(0)).toEqual([0x00]);
+  expect(encodeLength(127)).toEqual([0x7f]);
+  expect(encodeLength(128)).toEqual([0x80, 0x01]);
+  expect(encodeLength(16383)).toEqual([0xff, 0x7f]);
+  expect(encodeLength(16384)).toEqual([0x80, 0x80, 0x01]);
+});
+
+test('builds connect, subscribe and ping packets', () => {
+  expect([...connectPacket('ab', 30)]).toEqual([
+    0x10, 14, 0, 4, ...text('MQTT'), 4, 0x02, 0, 30, 0, 2, ...text('ab'),
+  ]);
+  expect([...subscribePacket(1, 'a/b')]).toEqual([0x82, 8, 0, 1, 0, 3, ...text('a/b'), 0]);
+  expect([...pingPacket()]).toEqual([0xc0, 0]);
+});
+
+test('splits a buffer into packets and keeps the partial tail', () => {
+  const ack = [packetTypes.SUBACK << 4, 3, 0, 1, 0];
+  const message = publish('s/1', '{"moisture":40}');
+  const { packets, rest } = parsePackets(new Uint8Array([...ack, ...message.slice(0, 6)]));
+  expect(packets).toHaveLength(1);
+  expect(packets[0]).toMatchObject({ type: packetTypes.SUBACK, flags: 0 });
+  expect([...packets[0].body]).toEqual([0, 1, 0]);
+
+  const next = parsePackets(new Uint8Array([...rest, ...message.slice(6)]));
+  expect(next.packets).toHaveLength(1);
+  expect(decodePublish(next.packets[0])).toEqual({ topic: 's/1', payload: '{"moisture":40}' });
+  expect(next.rest).toHaveLength(0);
+});
+
+test('waits for the rest of a length split across frames', () => {
+  const message = publish('s/1', 'x'.repeat(200));
+  expect(message[1] & 0x80).toBeTruthy();
+  const first = parsePackets(new Uint8Array(message.slice(0, 2)));
+  expect(first.packets).toEqual([]);
+  expect([...first.rest]).toEqual(message.slice(0, 2));
+
+  const { packets } = parsePackets(new Uint8Array([...first.rest, ...message.slice(2)]));
+  expect(decodePublish(packets[0]).payload).toBe('x'.repeat(200));
+});
+
+test('skips the packet id of QoS 1 and 2 publishes', () => {
+  [1, 2].forEach(qos => {
+    const { packets } = parsePackets(new Uint8Array(publish('s/2', '{}', qos << 1, [0x12, 0x34])));
+    expect(decodePublish(packets[0])).toEqual({ topic: 's/2', payload: '{}' });
+  });
+});
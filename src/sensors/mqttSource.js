@@ -0,0 +1,71 @@
+import { normalizeReadings } from './readings';
+import { connectPacket, subscribePacket, pingPacket, parsePackets, decodePublish, packetTypes } from './mqttPackets';
+
+const KEEP_ALIVE = 30;
+
+// MQTT over WebSocket. Payloads are JSON readings; when a payload carries no
+// plantId the last topic level is used, e.g. aquasprout/sensors/3.
+const createMqttSource = ({ url, topic, reconnectDelay }) => ({
+  start(onReadings, onStatus = () => {}) {
+    let socket = null;
+    let retryTimer = null;
+    let pingTimer = null;
+    let pending = new Uint8Array(0);
+    let stopped = false;
+
+    const handlePacket = (packet) => {
+      if (packet.type === packetTypes.CONNACK) {
+        if (packet.body[1] !== 0) {
+          console.error('MQTT broker refused connection, code', packet.body[1]);
+          socket.close();
+          return;
+        }
+        socket.send(subscribePacket(1, topic));
+        pingTimer = setInterval(() => socket.send(pingPacket()), (KEEP_ALIVE * 1000) / 2);
+      } else if (packet.type === packetTypes.SUBACK) {
+        onStatus('live');
+      } else if (packet.type === packetTypes.PUBLISH) {
+        const message = decodePublish(packet);
+        try {
+          const readings = normalizeReadings(JSON.parse(message.payload), message.topic.split('/').pop());
+          if (readings.length) onReadings(readings);
+        } catch (error) {
+          console.warn(`Ignoring malformed payload on ${message.topic}:`, error);
+        }
+      }
+    };
+
+    const connect = () => {
+      onStatus('connecting');
+      pending = new Uint8Array(0);
+      socket = new WebSocket(url, 'mqtt');
+      socket.binaryType = 'arraybuffer';
+      socket.onopen = () => socket.send(connectPacket(`aquasprout-${Math.random().toString(16).slice(2, 10)}`, KEEP_ALIVE));
+      socket.onmessage = (event) => {
+        const incoming = new Uint8Array(event.data);
+        const buffer = new Uint8Array(pending.length + incoming.length);
+        buffer.set(pending);
+        buffer.set(incoming, pending.length);
+        const { packets, rest } = parsePackets(buffer);
+        pending = rest;
+        packets.forEach(handlePacket);
+      };
+      socket.onclose = () => {
+        clearInterval(pingTimer);
+        if (stopped) return;
+        onStatus('disconnected');
+        retryTimer = setTimeout(connect, reconnectDelay);
+      };
+    };
+
+    connect();
+    return () => {
+      stopped = true;
+      clearTimeout(retryTimer);
+      clearInterval(pingTimer);
+      if (socket) socket.close();
+    };
+  },
+});
+
+export default createMqttSource;
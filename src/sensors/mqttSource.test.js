@@ -0,0 +1,91 @@
+/**
+ * @jest-environment node
+ */
+import createMqttSource from './mqttSource';
+import { encodeLength, parsePackets, packetTypes } from './mqttPackets';
+
+class FakeSocket {
+  static instances = [];
+
+  constructor(url, protocol) {
+    this.url = url;
+    this.protocol = protocol;
+    this.sent = [];
+    FakeSocket.instances.push(this);
+  }
+
+  send(bytes) {
+    this.sent.push(...parsePackets(bytes).packets.map(packet => packet.type));
+  }
+
+  receive(bytes) {
+    this.onmessage({ data: new Uint8Array(bytes).buffer });
+  }
+
+  close() {
+    this.onclose?.();
+  }
+}
+
+const CONNACK = [packetTypes.CONNACK << 4, 2, 0, 0];
+const SUBACK = [packetTypes.SUBACK << 4, 3, 0, 1, 0];
+const publish = (topic, payload) => {
+  const body = [0, topic.length, ...new TextEncoder().encode(topic), ...new TextEncoder().encode(payload)];
+  return [packetTypes.PUBLISH << 4, ...encodeLength(body.length), ...body];
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  FakeSocket.instances = [];
+  global.WebSocket = FakeSocket;
+});
+afterEach(() => {
+  jest.useRealTimers();
+  delete global.WebSocket;
+});
+
+test('reports connecting, live and disconnected, then reconnects after the delay', () => {
+  const onReadings = jest.fn();
+  const onStatus = jest.fn();
+  const stop = createMqttSource({ url: 'ws://broker', topic: 'aquasprout/sensors/#', reconnectDelay: 5000 }).start(onReadings, onStatus);
+  const [socket] = FakeSocket.instances;
+  expect(socket.protocol).toBe('mqtt');
+  socket.onopen();
+  expect(socket.sent).toEqual([packetTypes.CONNECT]);
+
+  socket.receive(CONNACK);
+  expect(socket.sent).toEqual([packetTypes.CONNECT, packetTypes.SUBSCRIBE]);
+  expect(onStatus.mock.calls.flat()).toEqual(['connecting']);
+  socket.receive(SUBACK);
+  expect(onStatus).toHaveBeenLastCalledWith('live');
+  jest.advanceTimersByTime(15000);
+  expect(socket.sent).toContain(packetTypes.PINGREQ);
+
+  // The plant id falls back to the last topic level
+  const message = publish('aquasprout/sensors/3', '{"moisture":40,"timestamp":5}');
+  socket.receive(message.slice(0, 4));
+  socket.receive(message.slice(4));
+  expect(onReadings).toHaveBeenCalledWith([{ plantId: 3, moisture: 40, timestamp: 5 }]);
+
+  socket.close();
+  expect(onStatus.mock.calls.flat()).toEqual(['connecting', 'live', 'disconnected']);
+  jest.advanceTimersByTime(5000);
+  expect(FakeSocket.instances).toHaveLength(2);
+  expect(onStatus).toHaveBeenLastCalledWith('connecting');
+
+  stop();
+  expect(jest.getTimerCount()).toBe(0);
+});
+
+test('closes the socket when the broker refuses the connection', () => {
+  const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+  const onStatus = jest.fn();
+  const stop = createMqttSource({ url: 'ws://broker', topic: 't', reconnectDelay: 5000 }).start(() => {}, onStatus);
+  const [socket] = FakeSocket.instances;
+  socket.receive([packetTypes.CONNACK << 4, 2, 0, 5]);
+  expect(error).toHaveBeenCalledWith('MQTT broker refused connection, code', 5);
+  expect(socket.sent).toEqual([]);
+  expect(onStatus).toHaveBeenLastCalledWith('disconnected');
+  stop();
+  error.mockRestore();
+});
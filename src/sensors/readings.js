@@ -0,0 +1,18 @@
+// Normalizes the payload shapes the drivers may receive into
+// [{ plantId, moisture, timestamp, gardenId? }]. Accepts a single reading, an
+// array of readings, or an object with a `readings` array.
+export const normalizeReadings = (payload, fallbackPlantId) => {
+  const list = Array.isArray(payload) ? payload : Array.isArray(payload?.readings) ? payload.readings : [payload];
+  return list
+    .map(item => {
+      if (!item || typeof item !== 'object') return null;
+      const plantId = Number(item.plantId ?? item.id ?? fallbackPlantId);
+      const moisture = Number(item.moisture);
+      if (!Number.isFinite(plantId) || !Number.isFinite(moisture)) return null;
+      const timestamp = Number.isFinite(Number(item.timestamp)) ? Number(item.timestamp) : Date.now();
+      const reading = { plantId, moisture: Math.max(0, Math.min(100, moisture)), timestamp };
+      const gardenId = Number(item.gardenId);
+      return item.gardenId !== undefined && Number.isFinite(gardenId) ? { ...reading, gardenId } : reading;
+    })
+    .filter(Boolean);
+};
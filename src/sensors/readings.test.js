@@ -0,0 +1,16 @@
+import { normalizeReadings } from './readings';
+
+test('accepts single readings, arrays and { readings } envelopes', () => {
+  expect(normalizeReadings({ plantId: 1, moisture: 40, timestamp: 5 })).toEqual([{ plantId: 1, moisture: 40, timestamp: 5 }]);
+  expect(normalizeReadings([{ plantId: 1, moisture: 40, timestamp: 5 }, { plantId: 2, moisture: 50, timestamp: 5 }])).toHaveLength(2);
+  expect(normalizeReadings({ readings: [{ id: '3', moisture: '12.5', timestamp: 5 }] })).toEqual([{ plantId: 3, moisture: 12.5, timestamp: 5 }]);
+});
+
+test('uses the fallback plant id and drops unusable readings', () => {
+  expect(normalizeReadings({ moisture: 140, timestamp: 5 }, '4')).toEqual([{ plantId: 4, moisture: 100, timestamp: 5 }]);
+  expect(normalizeReadings([null, { plantId: 1 }, { moisture: 3 }])).toEqual([]);
+});
+
+test('keeps the garden id when a reading has one', () => {
+  expect(normalizeReadings({ gardenId: '2', plantId: 1, moisture: 40, timestamp: 5 })).toEqual([{ plantId: 1, moisture: 40, timestamp: 5, gardenId: 2 }]);
+});
@@ -0,0 +1,34 @@
+import { normalizeReadings } from './readings';
+
+// Polls an HTTP endpoint that returns the latest readings as JSON.
+const createRestSource = ({ url, pollInterval }) => ({
+  start(onReadings, onStatus = () => {}) {
+    let stopped = false;
+    let timer = null;
+
+    const poll = async () => {
+      try {
+        const response = await fetch(url, { headers: { Accept: 'application/json' } });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const readings = normalizeReadings(await response.json());
+        if (!stopped) {
+          onStatus('live');
+          if (readings.length) onReadings(readings);
+        }
+      } catch (error) {
+        console.error('Sensor poll failed:', error);
+        if (!stopped) onStatus('disconnected');
+      }
+      if (!stopped) timer = setTimeout(poll, pollInterval);
+    };
+
+    onStatus('connecting');
+    poll();
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+    };
+  },
+});
+
+export default createRestSource;
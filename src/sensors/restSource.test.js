@@ -0,0 +1,55 @@
+import createRestSource from './restSource';
+
+const reply = body => Promise.resolve({ ok: true, json: () => Promise.resolve(body) });
+
+// Lets the pending fetch and json promises settle
+const flush = async () => {
+  for (let i = 0; i < 5; i += 1) await Promise.resolve();
+};
+
+beforeEach(() => jest.useFakeTimers());
+afterEach(() => {
+  jest.useRealTimers();
+  delete global.fetch;
+});
+
+test('reports connecting, live and disconnected, then polls again after the interval', async () => {
+  const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+  global.fetch = jest.fn()
+    .mockReturnValueOnce(reply([{ plantId: 1, moisture: 40, timestamp: 5 }]))
+    .mockReturnValueOnce(Promise.resolve({ ok: false, status: 503 }))
+    .mockReturnValueOnce(reply([]));
+  const onReadings = jest.fn();
+  const onStatus = jest.fn();
+  const stop = createRestSource({ url: '/readings', pollInterval: 10000 }).start(onReadings, onStatus);
+  await flush();
+  expect(onStatus.mock.calls.flat()).toEqual(['connecting', 'live']);
+  expect(onReadings).toHaveBeenCalledWith([{ plantId: 1, moisture: 40, timestamp: 5 }]);
+
+  jest.advanceTimersByTime(10000);
+  await flush();
+  expect(onStatus).toHaveBeenLastCalledWith('disconnected');
+  expect(error).toHaveBeenCalledWith('Sensor poll failed:', new Error('HTTP 503'));
+
+  jest.advanceTimersByTime(10000);
+  await flush();
+  expect(onStatus).toHaveBeenLastCalledWith('live');
+  expect(global.fetch).toHaveBeenCalledTimes(3);
+  expect(onReadings).toHaveBeenCalledTimes(1);
+
+  stop();
+  expect(jest.getTimerCount()).toBe(0);
+  error.mockRestore();
+});
+
+test('stays quiet when stopped mid-request', async () => {
+  global.fetch = jest.fn(() => reply([{ plantId: 1, moisture: 40, timestamp: 5 }]));
+  const onReadings = jest.fn();
+  const onStatus = jest.fn();
+  const stop = createRestSource({ url: '/readings', pollInterval: 10000 }).start(onReadings, onStatus);
+  stop();
+  await flush();
+  expect(onStatus.mock.calls.flat()).toEqual(['connecting']);
+  expect(onReadings).not.toHaveBeenCalled();
+  expect(jest.getTimerCount()).toBe(0);
+});
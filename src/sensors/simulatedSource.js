@@ -0,0 +1,34 @@
+import { normalizeReadings } from './readings';
+import { systemClock } from '../simulation/clock';
+
+// Moisture lost per tick for a species under the current weather.
+export const moistureDecay = (profile, weather) => {
+  const tempFactor = weather ? (weather.temp - 20) / 30 : 0.3;
+  const humidityFactor = weather ? (100 - weather.humidity) / 100 : 0.5;
+  const envFactor = (tempFactor + humidityFactor) / 2;
+  return profile.decayRate * envFactor * 0.5;
+};
+
+// Stand-in for real probes: decays the last known moisture of every plant.
+// Plants that carry a gardenId pass it on to their readings, and `getWeather`
+// is asked per plant, since gardens can be in different places.
+const createSimulatedSource = ({ pollInterval }, { getPlants, getWeather, getProfile, clock = systemClock }) => ({
+  start(onReadings, onStatus = () => {}) {
+    onStatus('simulated');
+    const interval = setInterval(() => {
+      const now = clock.now();
+      const readings = getPlants()
+        .filter(plant => getProfile(plant))
+        .map(plant => ({
+          plantId: plant.id,
+          moisture: plant.moisture - moistureDecay(getProfile(plant), getWeather(plant)),
+          timestamp: now,
+          gardenId: plant.gardenId,
+        }));
+      onReadings(normalizeReadings(readings));
+    }, pollInterval);
+    return () => clearInterval(interval);
+  },
+});
+
+export default createSimulatedSource;
@@ -0,0 +1,38 @@
+import { normalizeReadings } from './readings';
+
+// Plain WebSocket feed: every text frame is a JSON reading (or list of readings).
+const createWebSocketSource = ({ url, reconnectDelay }) => ({
+  start(onReadings, onStatus = () => {}) {
+    let socket = null;
+    let retryTimer = null;
+    let stopped = false;
+
+    const connect = () => {
+      onStatus('connecting');
+      socket = new WebSocket(url);
+      socket.onopen = () => onStatus('live');
+      socket.onmessage = (event) => {
+        try {
+          const readings = normalizeReadings(JSON.parse(event.data));
+          if (readings.length) onReadings(readings);
+        } catch (error) {
+          console.warn('Ignoring malformed sensor frame:', error);
+        }
+      };
+      socket.onclose = () => {
+        if (stopped) return;
+        onStatus('disconnected');
+        retryTimer = setTimeout(connect, reconnectDelay);
+      };
+    };
+
+    connect();
+    return () => {
+      stopped = true;
+      clearTimeout(retryTimer);
+      if (socket) socket.close();
+    };
+  },
+});
+
+export default createWebSocketSource;
@@ -0,0 +1,59 @@
+import createWebSocketSource from './websocketSource';
+
+class FakeSocket {
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    FakeSocket.instances.push(this);
+  }
+
+  close() {
+    this.onclose?.();
+  }
+}
+
+const realWebSocket = global.WebSocket;
+beforeEach(() => {
+  jest.useFakeTimers();
+  FakeSocket.instances = [];
+  global.WebSocket = FakeSocket;
+});
+afterEach(() => {
+  jest.useRealTimers();
+  global.WebSocket = realWebSocket;
+});
+
+test('reports connecting, live and disconnected, then reconnects after the delay', () => {
+  const onReadings = jest.fn();
+  const onStatus = jest.fn();
+  const stop = createWebSocketSource({ url: 'ws://sensors', reconnectDelay: 5000 }).start(onReadings, onStatus);
+  const [socket] = FakeSocket.instances;
+  expect(socket.url).toBe('ws://sensors');
+  socket.onopen();
+  socket.onmessage({ data: JSON.stringify({ plantId: 1, moisture: 40, timestamp: 5 }) });
+  expect(onReadings).toHaveBeenCalledWith([{ plantId: 1, moisture: 40, timestamp: 5 }]);
+
+  socket.onclose();
+  expect(onStatus.mock.calls.flat()).toEqual(['connecting', 'live', 'disconnected']);
+  jest.advanceTimersByTime(4999);
+  expect(FakeSocket.instances).toHaveLength(1);
+  jest.advanceTimersByTime(1);
+  expect(FakeSocket.instances).toHaveLength(2);
+  expect(onStatus).toHaveBeenLastCalledWith('connecting');
+
+  stop();
+  expect(onStatus).toHaveBeenCalledTimes(4);
+  expect(jest.getTimerCount()).toBe(0);
+});
+
+test('ignores malformed frames', () => {
+  const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  const onReadings = jest.fn();
+  const stop = createWebSocketSource({ url: 'ws://sensors', reconnectDelay: 5000 }).start(onReadings);
+  FakeSocket.instances[0].onmessage({ data: 'not json' });
+  expect(onReadings).not.toHaveBeenCalled();
+  expect(warn).toHaveBeenCalled();
+  stop();
+  warn.mockRestore();
+});
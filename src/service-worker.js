@@ -0,0 +1,32 @@
+/* eslint-disable no-restricted-globals */
+
+// Built by react-scripts (workbox InjectManifest) into build/service-worker.js.
+// Precaches the app shell so the dashboard opens offline. Weather is not
+// cached here: the app keeps its own copy so it can tell when it is stale.
+
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate } from 'workbox-strategies';
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Every navigation gets index.html, except for URLs that look like files
+const fileExtension = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => request.mode === 'navigate' && !url.pathname.startsWith('/_') && !fileExtension.test(url.pathname),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Icons and the manifest from public/, which are not part of the build manifest
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && /\.(png|ico|json)$/.test(url.pathname),
+  new StaleWhileRevalidate({ cacheName: 'public-assets', plugins: [new ExpirationPlugin({ maxEntries: 20 })] })
+);
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
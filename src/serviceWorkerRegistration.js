@@ -0,0 +1,9 @@
+// Registers the service worker built from src/service-worker.js. Production
+// builds only: in development it would serve stale bundles across reloads.
+export const register = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch(error => console.error('Service worker registration failed:', error));
+  });
+};
@@ -0,0 +1,25 @@
+import { useState, useEffect } from 'react';
+import { createVersionedStore } from './storage/versionedStore';
+import { DEFAULT_LOCATION } from './weather/openMeteo';
+import { DEFAULT_UNITS } from './weather/units';
+import { DEFAULT_SOLAR } from './energy/solar';
+
+// Schema history:
+//   1 - { location: { name, region, latitude, longitude, timezone }, units: { temperature, windSpeed } }
+//   2 - adds tank: { capacityLiters }
+//   3 - adds solar: { panelWatts, batteryWh, reservePercent }
+export const settingsStore = createVersionedStore('aquasprout.settings', {
+  version: 3,
+  migrations: [
+    () => ({ location: { ...DEFAULT_LOCATION, region: 'India' }, units: DEFAULT_UNITS }),
+    (settings) => ({ ...settings, tank: { capacityLiters: 200 } }),
+    (settings) => ({ ...settings, solar: DEFAULT_SOLAR }),
+  ],
+});
+
+export const useSettings = (scope = null) => {
+  const store = settingsStore.scoped(scope);
+  const [settings, setSettings] = useState(() => store.load());
+  useEffect(() => store.save(settings), [store, settings]);
+  return [settings, setSettings];
+};
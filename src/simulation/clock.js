@@ -0,0 +1,27 @@
+// Clocks: the app reads the system clock unless it is given another, and
+// simulations and tests advance a virtual one.
+export const systemClock = { now: () => Date.now() };
+
+export const createClock = (start) => {
+  let time = start;
+  return {
+    now: () => time,
+    advance: (ms) => {
+      time += ms;
+      return time;
+    },
+  };
+};
+
+// Deterministic pseudo-random numbers in [0, 1) (mulberry32), so a run can be
+// replayed from its seed
+export const createRng = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
@@ -0,0 +1,214 @@
+import { moistureDecay } from '../sensors/simulatedSource';
+import { wateringDue } from '../irrigation/scheduler';
+import { decideWatering } from '../irrigation/weatherDecision';
+import { litersForDose, splitSupply, wateringEvent, pumpEnergyWh, LITERS_PER_MOISTURE_POINT } from '../irrigation/ledger';
+import { zoneForPlant, minutesForLiters, createZoneState, requestRun, stepZones } from '../irrigation/zones';
+import { emergencyThreshold, EMERGENCY_DOSE, CATCHMENT_M2 } from '../irrigation/vacation';
+import { panelOutputW, stepBattery, chargePercent, pumpPowered, BASE_LOAD_W } from '../energy/solar';
+import { isRainCode } from '../weather/openMeteo';
+
+// The garden's physics as pure functions of state and time. The dashboard
+// calls the pieces from its timers and sensor callbacks; `stepSimulation`
+// chains them on a virtual clock for tests and what-if runs.
+const HOUR = 3600000;
+export const MINUTE = 60000;
+
+// Rain assumed when the weather code says it is raining but no hourly amount is known
+const LIGHT_RAIN_MM = 1;
+
+// Moisture lost per hour. Species decay rates are per sensor tick of `tickMs`.
+export const decayPerHour = (profile, weather, tickMs) => moistureDecay(profile, weather) * (HOUR / tickMs);
+
+// The zone run a plant reading `moisture` calls for, or null. Auto-watering
+// follows schedules and the weather; vacation mode only waters below the
+// plant's emergency threshold.
+export const wateringRequest = ({ plant, moisture, profile, zones, schedules, lastRunAt, autoWatering, vacationMode, vacationPlan, weather, hourly, now, timeZone }) => {
+  const zone = zoneForPlant(zones, plant.id);
+  if (!zone) return null;
+  if (vacationMode) {
+    if (moisture >= emergencyThreshold(vacationPlan, plant.id, profile)) return null;
+    return { zoneId: zone.id, minutes: minutesForLiters(zone, litersForDose(profile, EMERGENCY_DOSE)), trigger: 'vacation' };
+  }
+  if (!autoWatering) return null;
+  const due = wateringDue(plant.id, moisture, profile, schedules, lastRunAt, now, timeZone);
+  const decision = due && decideWatering({ moisture, profile, weather, hourly, now });
+  if (!decision || decision.fraction <= 0) return null;
+  return {
+    zoneId: zone.id,
+    minutes: Math.min(minutesForLiters(zone, litersForDose(profile, decision.fraction)), due.maxDuration),
+    trigger: due.scheduleId ? 'schedule' : 'auto',
+  };
+};
+
+// Draws valve deliveries from the tank, then mains. Returns the new tank
+// level, the supply each plant has had per run so far, and the moisture
+// points each plant gained.
+export const applyDeliveries = (deliveries, tankLiters, runSupply) => {
+  let tank = tankLiters;
+  const supplies = { ...runSupply };
+  const gained = {};
+  deliveries.forEach(({ runId, plantId, liters }) => {
+    const supply = splitSupply(liters, tank);
+    tank -= supply.tankLiters;
+    const totals = { ...supplies[runId] };
+    const sofar = totals[plantId] || { tankLiters: 0, mainsLiters: 0 };
+    totals[plantId] = { tankLiters: sofar.tankLiters + supply.tankLiters, mainsLiters: sofar.mainsLiters + supply.mainsLiters };
+    supplies[runId] = totals;
+    gained[plantId] = (gained[plantId] || 0) + liters / LITERS_PER_MOISTURE_POINT;
+  });
+  return { tankLiters: tank, runSupply: supplies, gained };
+};
+
+// One ledger entry per plant for every run that stopped
+export const finishRuns = (events, runSupply) => {
+  const supplies = { ...runSupply };
+  const ledgerEvents = [];
+  events.filter(event => event.type === 'stop').forEach(event => {
+    Object.entries(supplies[event.runId] || {}).forEach(([plantId, supply]) => {
+      ledgerEvents.push(wateringEvent({ plantId: Number(plantId), zoneId: event.zoneId, trigger: event.trigger, timestamp: event.timestamp, ...supply }));
+    });
+    delete supplies[event.runId];
+  });
+  return { ledgerEvents, runSupply: supplies };
+};
+
+// The hourly entry covering `ms`. Entries are normally consecutive hours, so
+// try direct indexing before searching.
+const hourAt = (hourly, ms) => {
+  const covers = (h) => h && ms >= h.time && ms < h.time + HOUR;
+  const guess = hourly.length ? hourly[Math.floor((ms - hourly[0].time) / HOUR)] : undefined;
+  return covers(guess) ? guess : hourly.find(covers);
+};
+
+// Litres per hour running off the catchment into the tank
+export const rainInflowPerHour = (hourly, weather, now) => {
+  const hour = hourAt(hourly, now);
+  const mm = hour ? hour.precipitation : weather && isRainCode(weather.code) ? LIGHT_RAIN_MM : 0;
+  return mm * CATCHMENT_M2;
+};
+
+// Battery after `hours`, with the pump drawing power for the `tankLiters` it
+// lifted from the tank. Mains water arrives under its own pressure.
+export const stepEnergy = ({ chargeWh, pumpOn, solar, inputW, tankLiters, hours }) => {
+  const loadW = BASE_LOAD_W + (hours > 0 ? pumpEnergyWh(tankLiters) / hours : 0);
+  const next = stepBattery(chargeWh, solar.batteryWh, inputW, loadW, hours);
+  const percent = chargePercent(next, solar.batteryWh);
+  return { chargeWh: next, percent, loadW, pumpOn: pumpPowered(percent, solar.reservePercent, pumpOn) };
+};
+
+// Hourly conditions at `ms`, falling back to fixed current weather
+const conditionsAt = (hourly, weather, ms) => hourAt(hourly, ms) || weather;
+
+export const createSimulation = ({ plants, tankLiters, chargeWh, start }) => ({
+  time: start,
+  plants: plants.map(plant => ({ ...plant, lastWatered: plant.lastWatered ?? null })),
+  tankLiters,
+  chargeWh,
+  pumpOn: true,
+  zones: createZoneState(),
+  runSupply: {},
+  lastRuns: {},
+  ledger: [],
+});
+
+// Advances a simulation by `stepMs`. `config` holds the garden setup:
+//   { species, schedules, zones, pump, solar, tankCapacity, autoWatering,
+//     vacationMode, vacationPlan, timeZone, tickMs, hourly, daily, weather }
+// `hourly` entries carry the conditions for their hour; `weather` is used
+// outside them.
+export const stepSimulation = (state, config, stepMs) => {
+  const time = state.time + stepMs;
+  const hours = stepMs / HOUR;
+  const { hourly = [], daily = [] } = config;
+  const weather = conditionsAt(hourly, config.weather, time);
+
+  let plants = state.plants.map(plant => {
+    const profile = config.species[plant.species];
+    return { ...plant, moisture: Math.max(5, plant.moisture - decayPerHour(profile, weather, config.tickMs) * hours) };
+  });
+
+  let zones = state.zones;
+  const lastRuns = { ...state.lastRuns };
+  plants.forEach(plant => {
+    const request = wateringRequest({
+      plant,
+      moisture: plant.moisture,
+      profile: config.species[plant.species],
+      zones: config.zones,
+      schedules: config.schedules,
+      lastRunAt: lastRuns[plant.id],
+      autoWatering: config.autoWatering,
+      vacationMode: config.vacationMode,
+      vacationPlan: config.vacationPlan,
+      weather,
+      hourly,
+      now: time,
+      timeZone: config.timeZone,
+    });
+    if (!request) return;
+    zones = requestRun(zones, request.zoneId, request.minutes, request.trigger, time);
+    if (request.trigger !== 'vacation') lastRuns[plant.id] = time;
+  });
+
+  const step = stepZones(zones, config.zones, config.pump, time, state.pumpOn);
+  const delivered = applyDeliveries(step.deliveries, state.tankLiters, state.runSupply);
+  plants = plants.map(plant => (plant.id in delivered.gained
+    ? { ...plant, moisture: Math.min(100, plant.moisture + delivered.gained[plant.id]), lastWatered: time }
+    : plant));
+  const finished = finishRuns(step.events, delivered.runSupply);
+  const tankLiters = Math.min(config.tankCapacity, delivered.tankLiters + rainInflowPerHour(hourly, weather, time) * hours);
+
+  const inputW = panelOutputW(config.solar.panelWatts, time, { daily, hourly, code: weather?.code, timeZone: config.timeZone });
+  const energy = stepEnergy({ chargeWh: state.chargeWh, pumpOn: state.pumpOn, solar: config.solar, inputW, tankLiters: state.tankLiters - delivered.tankLiters, hours });
+
+  return {
+    time,
+    plants,
+    tankLiters,
+    chargeWh: energy.chargeWh,
+    pumpOn: energy.pumpOn,
+    zones: step.state,
+    runSupply: finished.runSupply,
+    lastRuns,
+    ledger: finished.ledgerEvents.length ? [...state.ledger, ...finished.ledgerEvents] : state.ledger,
+  };
+};
+
+// Runs `hours` of simulated time. Returns the final state, hourly samples
+// and per-plant totals.
+export const runSimulation = ({ config, initial, hours, stepMs = MINUTE }) => {
+  const sample = (state) => ({
+    timestamp: state.time,
+    tankPercent: config.tankCapacity > 0 ? (state.tankLiters / config.tankCapacity) * 100 : 0,
+    batteryPercent: chargePercent(state.chargeWh, config.solar.batteryWh),
+    ...Object.fromEntries(state.plants.map(plant => [plant.id, plant.moisture])),
+  });
+  const totals = Object.fromEntries(initial.plants.map(plant => [plant.id, { plantId: plant.id, minMoisture: plant.moisture, hoursBelowOptimal: 0 }]));
+  let pumpOffHours = 0;
+  let state = initial;
+  const samples = [sample(state)];
+  const end = initial.time + hours * HOUR;
+
+  while (state.time < end) {
+    const step = Math.min(stepMs, end - state.time);
+    state = stepSimulation(state, config, step);
+    for (const plant of state.plants) {
+      const stats = totals[plant.id];
+      stats.minMoisture = Math.min(stats.minMoisture, plant.moisture);
+      if (plant.moisture < config.species[plant.species].optimalMin) stats.hoursBelowOptimal += step / HOUR;
+    }
+    if (!state.pumpOn) pumpOffHours += step / HOUR;
+    if ((state.time - initial.time) % HOUR === 0) samples.push(sample(state));
+  }
+
+  const plants = initial.plants.map(plant => {
+    const events = state.ledger.filter(event => event.plantId === plant.id);
+    return { ...totals[plant.id], waterings: events.length, liters: events.reduce((sum, event) => sum + event.liters, 0) };
+  });
+  const sum = (key) => state.ledger.reduce((total, event) => total + event[key], 0);
+  return {
+    state,
+    samples,
+    summary: { plants, liters: sum('liters'), tankLiters: sum('tankLiters'), mainsLiters: sum('mainsLiters'), pumpOffHours },
+  };
+};
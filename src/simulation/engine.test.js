@@ -0,0 +1,121 @@
+import { createClock, createRng } from './clock';
+import { wateringRequest, createSimulation, stepSimulation, runSimulation, rainInflowPerHour, stepEnergy, MINUTE } from './engine';
+import { pumpEnergyWh } from '../irrigation/ledger';
+import { BASE_LOAD_W } from '../energy/solar';
+import { weatherScenario } from './scenarios';
+import { defaultSpecies } from '../plants/species';
+
+const HOUR = 3600000;
+// 06:00 UTC on Wednesday 1 July 2026
+const start = Date.UTC(2026, 6, 1, 6);
+const mild = { temp: 25, humidity: 50, wind: 5, code: 1 };
+
+const config = (overrides) => ({
+  species: defaultSpecies,
+  schedules: [],
+  zones: [{ id: 1, name: 'Beds', valve: 'V1', flowRateLpm: 6, plantIds: [1, 2] }],
+  pump: { maxConcurrentZones: 1 },
+  solar: { panelWatts: 60, batteryWh: 240, reservePercent: 20 },
+  tankCapacity: 100,
+  autoWatering: true,
+  vacationMode: false,
+  vacationPlan: { manual: false, start: null, end: null, thresholds: {} },
+  timeZone: 'UTC',
+  tickMs: 5000,
+  weather: mild,
+  hourly: [],
+  daily: [],
+  ...overrides,
+});
+
+const garden = (moisture = [75, 70]) => createSimulation({
+  plants: [{ id: 1, name: 'Mint', species: 'Mint', moisture: moisture[0] }, { id: 2, name: 'Tomato', species: 'Tomato', moisture: moisture[1] }],
+  tankLiters: 50,
+  chargeWh: 200,
+  start,
+});
+
+test('seeded randomness and the virtual clock replay exactly', () => {
+  const a = createRng(42);
+  const b = createRng(42);
+  const first = [a(), a(), a()];
+  expect([b(), b(), b()]).toEqual(first);
+  expect(createRng(7)()).not.toBe(first[0]);
+  expect(first.every(n => n >= 0 && n < 1)).toBe(true);
+
+  const clock = createClock(start);
+  expect(clock.advance(HOUR)).toBe(start + HOUR);
+  expect(clock.now()).toBe(start + HOUR);
+});
+
+test('requests a zone run for dry plants, emergency runs on vacation and nothing without a zone', () => {
+  const base = { profile: defaultSpecies.Mint, zones: config().zones, schedules: [], autoWatering: true, vacationMode: false, vacationPlan: config().vacationPlan, weather: mild, hourly: [], now: start, timeZone: 'UTC' };
+  expect(wateringRequest({ ...base, plant: { id: 1 }, moisture: 60 })).toEqual({ zoneId: 1, minutes: expect.any(Number), trigger: 'auto' });
+  expect(wateringRequest({ ...base, plant: { id: 1 }, moisture: 75 })).toBeNull();
+  expect(wateringRequest({ ...base, plant: { id: 9 }, moisture: 10 })).toBeNull();
+  expect(wateringRequest({ ...base, plant: { id: 1 }, moisture: 60, autoWatering: false })).toBeNull();
+  expect(wateringRequest({ ...base, plant: { id: 1 }, moisture: 60, vacationMode: true })).toBeNull();
+  expect(wateringRequest({ ...base, plant: { id: 1 }, moisture: 45, vacationMode: true }).trigger).toBe('vacation');
+});
+
+test('a dry plant opens its zone and moisture rises while the valve is open', () => {
+  let state = stepSimulation(garden([69, 70]), config(), MINUTE);
+  expect(state.zones.running).toHaveLength(1);
+  const before = state.plants[0].moisture;
+  state = stepSimulation(state, config(), MINUTE);
+  expect(state.plants[0].moisture).toBeGreaterThan(before);
+  expect(state.tankLiters).toBeLessThan(50);
+
+  while (state.zones.running.length) state = stepSimulation(state, config(), MINUTE);
+  // Both plants share the zone, so both are in the ledger
+  expect(state.ledger.map(event => event.plantId).sort()).toEqual([1, 2]);
+  expect(state.ledger[0].trigger).toBe('auto');
+  expect(state.ledger[0].tankLiters).toBeGreaterThan(0);
+});
+
+test('a flat battery stops the pump and the plants go dry', () => {
+  const dark = config({ solar: { panelWatts: 0, batteryWh: 240, reservePercent: 20 } });
+  const { summary } = runSimulation({ config: dark, initial: { ...garden(), chargeWh: 40 }, hours: 6 });
+  expect(summary.pumpOffHours).toBeCloseTo(6);
+  expect(summary.liters).toBe(0);
+  expect(summary.plants[0].hoursBelowOptimal).toBeGreaterThan(0);
+});
+
+test('only water pumped from the tank drains the battery', () => {
+  const solar = { panelWatts: 0, batteryWh: 240, reservePercent: 20 };
+  const hours = MINUTE / HOUR;
+  const base = { chargeWh: 200, pumpOn: true, solar, inputW: 0, hours };
+  expect(stepEnergy({ ...base, tankLiters: 0 }).chargeWh).toBeCloseTo(200 - BASE_LOAD_W * hours);
+  expect(stepEnergy({ ...base, tankLiters: 2 }).chargeWh).toBeCloseTo(200 - BASE_LOAD_W * hours - pumpEnergyWh(2));
+
+  // With an empty tank the zone runs on mains and the battery only carries the base load
+  const dry = garden([69, 70]);
+  let mains = { ...dry, tankLiters: 0 };
+  while (!mains.ledger.length) mains = stepSimulation(mains, config({ solar }), MINUTE);
+  expect(mains.ledger[0].mainsLiters).toBeGreaterThan(0);
+  expect(mains.chargeWh).toBeCloseTo(200 - BASE_LOAD_W * (mains.time - start) / HOUR);
+});
+
+test('runs days of simulated time reproducibly for a seeded scenario', () => {
+  const run = (name, seed) => {
+    const hourly = weatherScenario(name, { from: start, hours: 72, seed, timeZone: 'UTC' });
+    return runSimulation({ config: config({ hourly }), initial: garden(), hours: 72, stepMs: 5 * MINUTE });
+  };
+  const first = run('mixed', 1);
+  expect(first.samples).toHaveLength(73);
+  expect(run('mixed', 1).summary).toEqual(first.summary);
+  expect(first.summary.plants[0].waterings).toBeGreaterThan(0);
+  expect(first.summary.liters).toBeCloseTo(first.summary.tankLiters + first.summary.mainsLiters);
+
+  // Rain refills the tank; a heatwave never does
+  const monsoon = run('monsoon', 1);
+  const heatwave = run('heatwave', 1);
+  expect(monsoon.summary.tankLiters).toBeGreaterThan(heatwave.summary.tankLiters);
+  expect(heatwave.summary.liters).toBeGreaterThan(monsoon.summary.liters);
+});
+
+test('rain reaches the tank from hourly amounts or the weather code', () => {
+  expect(rainInflowPerHour([{ time: start, precipitation: 2 }], mild, start + 10 * MINUTE)).toBe(20);
+  expect(rainInflowPerHour([], { ...mild, code: 61 }, start)).toBe(10);
+  expect(rainInflowPerHour([], mild, start)).toBe(0);
+});
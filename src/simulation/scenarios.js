@@ -0,0 +1,44 @@
+import { createRng } from './clock';
+import { hourIn } from '../time';
+
+const HOUR = 3600000;
+
+// Synthetic weather for what-if runs. Temperatures follow a daily curve
+// peaking mid-afternoon; rain falls in random hours at `rainChance`.
+export const SCENARIOS = {
+  clear: { label: 'Clear and hot', temp: 32, swing: 6, humidity: 35, rainChance: 0, cloud: 10 },
+  mixed: { label: 'Changeable', temp: 25, swing: 5, humidity: 55, rainChance: 0.05, cloud: 45 },
+  monsoon: { label: 'Monsoon', temp: 28, swing: 3, humidity: 80, rainChance: 0.3, cloud: 80 },
+  heatwave: { label: 'Heatwave', temp: 41, swing: 7, humidity: 20, rainChance: 0, cloud: 5 },
+};
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+const weatherCode = (raining, cloudCover) => {
+  if (raining) return 61;
+  if (cloudCover > 80) return 3;
+  if (cloudCover > 40) return 2;
+  return cloudCover > 15 ? 1 : 0;
+};
+
+// Hourly conditions from `from` (rounded down to the hour) for `hours`.
+// The same seed always gives the same weather.
+export const weatherScenario = (name, { from, hours, seed, timeZone }) => {
+  const scenario = SCENARIOS[name];
+  const rng = createRng(seed);
+  const start = from - (from % HOUR);
+  return Array.from({ length: hours + 1 }, (_, i) => {
+    const time = start + i * HOUR;
+    const raining = rng() < scenario.rainChance;
+    const cloudCover = clamp(scenario.cloud + (rng() - 0.5) * 30 + (raining ? 30 : 0), 0, 100);
+    return {
+      time,
+      temp: scenario.temp + scenario.swing * Math.sin(((hourIn(time, timeZone) - 9) / 24) * 2 * Math.PI) + (rng() - 0.5) * 2,
+      humidity: Math.round(clamp(scenario.humidity + (raining ? 15 : 0) + (rng() - 0.5) * 10, 5, 100)),
+      code: weatherCode(raining, cloudCover),
+      cloudCover,
+      precipitation: raining ? 0.5 + rng() * 4 : 0,
+      precipProbability: raining ? 90 : Math.round(scenario.rainChance * 100),
+    };
+  });
+};
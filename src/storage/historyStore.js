@@ -0,0 +1,150 @@
+import { TIERS, bucketStart, mergeRollup, tierFor, toPoints } from './rollups';
+import { systemClock } from '../simulation/clock';
+
+const DB_NAME = 'aquasprout-history';
+const DB_VERSION = 1;
+
+const request = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+const done = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error);
+});
+
+// One database per garden; the first garden keeps the original name
+const databaseName = (scope) => (scope ? `${DB_NAME}.${scope}` : DB_NAME);
+
+const openDatabase = (name) => {
+  const open = indexedDB.open(name, DB_VERSION);
+  open.onupgradeneeded = () => {
+    const db = open.result;
+    TIERS.forEach(tier => {
+      if (db.objectStoreNames.contains(tier.name)) return;
+      const store = db.createObjectStore(tier.name, { keyPath: ['plantId', 'timestamp'] });
+      store.createIndex('timestamp', 'timestamp');
+    });
+  };
+  return request(open).then(db => {
+    // Let a deleteGardenHistory elsewhere go through
+    db.onversionchange = () => db.close();
+    return db;
+  });
+};
+
+// Moisture readings in IndexedDB, one object store per tier.
+const createIndexedDbHistory = (scope, clock) => {
+  const dbPromise = openDatabase(databaseName(scope));
+
+  const addReadings = async (readings) => {
+    if (!readings.length) return;
+    const db = await dbPromise;
+    const tx = db.transaction(TIERS.map(tier => tier.name), 'readwrite');
+    readings.forEach(reading => {
+      TIERS.forEach(tier => {
+        const store = tx.objectStore(tier.name);
+        if (!tier.bucket) {
+          store.put(reading);
+          return;
+        }
+        const get = store.get([reading.plantId, bucketStart(reading.timestamp, tier.bucket)]);
+        get.onsuccess = () => store.put(mergeRollup(get.result, reading, tier.bucket));
+      });
+    });
+    return done(tx);
+  };
+
+  const query = async (plantId, from, to, maxPoints = 200, now = clock.now()) => {
+    const db = await dbPromise;
+    const tier = tierFor(from, now);
+    const range = IDBKeyRange.bound([plantId, bucketStart(from, tier.bucket || 1)], [plantId, to]);
+    const records = await request(db.transaction(tier.name).objectStore(tier.name).getAll(range));
+    return toPoints(records, from, to, maxPoints);
+  };
+
+  const prune = async (now = clock.now()) => {
+    const db = await dbPromise;
+    const tx = db.transaction(TIERS.map(tier => tier.name), 'readwrite');
+    TIERS.forEach(tier => {
+      const cursorRequest = tx.objectStore(tier.name).index('timestamp').openCursor(IDBKeyRange.upperBound(now - tier.retention, true));
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor) return;
+        cursor.delete();
+        cursor.continue();
+      };
+    });
+    return done(tx);
+  };
+
+  const removePlant = async (plantId) => {
+    const db = await dbPromise;
+    const tx = db.transaction(TIERS.map(tier => tier.name), 'readwrite');
+    TIERS.forEach(tier => tx.objectStore(tier.name).delete(IDBKeyRange.bound([plantId, -Infinity], [plantId, Infinity])));
+    return done(tx);
+  };
+
+  return { addReadings, query, prune, removePlant };
+};
+
+// Same interface kept in memory, for environments without IndexedDB (tests,
+// private browsing modes that disable it).
+export const createMemoryHistory = (clock = systemClock) => {
+  const tiers = Object.fromEntries(TIERS.map(tier => [tier.name, new Map()]));
+  const keyOf = (plantId, timestamp) => `${plantId}:${timestamp}`;
+
+  const addReadings = async (readings) => {
+    readings.forEach(reading => {
+      TIERS.forEach(tier => {
+        const records = tiers[tier.name];
+        if (!tier.bucket) {
+          records.set(keyOf(reading.plantId, reading.timestamp), reading);
+          return;
+        }
+        const key = keyOf(reading.plantId, bucketStart(reading.timestamp, tier.bucket));
+        records.set(key, mergeRollup(records.get(key), reading, tier.bucket));
+      });
+    });
+  };
+
+  const query = async (plantId, from, to, maxPoints = 200, now = clock.now()) => {
+    const tier = tierFor(from, now);
+    const start = bucketStart(from, tier.bucket || 1);
+    const records = [...tiers[tier.name].values()]
+      .filter(record => record.plantId === plantId && record.timestamp >= start && record.timestamp <= to)
+      .sort((a, b) => a.timestamp - b.timestamp);
+    return toPoints(records, from, to, maxPoints);
+  };
+
+  const prune = async (now = clock.now()) => {
+    TIERS.forEach(tier => {
+      const records = tiers[tier.name];
+      records.forEach((record, key) => record.timestamp < now - tier.retention && records.delete(key));
+    });
+  };
+
+  const removePlant = async (plantId) => {
+    TIERS.forEach(tier => {
+      const records = tiers[tier.name];
+      records.forEach((record, key) => record.plantId === plantId && records.delete(key));
+    });
+  };
+
+  return { addReadings, query, prune, removePlant };
+};
+
+// Tiers are picked and pruned against `clock`, so a garden on virtual time
+// queries the tiers its readings are still in.
+export const createHistoryStore = (scope = null, clock = systemClock) => {
+  if (typeof indexedDB === 'undefined') return createMemoryHistory(clock);
+  return createIndexedDbHistory(scope, clock);
+};
+
+// Drops a removed garden's readings
+export const deleteGardenHistory = (scope = null) => {
+  if (typeof indexedDB === 'undefined') return Promise.resolve();
+  return request(indexedDB.deleteDatabase(databaseName(scope)));
+};
@@ -0,0 +1,50 @@
+import { createMemoryHistory } from './historyStore';
+import { createClock } from '../simulation/clock';
+import { toPoints, tierFor } from './rollups';
+
+const MINUTE = 60000;
+const HOUR = 60 * MINUTE;
+const now = Date.UTC(2026, 0, 14, 12);
+
+const readingsEvery = (interval, span, moistureAt) => {
+  const readings = [];
+  for (let t = now - span; t <= now; t += interval) readings.push({ plantId: 1, moisture: moistureAt(t), timestamp: t });
+  return readings;
+};
+
+test('picks the finest tier that covers the range', () => {
+  expect(tierFor(now - HOUR, now).name).toBe('raw');
+  expect(tierFor(now - 24 * HOUR, now).name).toBe('fiveMinute');
+  expect(tierFor(now - 30 * 24 * HOUR, now).name).toBe('hourly');
+});
+
+test('downsamples to at most maxPoints, keeping min and max', () => {
+  const records = [0, 10, 20, 30].map((moisture, idx) => ({ timestamp: now + idx * MINUTE, moisture }));
+  expect(toPoints(records, now, now + 4 * MINUTE, 2)).toEqual([
+    { timestamp: now, moisture: 5, min: 0, max: 10 },
+    { timestamp: now + 2 * MINUTE, moisture: 25, min: 20, max: 30 },
+  ]);
+});
+
+test('answers long ranges from rollups after raw readings are pruned', async () => {
+  const history = createMemoryHistory();
+  await history.addReadings(readingsEvery(MINUTE, 3 * HOUR, t => (t < now - 90 * MINUTE ? 40 : 60)));
+  await history.prune(now);
+
+  const lastHour = await history.query(1, now - HOUR, now, 500, now);
+  expect(lastHour).toHaveLength(61);
+  const day = await history.query(1, now - 24 * HOUR, now, 500, now);
+  expect(day[0]).toMatchObject({ timestamp: now - 3 * HOUR, moisture: 40 });
+  expect(day.every(point => point.min >= 40 && point.max <= 60)).toBe(true);
+
+  await history.removePlant(1);
+  expect(await history.query(1, now - 24 * HOUR, now, 500, now)).toEqual([]);
+});
+
+test('picks and prunes tiers against the clock it was created with', async () => {
+  const history = createMemoryHistory(createClock(now));
+  await history.addReadings(readingsEvery(MINUTE, 3 * HOUR, () => 50));
+  await history.prune();
+  expect(await history.query(1, now - HOUR, now, 500)).toHaveLength(61);
+  expect(await history.query(1, now - 3 * HOUR, now, 500)).toHaveLength(37);
+});
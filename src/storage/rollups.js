@@ -0,0 +1,41 @@
+const MINUTE = 60000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Storage tiers, finest first. Raw readings are kept briefly; older data only
+// survives as min/max/mean rollups over fixed buckets.
+export const TIERS = [
+  { name: 'raw', bucket: 0, retention: 2 * HOUR },
+  { name: 'fiveMinute', bucket: 5 * MINUTE, retention: 2 * DAY },
+  { name: 'hourly', bucket: HOUR, retention: 400 * DAY },
+];
+
+export const bucketStart = (timestamp, bucket) => timestamp - (timestamp % bucket);
+
+// Folds one reading into a rollup record (or starts a new one).
+export const mergeRollup = (rollup, { plantId, moisture, timestamp }, bucket) => {
+  if (!rollup) return { plantId, timestamp: bucketStart(timestamp, bucket), sum: moisture, count: 1, min: moisture, max: moisture };
+  return { ...rollup, sum: rollup.sum + moisture, count: rollup.count + 1, min: Math.min(rollup.min, moisture), max: Math.max(rollup.max, moisture) };
+};
+
+// Finest tier that still holds data for the whole range
+export const tierFor = (from, now) => TIERS.find(tier => now - from <= tier.retention) || TIERS[TIERS.length - 1];
+
+// Turns stored records (raw or rolled up) into chart points, merging
+// neighbours so no more than `maxPoints` come back.
+export const toPoints = (records, from, to, maxPoints) => {
+  const bucket = Math.max(1, Math.ceil((to - from) / maxPoints));
+  const merged = new Map();
+  records.forEach(record => {
+    const sum = record.sum ?? record.moisture;
+    const count = record.count ?? 1;
+    const key = bucketStart(record.timestamp - from, bucket);
+    const point = merged.get(key);
+    merged.set(key, point
+      ? { ...point, sum: point.sum + sum, count: point.count + count, min: Math.min(point.min, record.min ?? record.moisture), max: Math.max(point.max, record.max ?? record.moisture) }
+      : { timestamp: record.timestamp, sum, count, min: record.min ?? record.moisture, max: record.max ?? record.moisture });
+  });
+  return [...merged.values()]
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .map(({ timestamp, sum, count, min, max }) => ({ timestamp, moisture: sum / count, min, max }));
+};
@@ -0,0 +1,69 @@
+// A JSON document in localStorage, stored as { version, data }.
+// `migrations[n]` upgrades data from schema version n to n + 1. Version 0 means
+// nothing has been stored yet, so migrations[0] is where defaults are seeded.
+export const createVersionedStore = (key, { version, migrations }) => {
+  const scopes = {};
+  // Set when the stored document is from a newer build. It is left alone, so
+  // running an older cached build can't wipe it, and nothing is saved over it.
+  let newerStored = false;
+
+  const read = () => {
+    try {
+      return JSON.parse(window.localStorage.getItem(key));
+    } catch (error) {
+      console.error(`Could not read ${key}, starting fresh:`, error);
+      return null;
+    }
+  };
+
+  const save = (data) => {
+    if (newerStored) return;
+    try {
+      window.localStorage.setItem(key, JSON.stringify({ version, data }));
+    } catch (error) {
+      console.error(`Could not save ${key}:`, error);
+    }
+  };
+
+  // Upgrades data written at an older schema version to the current one
+  const migrate = (data, fromVersion) => {
+    if (fromVersion > version) throw new Error(`${key} schema ${fromVersion} is newer than supported (${version})`);
+    let migrated = data;
+    for (let current = fromVersion; current < version; current++) {
+      migrated = migrations[current](migrated);
+    }
+    return migrated;
+  };
+
+  const load = () => {
+    const stored = read();
+    let storedVersion = stored?.version ?? 0;
+    let data = stored?.data ?? null;
+    if (storedVersion > version) {
+      console.warn(`${key} was written by a newer version (schema ${storedVersion}), using defaults without saving`);
+      newerStored = true;
+      return migrate(null, 0);
+    }
+    newerStored = false;
+    if (storedVersion === version) return data;
+    data = migrate(data, storedVersion);
+    save(data);
+    return data;
+  };
+
+  const clear = () => {
+    newerStored = false;
+    window.localStorage.removeItem(key);
+  };
+
+  // The same document under `${key}.${scope}`, e.g. one per garden.
+  // A null scope is this store itself.
+  const scoped = (scope) => {
+    if (!scope) return store;
+    if (!scopes[scope]) scopes[scope] = createVersionedStore(`${key}.${scope}`, { version, migrations });
+    return scopes[scope];
+  };
+
+  const store = { load, save, clear, migrate, scoped, key, version };
+  return store;
+};
@@ -0,0 +1,51 @@
+// Time zone helpers built on Intl, so schedules and day/night follow the
+// garden's clock rather than the browser's.
+//
+// A "wall clock" value is a timestamp shifted so that its UTC fields
+// (getUTCHours, getUTCDay, ...) read as local time in the given zone.
+// Without a zone the browser's own zone is used.
+
+const formatters = {};
+
+const formatterFor = (timeZone) => {
+  if (!formatters[timeZone]) {
+    formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    });
+  }
+  return formatters[timeZone];
+};
+
+// Milliseconds the zone is ahead of UTC at the given moment
+export const zoneOffset = (ms, timeZone) => {
+  if (!timeZone) return -new Date(ms).getTimezoneOffset() * 60000;
+  const parts = Object.fromEntries(formatterFor(timeZone).formatToParts(new Date(ms)).map(part => [part.type, part.value]));
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - (ms - (((ms % 1000) + 1000) % 1000));
+};
+
+export const toWallClock = (ms, timeZone) => ms + zoneOffset(ms, timeZone);
+
+export const fromWallClock = (wall, timeZone) => {
+  // The offset can differ either side of a DST change, so settle it twice
+  const guess = wall - zoneOffset(wall, timeZone);
+  return wall - zoneOffset(guess, timeZone);
+};
+
+export const hourIn = (ms, timeZone) => new Date(toWallClock(ms, timeZone)).getUTCHours();
+
+export const isValidTimeZone = (timeZone) => {
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
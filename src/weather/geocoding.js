@@ -0,0 +1,40 @@
+const GEOCODING_URL = 'https://geocoding-api.open-meteo.com/v1/search';
+
+export const parseGeocoding = (data) =>
+  (data.results || []).map(result => ({
+    name: result.name,
+    region: [result.admin1, result.country].filter(Boolean).join(', '),
+    latitude: result.latitude,
+    longitude: result.longitude,
+    timezone: result.timezone,
+  }));
+
+export const searchLocations = async (query) => {
+  const name = query.trim();
+  // The API needs at least two characters
+  if (name.length < 2) return [];
+  const params = new URLSearchParams({ name, count: 6, language: 'en', format: 'json' });
+  const response = await fetch(`${GEOCODING_URL}?${params}`);
+  if (!response.ok) throw new Error(`Geocoding responded ${response.status}`);
+  return parseGeocoding(await response.json());
+};
+
+// Browser position. The forecast request resolves the time zone ('auto').
+export const currentPosition = () =>
+  new Promise((resolve, reject) => {
+    if (!navigator.geolocation) {
+      reject(new Error('Geolocation is not supported by this browser'));
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => resolve({
+        name: 'Current location',
+        region: `${coords.latitude.toFixed(2)}, ${coords.longitude.toFixed(2)}`,
+        latitude: coords.latitude,
+        longitude: coords.longitude,
+        timezone: 'auto',
+      }),
+      (error) => reject(new Error(error.message || 'Location permission denied')),
+      { timeout: 10000 }
+    );
+  });
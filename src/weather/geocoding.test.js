@@ -0,0 +1,22 @@
+import { searchLocations } from './geocoding';
+import fixture from './fixtures/geocoding-search.json';
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('turns geocoding results into selectable locations', async () => {
+  global.fetch = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve(fixture) }));
+  const results = await searchLocations(' London ');
+  expect(global.fetch.mock.calls[0][0]).toContain('name=London');
+  expect(results).toHaveLength(3);
+  expect(results[0]).toEqual({ name: 'London', region: 'England, United Kingdom', latitude: 51.50853, longitude: -0.12574, timezone: 'Europe/London' });
+  expect(results[2].region).toBe('United States');
+});
+
+test('does not query for very short names and reports HTTP errors', async () => {
+  global.fetch = jest.fn(() => Promise.resolve({ ok: false, status: 429 }));
+  expect(await searchLocations('L')).toEqual([]);
+  expect(global.fetch).not.toHaveBeenCalled();
+  await expect(searchLocations('London')).rejects.toThrow('429');
+});
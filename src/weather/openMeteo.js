@@ -0,0 +1,52 @@
+const FORECAST_URL = 'https://api.open-meteo.com/v1/forecast';
+
+export const DEFAULT_LOCATION = { name: 'Delhi', latitude: 28.6139, longitude: 77.2090, timezone: 'Asia/Kolkata' };
+
+// WMO weather codes for drizzle, rain, showers and thunderstorms
+export const isRainCode = (code) => (code >= 51 && code <= 67) || (code >= 80 && code <= 82) || (code >= 95 && code <= 99);
+
+export const parseForecast = (data) => ({
+  timezone: data.timezone,
+  current: {
+    temp: Math.round(data.current.temperature_2m),
+    humidity: data.current.relative_humidity_2m,
+    wind: Math.round(data.current.wind_speed_10m),
+    code: data.current.weather_code,
+  },
+  daily: data.daily.time.map((time, idx) => ({
+    day: new Date(time * 1000).toLocaleDateString('en-US', { weekday: 'short', timeZone: data.timezone }),
+    date: time * 1000,
+    tempMax: Math.round(data.daily.temperature_2m_max[idx]),
+    tempMin: Math.round(data.daily.temperature_2m_min[idx]),
+    code: data.daily.weather_code[idx],
+    precipProbability: data.daily.precipitation_probability_max[idx] ?? 0,
+    precipitation: data.daily.precipitation_sum[idx] ?? 0,
+    sunrise: data.daily.sunrise[idx] * 1000,
+    sunset: data.daily.sunset[idx] * 1000,
+    sunHours: (data.daily.sunshine_duration[idx] ?? 0) / 3600,
+  })),
+  hourly: data.hourly.time.map((time, idx) => ({
+    time: time * 1000,
+    precipProbability: data.hourly.precipitation_probability[idx] ?? 0,
+    precipitation: data.hourly.precipitation[idx] ?? 0,
+    cloudCover: data.hourly.cloud_cover[idx] ?? null,
+  })),
+});
+
+// `timezone` may be 'auto' to let Open-Meteo resolve it from the coordinates.
+export const fetchForecast = async ({ latitude, longitude, timezone } = DEFAULT_LOCATION) => {
+  const params = new URLSearchParams({
+    latitude,
+    longitude,
+    timezone,
+    current: 'temperature_2m,relative_humidity_2m,wind_speed_10m,weather_code',
+    hourly: 'precipitation_probability,precipitation,cloud_cover',
+    daily: 'weather_code,temperature_2m_max,temperature_2m_min,precipitation_probability_max,precipitation_sum,sunrise,sunset,sunshine_duration',
+    forecast_days: 5,
+    forecast_hours: 48,
+    timeformat: 'unixtime',
+  });
+  const response = await fetch(`${FORECAST_URL}?${params}`);
+  if (!response.ok) throw new Error(`Open-Meteo responded ${response.status}`);
+  return parseForecast(await response.json());
+};
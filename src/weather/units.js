@@ -0,0 +1,22 @@
+// Weather is fetched and simulated in metric; these only convert for display.
+export const temperatureUnits = {
+  celsius: { label: '°C', convert: c => c },
+  fahrenheit: { label: '°F', convert: c => (c * 9) / 5 + 32 },
+};
+
+export const windSpeedUnits = {
+  kmh: { label: 'km/h', convert: kmh => kmh },
+  mph: { label: 'mph', convert: kmh => kmh / 1.609344 },
+};
+
+export const DEFAULT_UNITS = { temperature: 'celsius', windSpeed: 'kmh' };
+
+export const formatTemp = (celsius, unit, withLabel = false) => {
+  const { label, convert } = temperatureUnits[unit] || temperatureUnits.celsius;
+  return `${Math.round(convert(celsius))}${withLabel ? label : '°'}`;
+};
+
+export const formatWind = (kmh, unit) => {
+  const { label, convert } = windSpeedUnits[unit] || windSpeedUnits.kmh;
+  return `${Math.round(convert(kmh))} ${label}`;
+};
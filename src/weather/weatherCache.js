@@ -0,0 +1,31 @@
+import { createVersionedStore } from '../storage/versionedStore';
+import { fetchForecast } from './openMeteo';
+
+// The last forecast that came back from Open-Meteo, shown while offline.
+//
+// Schema history:
+//   1 - { latitude, longitude, fetchedAt, forecast } or null before the first fetch
+export const weatherCacheStore = createVersionedStore('aquasprout.weatherCache', {
+  version: 1,
+  migrations: [
+    () => null,
+  ],
+});
+
+const samePlace = (cached, { latitude, longitude }) => cached.latitude === latitude && cached.longitude === longitude;
+
+// Fetches the forecast and keeps it as the last good response. If the fetch
+// fails, returns the cached one for the same place marked stale, or rethrows
+// when there is none. Each garden (`scope`) keeps its own copy.
+export const fetchForecastWithCache = async (location, { scope = null, now = Date.now() } = {}) => {
+  const store = weatherCacheStore.scoped(scope);
+  try {
+    const forecast = await fetchForecast(location);
+    store.save({ latitude: location.latitude, longitude: location.longitude, fetchedAt: now, forecast });
+    return { forecast, fetchedAt: now, stale: false };
+  } catch (error) {
+    const cached = store.load();
+    if (!cached || !samePlace(cached, location)) throw error;
+    return { forecast: cached.forecast, fetchedAt: cached.fetchedAt, stale: true };
+  }
+};
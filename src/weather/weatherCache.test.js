@@ -0,0 +1,35 @@
+import { fetchForecastWithCache, weatherCacheStore } from './weatherCache';
+import { fetchForecast } from './openMeteo';
+
+jest.mock('./openMeteo', () => ({ fetchForecast: jest.fn() }));
+
+const delhi = { latitude: 28.6139, longitude: 77.209, timezone: 'Asia/Kolkata' };
+const forecast = { timezone: 'Asia/Kolkata', current: { temp: 31, humidity: 40, wind: 8, code: 0 }, daily: [], hourly: [] };
+
+beforeEach(() => window.localStorage.clear());
+
+test('keeps the last good forecast and serves it as stale when offline', async () => {
+  fetchForecast.mockResolvedValueOnce(forecast);
+  expect(await fetchForecastWithCache(delhi, { now: 1000 })).toEqual({ forecast, fetchedAt: 1000, stale: false });
+  expect(weatherCacheStore.load().fetchedAt).toBe(1000);
+
+  fetchForecast.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+  expect(await fetchForecastWithCache(delhi, { now: 5000 })).toEqual({ forecast, fetchedAt: 1000, stale: true });
+});
+
+test('does not pass off another place\'s forecast or invent one', async () => {
+  fetchForecast.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+  await expect(fetchForecastWithCache(delhi)).rejects.toThrow('Failed to fetch');
+
+  fetchForecast.mockResolvedValueOnce(forecast);
+  await fetchForecastWithCache(delhi);
+  fetchForecast.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+  await expect(fetchForecastWithCache({ latitude: 51.5, longitude: -0.12, timezone: 'Europe/London' })).rejects.toThrow('Failed to fetch');
+});
+
+test('keeps a separate copy per garden', async () => {
+  fetchForecast.mockResolvedValueOnce(forecast);
+  await fetchForecastWithCache(delhi, { scope: 'garden2', now: 1000 });
+  expect(weatherCacheStore.load()).toBeNull();
+  expect(weatherCacheStore.scoped('garden2').load().fetchedAt).toBe(1000);
+});